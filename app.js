@@ -15,21 +15,50 @@
   const toastEl = document.getElementById('toast'),
     feedEl = document.getElementById('feed');
   let toastTimer = null;
+  let offeredUndo = null;
 
+  // The first toast after an undoable action offers to undo it
   function toast(msg, ms = 2400) {
     clearTimeout(toastTimer);
     toastEl.textContent = msg;
+    const last = CRCData.undoHistory().undo[0];
+    if (last && last.id !== offeredUndo && Date.now() - Date.parse(last.at) < 5000) {
+      offeredUndo = last.id;
+      toastEl.append(' ', el('button', {
+        className: 'btn tiny',
+        textContent: 'Undo',
+        onclick: () => runJournal('undo')
+      }));
+      ms = Math.max(ms, 6000);
+    }
     toastEl.classList.remove('hidden');
     toastTimer = setTimeout(() => toastEl.classList.add('hidden'), ms);
   }
 
+  function runJournal(direction) {
+    const res = direction === 'undo' ? CRCData.undo() : CRCData.redo();
+    if (res.error) return toast(res.error, 5000);
+    toast(`${direction === 'undo' ? 'Undid' : 'Redid'}: ${res.label}`);
+    render();
+  }
+
   const BC = new BroadcastChannel('crc_channel_v3');
+  let booted = false; // storage adapters load asynchronously; nothing renders before CRCData.ready
+  // Record-level changes arrive as domain events (see onDataEvent); the channel only carries the
+  // whole-store changes that have no per-record event
+  const STORE_MESSAGES = {
+    auth: 'A user signed in',
+    cleared: 'All data was cleared'
+  };
   BC.onmessage = (ev) => {
     const d = ev.data || {};
-    if (!d) return;
-    if (d.type === 'sync' || d.type === 'auth' || d.type === 'cleared') {
-      renderFeedItem(d);
-      render(); // Re-render current view on sync
+    if (!d || !booted) return;
+    if (d.type === 'sync' && d.key === '*') {
+      renderFeedItem('Data was restored or imported', d.ts);
+      render();
+    } else if (STORE_MESSAGES[d.type]) {
+      renderFeedItem(STORE_MESSAGES[d.type]);
+      render();
     }
   };
 
@@ -46,6 +75,7 @@
     feed: feedEl,
     sUsers: document.getElementById('s-users'),
     sProjects: document.getElementById('s-projects'),
+    inboxBadge: document.getElementById('inbox-badge'),
     globalSearch: document.getElementById('global-search'),
     btnNew: document.getElementById('btn-new'),
     btnSwitch: document.getElementById('btn-switch'),
@@ -87,6 +117,20 @@
     return element;
   }
 
+  /**
+   * Creates an SVG element; el() only creates HTML elements.
+   * @param {string} tag - The SVG tag.
+   * @param {object} attrs - Attributes, set as-is.
+   * @param {...(Node|string|null|boolean|Array)} children - Child elements.
+   * @returns {SVGElement}
+   */
+  function svgEl(tag, attrs = {}, ...children) {
+    const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    for (const [key, value] of Object.entries(attrs)) element.setAttribute(key, value);
+    element.append(...children.flat().filter(c => c !== null && c !== false));
+    return element;
+  }
+
   /**
    * Injects modal styles into the head.
    */
@@ -180,7 +224,8 @@
       input.focus();
 
       const save = () => {
-        const newValue = (inputType === 'number') ? Number(input.value) : input.value;
+        // an empty number field is NaN, not 0, so the data layer rejects it instead of saving zero
+        const newValue = (inputType === 'number') ? (input.value.trim() === '' ? NaN : Number(input.value)) : input.value;
         onSave(newValue);
         // Let the onSave handler re-render the view
       };
@@ -194,28 +239,367 @@
     return wrapper;
   }
 
+  /**
+   * Creates a select listing the stage templates, for choosing a project type at creation.
+   * @returns {HTMLSelectElement}
+   */
+  function createTemplateSelect() {
+    return el('select', {},
+      CRCData.stageTemplates().map(t => el('option', {
+        value: t.key
+      }, `${t.label} (${t.stages.length} stages)`))
+    );
+  }
+
+  /**
+   * Creates an editable, reorderable stage list. Edits are applied to the draft array in place.
+   * @param {Array} draft - Stages as {key, label, share, durationDays, tasks, done}; tasks may be strings or {label}.
+   * @param {object} [opts]
+   * @param {boolean} [opts.lockDone] - Disable removing completed stages (project editing).
+   * @returns {HTMLElement}
+   */
+  function createStageListEditor(draft, { lockDone = false } = {}) {
+    const listEl = el('div', {
+      className: 'list'
+    });
+    const taskText = (tasks) => (tasks || []).map(t => typeof t === 'string' ? t : t.label).join(', ');
+
+    function move(i, delta) {
+      const j = i + delta;
+      if (j < 0 || j >= draft.length) return;
+      [draft[i], draft[j]] = [draft[j], draft[i]];
+      paint();
+    }
+
+    function paint() {
+      listEl.innerHTML = '';
+      draft.forEach((st, i) => {
+        const labelInput = el('input', {
+          value: st.label || '',
+          placeholder: 'Stage name'
+        });
+        const shareInput = el('input', {
+          type: 'number',
+          value: st.share == null ? '' : st.share,
+          placeholder: 'even',
+          style: {
+            width: '70px'
+          }
+        });
+        const daysInput = el('input', {
+          type: 'number',
+          min: '1',
+          value: st.durationDays || '',
+          style: {
+            width: '70px'
+          }
+        });
+        const tasksInput = el('input', {
+          value: taskText(st.tasks),
+          placeholder: 'Sub-tasks, comma separated'
+        });
+        labelInput.addEventListener('change', () => st.label = labelInput.value.trim());
+        shareInput.addEventListener('change', () => {
+          st.share = shareInput.value === '' ? null : Number(shareInput.value);
+          paint();
+        });
+        daysInput.addEventListener('change', () => st.durationDays = Number(daysInput.value));
+        tasksInput.addEventListener('change', () => st.tasks = tasksInput.value.split(',').map(t => t.trim()).filter(Boolean));
+        const removeBtn = el('button', {
+          className: 'btn tiny',
+          textContent: 'Remove',
+          onclick: () => {
+            draft.splice(i, 1);
+            paint();
+          }
+        });
+        if (lockDone && st.done) {
+          removeBtn.disabled = true;
+          removeBtn.title = 'Reopen the stage before removing it';
+        }
+        listEl.append(el('div', {
+          className: 'item',
+          style: {
+            flexWrap: 'wrap',
+            gap: '6px'
+          }
+        },
+          el('label', {}, 'Stage', labelInput),
+          el('label', {}, 'Share %', shareInput),
+          el('label', {}, 'Days', daysInput),
+          el('label', {
+            style: {
+              flex: '1'
+            }
+          }, 'Tasks', tasksInput),
+          el('div', {
+            style: {
+              display: 'flex',
+              gap: '6px'
+            }
+          },
+            el('button', {
+              className: 'btn tiny',
+              textContent: '↑',
+              onclick: () => move(i, -1)
+            }),
+            el('button', {
+              className: 'btn tiny',
+              textContent: '↓',
+              onclick: () => move(i, 1)
+            }),
+            removeBtn
+          )
+        ));
+      });
+      const total = draft.reduce((a, st) => a + (Number(st.share) || 0), 0);
+      listEl.append(el('div', {
+        className: 'muted small'
+      }, draft.every(st => st.share == null) ? 'Commission splits evenly across stages' : `Shares total ${Math.round(total * 10) / 10}% (must be 100%)`));
+    }
+    paint();
+
+    return el('div', {},
+      listEl,
+      el('button', {
+        className: 'btn tiny',
+        style: {
+          marginTop: '6px'
+        },
+        textContent: 'Add stage',
+        onclick: () => {
+          draft.push({
+            label: '',
+            share: null,
+            durationDays: 14,
+            tasks: []
+          });
+          paint();
+        }
+      })
+    );
+  }
+
+  /**
+   * Creates a Gantt-style SVG timeline. Each row draws its planned span as an outlined bar (red when
+   * overdue) and its actual span, if started, as a filled bar; a dashed line marks today.
+   * @param {Array} rows - {label, plannedStart, plannedEnd, actualStart, actualEnd, done, overdue, href?}; dates 'YYYY-MM-DD'.
+   * @returns {SVGElement}
+   */
+  function createGantt(rows) {
+    const today = new Date().toISOString().slice(0, 10);
+    const labelW = 170;
+    const chartW = 560;
+    const rowH = 26;
+    const headH = 22;
+    const height = headH + rows.length * rowH + 4;
+    const dates = rows.flatMap(r => [r.plannedStart, r.plannedEnd, r.actualStart, r.actualEnd]).filter(Boolean).concat(today).sort();
+    const min = Date.parse(dates[0]);
+    const max = Math.max(Date.parse(dates[dates.length - 1]), min + 86400000);
+    const x = (d) => labelW + (Date.parse(d) - min) / (max - min) * chartW;
+    const bar = (cls, from, to, y, h, title) => svgEl('rect', {
+      class: cls,
+      x: x(from),
+      y,
+      width: Math.max(2, x(to) - x(from)),
+      height: h,
+      rx: 3
+    }, svgEl('title', {}, title));
+
+    const svg = svgEl('svg', {
+      class: 'gantt',
+      viewBox: `0 0 ${labelW + chartW + 10} ${height}`,
+      width: '100%'
+    });
+
+    // month grid, labelled at most ~12 times
+    const months = [];
+    const m = new Date(min);
+    m.setUTCDate(1);
+    for (m.setUTCMonth(m.getUTCMonth() + 1); m.getTime() <= max; m.setUTCMonth(m.getUTCMonth() + 1)) months.push(m.toISOString().slice(0, 10));
+    const every = Math.ceil(months.length / 12);
+    months.forEach((d, i) => {
+      svg.append(svgEl('line', {
+        class: 'grid',
+        x1: x(d),
+        x2: x(d),
+        y1: headH - 4,
+        y2: height
+      }));
+      if (i % every === 0) svg.append(svgEl('text', {
+        x: x(d) + 2,
+        y: 12
+      }, new Date(d).toLocaleDateString(undefined, {
+        month: 'short',
+        year: '2-digit'
+      })));
+    });
+
+    rows.forEach((r, i) => {
+      const y = headH + i * rowH;
+      const label = svgEl('text', {
+        x: 0,
+        y: y + rowH / 2 + 4
+      }, r.label.length > 26 ? r.label.slice(0, 25) + '…' : r.label);
+      svg.append(
+        r.href ? svgEl('a', {
+          href: r.href
+        }, label) : label,
+        bar(`planned${r.overdue ? ' overdue' : ''}`, r.plannedStart, r.plannedEnd, y + 4, rowH - 8, `${r.label}: planned ${r.plannedStart} → ${r.plannedEnd}`)
+      );
+      if (r.actualStart) svg.append(bar(`actual${r.done ? ' done' : ''}`, r.actualStart, r.actualEnd || today, y + 9, rowH - 18, `${r.label}: actual ${r.actualStart} → ${r.actualEnd || 'in progress'}`));
+    });
+
+    svg.append(svgEl('line', {
+      class: 'today',
+      x1: x(today),
+      x2: x(today),
+      y1: headH - 4,
+      y2: height
+    }));
+    return svg;
+  }
+
+  /**
+   * Creates a grouped vertical bar chart as SVG, with a legend below it.
+   * @param {Array<string>} labels - One label per group (x axis).
+   * @param {Array} series - Up to three {name, values}; values align with labels, null is skipped.
+   * @param {function} format - Formats a value for the axis and tooltips.
+   * @returns {HTMLElement}
+   */
+  function createBarChart(labels, series, format = (v) => String(v)) {
+    const width = 720;
+    const height = 220;
+    const left = 70;
+    const bottom = 36;
+    const plotH = height - bottom - 10;
+    const max = Math.max(0, ...series.flatMap(sr => sr.values.filter(v => v != null)));
+    const min = Math.min(0, ...series.flatMap(sr => sr.values.filter(v => v != null)));
+    const span = max - min || 1;
+    const y = (v) => 10 + (max - v) / span * plotH;
+    const groupW = (width - left) / Math.max(1, labels.length);
+    const barW = Math.max(2, Math.min(28, (groupW - 8) / series.length));
+
+    const svg = svgEl('svg', {
+      class: 'chart',
+      viewBox: `0 0 ${width} ${height}`,
+      width: '100%'
+    },
+      svgEl('line', {
+        class: 'axis',
+        x1: left,
+        x2: width,
+        y1: y(0),
+        y2: y(0)
+      }),
+      svgEl('text', {
+        x: 0,
+        y: 14
+      }, format(max)),
+      min < 0 && svgEl('text', {
+        x: 0,
+        y: height - bottom
+      }, format(min))
+    );
+    labels.forEach((label, i) => {
+      const gx = left + i * groupW + (groupW - barW * series.length) / 2;
+      series.forEach((sr, j) => {
+        const v = sr.values[i];
+        if (v == null) return;
+        svg.append(svgEl('rect', {
+          class: `s${j}`,
+          x: gx + j * barW,
+          y: Math.min(y(v), y(0)),
+          width: barW - 2,
+          height: Math.max(1, Math.abs(y(v) - y(0)))
+        }, svgEl('title', {}, `${label} — ${sr.name}: ${format(v)}`)));
+      });
+      svg.append(svgEl('text', {
+        x: left + i * groupW + groupW / 2,
+        y: height - bottom + 16,
+        'text-anchor': 'middle'
+      }, label.length > 14 ? label.slice(0, 13) + '…' : label));
+    });
+
+    return el('div', {},
+      svg,
+      el('div', {
+        className: 'chart-legend small muted'
+      },
+        series.map((sr, j) => el('span', {},
+          el('span', {
+            className: 'swatch',
+            style: {
+              background: ['var(--primary)', '#3b82f6', 'var(--success)'][j]
+            }
+          }),
+          sr.name
+        ))
+      )
+    );
+  }
+
+  /**
+   * Downloads a report dataset as CSV. Money columns are written in major units of the report currency.
+   * @param {string} filename
+   * @param {{columns: Array, rows: Array}} dataset - From CRCData.buildReports.
+   * @param {string} currency
+   */
+  function downloadCsv(filename, dataset, currency) {
+    const cell = (v) => {
+      let text = v == null ? '' : String(v);
+      // text that a spreadsheet would run as a formula is prefixed with ' (numbers, even negative, are left alone)
+      if (typeof v === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [
+      dataset.columns.map(c => cell(c.money ? `${c.label} (${currency})` : c.label)).join(','),
+      ...dataset.rows.map(r => dataset.columns.map(c => cell(c.money && r[c.key] != null ? CRCData.fromMinor(r[c.key], currency) : r[c.key])).join(','))
+    ];
+    const blob = new Blob([lines.join('\n')], {
+      type: 'text/csv'
+    });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    a.click();
+    // revoking straight after click() can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+  }
+
   // ----------------------------------------
   // Utilities
   // ----------------------------------------
-  function formatCurrency(n) {
+  // Amounts are integer minor units (cents); formatted in the browser's locale
+  function formatCurrency(minor, currency = CRCData.defaultCurrency()) {
     return new Intl.NumberFormat(undefined, {
       style: 'currency',
-      currency: 'USD',
-      maximumFractionDigits: 0
-    }).format(Number(n) || 0);
+      currency
+    }).format(CRCData.fromMinor(minor, currency));
+  }
+
+  function createCurrencySelect(value = CRCData.defaultCurrency()) {
+    const select = el('select', {},
+      Object.keys(CRCData.CURRENCIES).map(c => el('option', {
+        value: c
+      }, c))
+    );
+    select.value = value;
+    return select;
   }
 
   function getSession() {
     return CRCData.getSession();
   }
 
+  // Bounces to the sign-in page, passing why the session ended (expired / idle) when known
   function requireAuth() {
-    const s = getSession();
-    if (!s) {
-      location.href = 'index.html';
+    const { session, reason } = CRCData.sessionState();
+    if (!session) {
+      location.href = reason ? `index.html?reason=${reason}` : 'index.html';
       return null;
     }
-    return s;
+    return session;
   }
 
   // ----------------------------------------
@@ -234,19 +618,16 @@
     location.href = 'index.html';
   });
 
+  // Switching accounts needs that account's password, so it goes through the sign-in page
   refs.btnSwitch.addEventListener('click', () => {
-    const users = CRCData.read(CRCData.KEYS.users, []);
-    if (!users.length) return toast('No users to switch. Create one.');
-    const next = users[Math.floor(Math.random() * users.length)];
-    CRCData.setSession(next);
-    toast('Switched to ' + next.name);
-    render();
+    CRCData.clearSession();
+    location.href = 'index.html?reason=switch';
   });
 
   // NEW: "New" button with modal
   refs.btnNew.addEventListener('click', () => {
-    const session = getSession();
-    if (!session) return location.href = 'index.html';
+    const session = requireAuth();
+    if (!session) return;
 
     let title, formContent, saveHandler;
 
@@ -261,24 +642,34 @@
         type: 'number',
         placeholder: '10000'
       });
+      const templateSelect = createTemplateSelect();
+      const currencySelect = createCurrencySelect();
       formContent = el('div', {
         className: 'forms'
       },
         el('label', {}, 'Project Location', locInput),
-        el('label', {}, 'Budget (USD)', budInput)
+        el('label', {}, 'Currency', currencySelect),
+        el('label', {}, 'Budget', budInput),
+        el('label', {}, 'Project type', templateSelect)
       );
       saveHandler = () => {
         const loc = locInput.value.trim();
-        const bud = Number(budInput.value) || 0;
+        const bud = CRCData.toMinor(budInput.value, currencySelect.value);
         if (!loc) {
           toast('Location is required');
           return false;
         }
-        CRCData.addProject(session.id, {
+        const res = CRCData.addProject(session.id, {
           location: loc,
           budget: bud,
-          timeline: 12
+          currency: currencySelect.value,
+          timeline: 12,
+          stageTemplate: templateSelect.value
         });
+        if (res.error) {
+          toast(res.error);
+          return false;
+        }
         toast('Project created');
         render();
         return true; // close modal
@@ -307,7 +698,11 @@
           toast('Email is required');
           return false;
         }
-        CRCData.addLead(session.id, email, notesInput.value.trim());
+        const res = CRCData.addLead(session.id, email, notesInput.value.trim());
+        if (res.error) {
+          toast(res.error);
+          return false;
+        }
         toast('Lead added');
         render();
         return true;
@@ -330,12 +725,16 @@
         type: 'number',
         placeholder: '20000'
       });
+      const templateSelect = createTemplateSelect();
+      const currencySelect = createCurrencySelect();
       formContent = el('div', {
         className: 'forms'
       },
         el('label', {}, 'Customer Email', emailInput),
         el('label', {}, 'Project Location', locInput),
-        el('label', {}, 'Budget (USD)', budInput)
+        el('label', {}, 'Currency', currencySelect),
+        el('label', {}, 'Budget', budInput),
+        el('label', {}, 'Project type', templateSelect)
       );
       saveHandler = () => {
         const custEmail = emailInput.value.trim();
@@ -345,11 +744,20 @@
           return false;
         }
         const cust = CRCData.registerOrGetUserByEmail(custEmail, custEmail.split('@')[0], 'customer');
-        const bud = Number(budInput.value) || 0;
-        CRCData.addProject(cust.id, {
+        if (cust.error) {
+          toast(cust.error);
+          return false;
+        }
+        const res = CRCData.addProject(cust.id, {
           location: loc,
-          budget: bud
+          budget: CRCData.toMinor(budInput.value, currencySelect.value),
+          currency: currencySelect.value,
+          stageTemplate: templateSelect.value
         });
+        if (res.error) {
+          toast(res.error);
+          return false;
+        }
         toast('Project created for ' + cust.email);
         render();
         return true;
@@ -358,8 +766,85 @@
     showModal(title, formContent, saveHandler);
   });
 
-  // NEW: Search handler (just calls render)
-  refs.globalSearch.addEventListener('input', render);
+  // Search: typing filters the current list (or refreshes results), Enter opens the results page
+  refs.globalSearch.addEventListener('input', () => {
+    render();
+    updateSuggestions();
+  });
+  refs.globalSearch.addEventListener('keydown', (ev) => {
+    if (handleSuggestionKey(ev)) return;
+    if (ev.key === 'Enter') {
+      hideSuggestions();
+      location.hash = `search/${encodeURIComponent(refs.globalSearch.value.trim())}`;
+    }
+  });
+  refs.globalSearch.addEventListener('blur', () => setTimeout(hideSuggestions, 150));
+
+  // Autocomplete for the term under the cursor: field names first, then known values of that field
+  const suggestBox = el('div', {
+    className: 'suggest hidden'
+  });
+  refs.globalSearch.parentElement.append(suggestBox);
+  let suggestions = [];
+  let suggestIndex = -1;
+
+  function currentToken() {
+    const input = refs.globalSearch;
+    const before = input.value.slice(0, input.selectionStart);
+    // a quoted value may contain spaces, so the term starts after the last space outside quotes
+    const match = before.match(/(?:^|\s)((?:[^\s"]|"[^"]*"?)*)$/);
+    return {
+      start: before.length - (match ? match[1].length : 0),
+      text: match ? match[1] : ''
+    };
+  }
+
+  function updateSuggestions() {
+    const token = currentToken();
+    suggestions = token.text ? CRCData.searchSuggestions(token.text).filter(sg => sg.value !== token.text) : [];
+    suggestIndex = -1;
+    suggestBox.innerHTML = '';
+    suggestions.forEach((sg, i) => suggestBox.append(el('div', {
+      className: 'suggest-item',
+      onclick: () => acceptSuggestion(i)
+    }, el('strong', {}, sg.value), el('span', {
+      className: 'muted small'
+    }, ` ${sg.label}`))));
+    suggestBox.classList.toggle('hidden', !suggestions.length);
+  }
+
+  function hideSuggestions() {
+    suggestions = [];
+    suggestBox.classList.add('hidden');
+  }
+
+  function acceptSuggestion(i) {
+    const input = refs.globalSearch;
+    const token = currentToken();
+    const value = suggestions[i].value;
+    const rest = input.value.slice(input.selectionStart);
+    const insert = value.endsWith(':') ? value : `${value} `;
+    input.value = input.value.slice(0, token.start) + insert + rest.replace(/^\S*\s?/, '');
+    input.setSelectionRange(token.start + insert.length, token.start + insert.length);
+    input.focus();
+    render();
+    updateSuggestions();
+  }
+
+  // Arrow keys move through suggestions; Tab or Enter takes the highlighted one
+  function handleSuggestionKey(ev) {
+    if (!suggestions.length) return false;
+    if (ev.key === 'ArrowDown' || ev.key === 'ArrowUp') {
+      suggestIndex = (suggestIndex + (ev.key === 'ArrowDown' ? 1 : -1) + suggestions.length) % suggestions.length;
+      Array.from(suggestBox.children).forEach((c, i) => c.classList.toggle('active', i === suggestIndex));
+    } else if ((ev.key === 'Tab' || ev.key === 'Enter') && suggestIndex >= 0) {
+      acceptSuggestion(suggestIndex);
+    } else if (ev.key === 'Escape') {
+      hideSuggestions();
+    } else return false;
+    ev.preventDefault();
+    return true;
+  }
 
   // Quick actions
   refs.quickAddLead.addEventListener('click', () => {
@@ -380,11 +865,18 @@
   // ----------------------------------------
   // Feed Rendering
   // ----------------------------------------
-  function renderFeedItem(d) {
-    const el = document.createElement('div');
-    el.className = 'item';
-    el.innerHTML = `<div><div class="muted small">${new Date().toLocaleTimeString()}</div><div>${d.type} ${d.key ? '- ' + d.key : ''}</div></div>`;
-    refs.feed.prepend(el);
+  function renderFeedItem(message, at) {
+    const item = el('div', {
+      className: 'item'
+    },
+      el('div', {},
+        el('div', {
+          className: 'muted small'
+        }, new Date(at || Date.now()).toLocaleTimeString()),
+        el('div', {}, message)
+      )
+    );
+    refs.feed.prepend(item);
     if (refs.feed.children.length > 12) refs.feed.removeChild(refs.feed.children[12]);
     refs.bcStatus.textContent = 'online';
   }
@@ -405,7 +897,12 @@
     refs.sProjects.textContent = projects.length;
 
     const openProjects = projects.filter(p => p.status !== 'completed').length;
-    const pendingLeads = leads.filter(l => l.status === 'new').length;
+    // late count only covers the projects this role can open
+    let visible = projects;
+    if (s.role === 'customer') visible = projects.filter(p => p.customerId === s.id);
+    if (s.role === 'referrer') visible = projects.filter(p => p.referrerId === s.id);
+    const lateProjects = visible.filter(p => CRCData.projectSchedule(p).late).length;
+    const pendingLeads = leads.filter(CRCData.isOpenLead).length;
 
     // Mini feed
     const miniFeed = el('div', {
@@ -457,6 +954,21 @@
                   fontWeight: '800'
                 }
               }, pendingLeads)
+            ),
+            el('div', {
+              style: {
+                flex: '1'
+              }
+            },
+              el('small', {
+                className: 'muted'
+              }, 'Late projects'),
+              el('div', {
+                style: {
+                  fontWeight: '800',
+                  color: lateProjects ? 'var(--danger)' : ''
+                }
+              }, lateProjects)
             )
           )
         ),
@@ -474,6 +986,12 @@
         className: 'panel'
       },
         el('h3', {}, 'Your summary'),
+        s.role === 'referrer' && createReferralPanel(s),
+        s.role === 'referrer' && (() => {
+          const bal = CRCData.commissionBalance(s.id);
+          return el('p', {}, el('strong', {}, 'Commission balance: '),
+            `${formatCurrency(bal.outstanding, bal.currency)} outstanding • ${formatCurrency(bal.accrued, bal.currency)} accrued • ${formatCurrency(bal.paid, bal.currency)} paid${bal.missingRates ? ` (${bal.missingRates} entries without an exchange rate)` : ''}`);
+        })(),
         el('p', {
           className: 'muted'
         }, 'View Projects or Leads to manage items — actions are realtime across browser tabs.')
@@ -481,124 +999,857 @@
     );
   }
 
-  // REFACTORED: viewProjects
-  function viewProjects(filterQuery = '') {
-    const s = requireAuth();
-    if (!s) return;
-    refs.pageTitle.textContent = 'Projects';
-    refs.pageDesc.textContent = 'Create, view and manage projects';
+  /**
+   * Referral link + per-code click / sign-up / conversion counts for a referrer's Overview.
+   * @param {object} s - The referrer's session.
+   * @returns {HTMLElement}
+   */
+  function createReferralPanel(s) {
+    // rendering only reads; the code is issued when the referrer asks for it
+    const active = CRCData.read(CRCData.KEYS.referralCodes, []).find(c => c.referrerId === s.id && c.active);
+    if (!active) return el('p', {
+      style: {
+        marginBottom: '10px'
+      }
+    },
+      el('button', {
+        className: 'btn',
+        textContent: 'Get my referral link',
+        onclick: () => {
+          const res = CRCData.ensureReferralCode(s.id);
+          if (res.error) return toast(res.error);
+          render();
+        }
+      })
+    );
+    const link = `${location.href.replace(/[^/]*$/, '')}index.html?ref=${active.code}`;
+    return el('div', {
+      style: {
+        marginBottom: '10px'
+      }
+    },
+      el('p', {}, el('strong', {}, 'Your referral link: '), el('code', {}, link), ' ',
+        el('button', {
+          className: 'btn tiny',
+          textContent: 'Copy',
+          onclick: () => navigator.clipboard.writeText(link).then(() => toast('Link copied'), () => toast('Copy failed — select the link instead'))
+        })
+      ),
+      CRCData.referralStats(s.id).map(c => el('div', {
+        className: 'muted small'
+      }, `${c.code}${c.active ? '' : ' (inactive)'}: ${c.clicks} clicks • ${c.signups} sign-ups • ${c.conversions} conversions`))
+    );
+  }
 
-    const projects = CRCData.read(CRCData.KEYS.projects, []);
-    const users = CRCData.read(CRCData.KEYS.users, []);
+  // ----------------------------------------
+  // List tables: sort, filter and paging state lives after "?" in the hash (#projects?view=table&sort=-budget)
+  // ----------------------------------------
+  const TABLE_ROW_HEIGHT = 44;
+  const TABLE_OVERSCAN = 8;
+  const TABLE_PAGE_SIZES = ['25', '50', '100', '500', 'all'];
+  let tableScroll = {
+    hash: '',
+    top: 0
+  };
 
-    let list = projects;
-    if (s.role === 'customer') list = projects.filter(p => p.customerId === s.id);
-    if (s.role === 'referrer') list = projects.filter(p => p.referrerId === s.id);
+  // [view, id, tab] of the current route, without the list state
+  function currentRoute() {
+    return (location.hash || '#overview').slice(1).split('?')[0].split('/');
+  }
 
-    if (filterQuery) {
-      refs.pageDesc.textContent = `Filtering projects for "${filterQuery}"`;
-      list = list.filter(p =>
-        (p.location || '').toLowerCase().includes(filterQuery) ||
-        p.id.toLowerCase().includes(filterQuery)
-      );
+  function routeParams() {
+    return new URLSearchParams(location.hash.split('?')[1] || '');
+  }
+
+  /**
+   * Updates the list state in the hash; '' or null removes a key. Anything but a page change returns to page 1.
+   * @param {object} updates - Param name → value.
+   */
+  function setRouteParams(updates) {
+    const params = routeParams();
+    Object.entries(updates).forEach(([k, v]) => v === null || v === '' ? params.delete(k) : params.set(k, v));
+    if (!('page' in updates)) params.delete('page');
+    const route = location.hash.slice(1).split('?')[0];
+    location.hash = params.toString() ? `${route}?${params}` : route;
+  }
+
+  /**
+   * Keeps the records matching every active facet. A facet is active when the hash holds a comma-separated
+   * list of values for its key.
+   * @param {Array} records
+   * @param {Array<{key: string, get: Function}>} facets
+   * @returns {Array}
+   */
+  function applyFacets(records, facets) {
+    const params = routeParams();
+    return facets.reduce((list, f) => {
+      const active = (params.get(f.key) || '').split(',').filter(Boolean);
+      return active.length ? list.filter(r => active.includes(String(f.get(r)))) : list;
+    }, records);
+  }
+
+  /**
+   * Filter chips, one group per facet; each chip toggles its value in the hash.
+   * @param {Array<{key: string, label: string, options: Array<{value: string, label: string}>}>} facets
+   * @returns {HTMLElement}
+   */
+  function createFilterChips(facets) {
+    const params = routeParams();
+    const shown = facets.filter(f => f.options.length > 1 || params.has(f.key));
+    const anyActive = shown.some(f => params.has(f.key));
+    return el('div', {
+      className: 'chips'
+    },
+      shown.map(f => {
+        const active = (params.get(f.key) || '').split(',').filter(Boolean);
+        return el('div', {
+          className: 'chip-group'
+        },
+          el('span', {
+            className: 'muted small'
+          }, f.label),
+          f.options.map(o => el('button', {
+            className: `chip${active.includes(o.value) ? ' active' : ''}`,
+            textContent: o.label,
+            onclick: () => setRouteParams({
+              [f.key]: (active.includes(o.value) ? active.filter(v => v !== o.value) : [...active, o.value]).join(',')
+            })
+          }))
+        );
+      }),
+      anyActive && el('button', {
+        className: 'btn tiny ghost',
+        textContent: 'Clear filters',
+        onclick: () => setRouteParams(Object.fromEntries(shown.map(f => [f.key, null])))
+      })
+    );
+  }
+
+  /**
+   * Builds a sortable, paged table that only puts the rows scrolled into view in the DOM, so pages of
+   * thousands of records stay responsive. Rows carry data-row like the card lists.
+   * @param {Array<{key: string, label: string, width?: string, sort?: Function, cell: Function}>} columns -
+   *   sort returns a comparable value (columns without one are not sortable); cell returns a node or text.
+   * @param {Array} records - Already filtered.
+   * @param {string} noun - Plural name for the footer, e.g. 'projects'.
+   * @returns {HTMLElement}
+   */
+  function createVirtualTable(columns, records, noun) {
+    const params = routeParams();
+    const sortParam = params.get('sort') || '';
+    const desc = sortParam.startsWith('-');
+    const sortCol = columns.find(c => c.sort && c.key === sortParam.replace(/^-/, ''));
+    let rows = records;
+    if (sortCol) {
+      // compute each key once; ties keep the stored order
+      rows = records.map((r, i) => [sortCol.sort(r), i, r])
+        .sort(([a, ai], [b, bi]) => (a < b ? -1 : a > b ? 1 : 0) * (desc ? -1 : 1) || ai - bi)
+        .map(([, , r]) => r);
     }
+    const sizeParam = TABLE_PAGE_SIZES.includes(params.get('size')) ? params.get('size') : '50';
+    const size = sizeParam === 'all' ? rows.length || 1 : Number(sizeParam);
+    const pages = Math.max(1, Math.ceil(rows.length / size));
+    const page = Math.min(pages, Math.max(1, Number(params.get('page')) || 1));
+    const pageRows = rows.slice((page - 1) * size, page * size);
+    const template = columns.map(c => c.width || '1fr').join(' ');
 
-    const container = el('div', {
-      id: 'projects-list',
-      className: 'list',
+    const header = el('div', {
+      className: 'vt-row vt-head',
       style: {
-        marginTop: '10px'
+        gridTemplateColumns: template
+      }
+    }, columns.map(c => c.sort ? el('button', {
+      className: `vt-sort${sortCol === c ? ' active' : ''}`,
+      textContent: `${c.label}${sortCol === c ? (desc ? ' ▼' : ' ▲') : ''}`,
+      onclick: () => setRouteParams({
+        sort: sortCol === c && !desc ? `-${c.key}` : c.key
+      })
+    }) : el('span', {}, c.label)));
+    const body = el('div', {
+      className: 'vt-body',
+      style: {
+        height: `${pageRows.length * TABLE_ROW_HEIGHT}px`
       }
     });
-    if (!list.length) {
-      container.append(el('div', {
-        className: 'muted'
-      }, 'No projects found.'));
-    }
+    const viewport = el('div', {
+      className: 'vt-viewport'
+    }, header, body);
+
+    let drawn = '';
+    const draw = () => {
+      // before the table is attached clientHeight is 0; the viewport's max height is a safe guess
+      const height = viewport.clientHeight || 600;
+      const first = Math.max(0, Math.floor(viewport.scrollTop / TABLE_ROW_HEIGHT) - TABLE_OVERSCAN);
+      const last = Math.min(pageRows.length, Math.ceil((viewport.scrollTop + height) / TABLE_ROW_HEIGHT) + TABLE_OVERSCAN);
+      if (drawn === `${first}:${last}`) return;
+      drawn = `${first}:${last}`;
+      body.replaceChildren(...pageRows.slice(first, last).map((r, i) => el('div', {
+        className: 'vt-row',
+        'data-row': r.id,
+        style: {
+          top: `${(first + i) * TABLE_ROW_HEIGHT}px`,
+          gridTemplateColumns: template
+        }
+      }, columns.map(c => el('div', {
+        className: 'vt-cell'
+      }, c.cell(r))))));
+    };
+    draw();
+    // live updates re-render the view; keep the reader where they were scrolled to
+    const hash = location.hash;
+    viewport.addEventListener('scroll', () => {
+      tableScroll = {
+        hash,
+        top: viewport.scrollTop
+      };
+      draw();
+    });
+    if (tableScroll.hash === hash) requestAnimationFrame(() => {
+      viewport.scrollTop = tableScroll.top;
+      draw();
+    });
 
-    list.forEach(p => {
-      const cust = users.find(u => u.id === p.customerId);
-      const ref = users.find(u => u.id === p.referrerId);
-      const commissionAmount = Math.round((p.budget || 0) * (p.commissionPercent || 0) / 100);
-      const stagesDone = p.stages.filter(s => s.done).length;
-      const stagesTotal = p.stages.length;
+    const sizeSelect = el('select', {
+      onchange: () => setRouteParams({
+        size: sizeSelect.value === '50' ? null : sizeSelect.value
+      })
+    }, TABLE_PAGE_SIZES.map(n => el('option', {
+      value: n
+    }, n === 'all' ? 'All' : n)));
+    sizeSelect.value = sizeParam;
+    const prev = el('button', {
+      className: 'btn tiny',
+      textContent: 'Prev',
+      onclick: () => setRouteParams({
+        page: page - 1 > 1 ? String(page - 1) : null
+      })
+    });
+    const next = el('button', {
+      className: 'btn tiny',
+      textContent: 'Next',
+      onclick: () => setRouteParams({
+        page: String(page + 1)
+      })
+    });
+    prev.disabled = page <= 1;
+    next.disabled = page >= pages;
 
-      container.append(el('div', {
-        className: 'item'
+    return el('div', {
+      className: 'vtable'
+    },
+      viewport,
+      el('div', {
+        className: 'vt-foot'
       },
-        el('div', {
-          style: {
-            display: 'flex',
-            gap: '12px',
-            alignItems: 'center',
-            flex: '1',
-            minWidth: '0'
-          }
-        },
-          el('div', {
-            style: {
-              minWidth: '56px'
-            }
-          },
-            el('div', {
-              className: 'pill',
-              textContent: p.status
-            })
-          ),
-          el('div', {
-            style: {
-              flex: '1',
-              minWidth: '0'
-            }
-          },
-            el('div', {},
-              el('strong', {}, p.location),
-              el('span', {
-                className: 'muted small'
-              }, ` #${p.id}`)
-            ),
-            el('div', {
-              className: 'muted small'
-            }, `Customer: ${cust?cust.name:'—'} | Referrer: ${ref?ref.name:'—'}`),
-            el('div', {
+        el('span', {
+          className: 'muted small'
+        }, rows.length ? `${(page - 1) * size + 1}–${(page - 1) * size + pageRows.length} of ${rows.length} ${noun}` : `No ${noun} match`),
+        el('label', {
+          className: 'muted small'
+        }, 'Rows per page ', sizeSelect),
+        prev,
+        el('span', {
+          className: 'small'
+        }, `Page ${page} / ${pages}`),
+        next
+      )
+    );
+  }
+
+  // Cards / Table switch for the list views
+  function createModeSwitch(table) {
+    return el('div', {
+      className: 'chip-group'
+    },
+      [
+        ['Cards', false],
+        ['Table', true]
+      ].map(([label, isTable]) => el('button', {
+        className: `chip${table === isTable ? ' active' : ''}`,
+        textContent: label,
+        onclick: () => setRouteParams({
+          view: isTable ? 'table' : null
+        })
+      }))
+    );
+  }
+
+  // ----------------------------------------
+  // Bulk actions: selection, preview and apply for the projects list and lead board
+  // ----------------------------------------
+  // Selected ids per list; kept across re-renders and trimmed to what the list currently matches
+  const selection = {
+    project: new Set(),
+    lead: new Set()
+  };
+
+  function canSelect(type) {
+    return type === 'project' ? CRCData.can('project.update') : CRCData.can('lead.convert') || CRCData.can('lead.move');
+  }
+
+  function selectBox(type, id) {
+    const box = el('input', {
+      type: 'checkbox',
+      title: 'Select',
+      'data-select': id
+    });
+    box.checked = selection[type].has(id);
+    return box;
+  }
+
+  // Leading checkbox column for createVirtualTable
+  function selectColumn(type) {
+    return {
+      key: 'select',
+      label: '',
+      width: '28px',
+      cell: r => selectBox(type, r.id)
+    };
+  }
+
+  /**
+   * Selection toolbar: count, select all matching (across pages and off-screen rows), clear, and the
+   * bulk actions, each given the selected ids.
+   * @param {string} type - 'project' or 'lead'.
+   * @param {Array} list - Records the list currently matches.
+   * @param {Array<{label: string, open: Function}>} actions
+   * @returns {{element: HTMLElement, onChange: Function}} onChange handles checkbox changes delegated from the list.
+   */
+  function createBulkBar(type, list, actions) {
+    const selected = selection[type];
+    const matching = new Set(list.map(r => r.id));
+    [...selected].forEach(id => {
+      if (!matching.has(id)) selected.delete(id);
+    });
+    const element = el('div', {
+      className: 'bulk-bar'
+    });
+    const refresh = () => element.replaceChildren(
+      el('span', {
+        className: 'small'
+      }, selected.size ? `${selected.size} selected` : 'Select rows for bulk actions'),
+      selected.size < matching.size && el('button', {
+        className: 'btn tiny ghost',
+        textContent: `Select all ${matching.size} matching`,
+        onclick: () => {
+          matching.forEach(id => selected.add(id));
+          syncBoxes();
+        }
+      }),
+      selected.size > 0 && el('button', {
+        className: 'btn tiny ghost',
+        textContent: 'Clear',
+        onclick: () => {
+          selected.clear();
+          syncBoxes();
+        }
+      }),
+      actions.map(a => {
+        const btn = el('button', {
+          className: 'btn tiny',
+          textContent: a.label,
+          onclick: () => a.open([...selected])
+        });
+        btn.disabled = !selected.size;
+        return btn;
+      })
+    );
+    const syncBoxes = () => {
+      refs.viewArea.querySelectorAll('input[data-select]').forEach(box => {
+        box.checked = selected.has(box.dataset.select);
+      });
+      refresh();
+    };
+    refresh();
+    return {
+      element,
+      onChange: (ev) => {
+        const box = ev.target.closest('input[data-select]');
+        if (!box) return;
+        if (box.checked) selected.add(box.dataset.select);
+        else selected.delete(box.dataset.select);
+        refresh();
+      }
+    };
+  }
+
+  /**
+   * Opens a bulk action with its inputs and a preview of what happens to each selected record, re-run
+   * shortly after an input changes; Save applies it to every selected record, or to none if any can't change.
+   * @param {string} type - 'project' or 'lead'.
+   * @param {string} action - Bulk action name in CRCData.applyBulk.
+   * @param {string[]} ids
+   * @param {string} title
+   * @param {HTMLElement[]} inputs - Labelled inputs read by params.
+   * @param {Function} params - Returns the action's parameters from the inputs.
+   */
+  function openBulkModal(type, action, ids, title, inputs, params) {
+    const preview = el('div', {
+      className: 'list bulk-preview'
+    });
+    const itemRow = (i) => el('div', {
+      className: `small${i.ok ? '' : ' muted'}`
+    }, `${i.ok ? '✓' : '✕'} ${i.label}${i.error ? ` — ${i.error}` : ''}`);
+    const update = () => {
+      const res = CRCData.previewBulk(action, ids, params());
+      if (res.error) return preview.replaceChildren(el('div', {
+        className: 'small'
+      }, res.error));
+      preview.replaceChildren(el('div', {
+        className: 'small'
+      }, el('strong', {}, res.failed ? `${res.failed} of ${res.items.length} can't change, so nothing will` : `${res.applied} of ${res.items.length} will change`)), ...res.items.map(itemRow));
+    };
+    // a preview runs the whole batch, so wait for typing to pause
+    let pending = null;
+    const schedule = () => {
+      clearTimeout(pending);
+      pending = setTimeout(update, 250);
+    };
+    const form = el('div', {
+      className: 'forms'
+    }, inputs, el('h4', {}, 'Preview'), preview);
+    form.addEventListener('input', schedule);
+    form.addEventListener('change', schedule);
+    update();
+
+    showModal(title, form, () => {
+      clearTimeout(pending);
+      const res = CRCData.applyBulk(action, ids, params());
+      if (res.error) {
+        toast(res.error);
+        // show which records stood in the way
+        if (res.items) update();
+        return false;
+      }
+      res.items.forEach(i => selection[type].delete(i.id));
+      toast(`${title}: ${res.applied} done`);
+      render();
+      return true;
+    });
+  }
+
+  /**
+   * Previews and downloads the selected records as CSV. Amounts are in each record's own currency.
+   * @param {string} type - 'project' or 'lead'.
+   * @param {string[]} ids
+   */
+  function openExportModal(type, ids) {
+    const wanted = new Set(ids);
+    const users = CRCData.read(CRCData.KEYS.users, []);
+    const nameOf = (id) => (users.find(u => u.id === id) || {}).name || '';
+    let dataset;
+    if (type === 'project') {
+      const contractors = CRCData.read(CRCData.KEYS.contractors, []);
+      const records = CRCData.read(CRCData.KEYS.projects, []).filter(p => wanted.has(p.id));
+      dataset = {
+        columns: [
+          ['id', 'ID'], ['location', 'Location'], ['status', 'Status'], ['verified', 'Verified'], ['currency', 'Currency'],
+          ['budget', 'Budget'], ['commissionPercent', 'Commission %'], ['commission', 'Commission'], ['stages', 'Stages complete'],
+          ['customer', 'Customer'], ['referrer', 'Referrer'], ['contractor', 'Contractor'], ['created', 'Created']
+        ].map(([key, label]) => ({ key, label })),
+        rows: records.map(p => ({
+          ...p,
+          budget: CRCData.fromMinor(p.budget, p.currency),
+          commission: CRCData.fromMinor(CRCData.commissionAmount(p), p.currency),
+          stages: `${p.stages.filter(st => st.done).length}/${p.stages.length}`,
+          verified: p.verified ? 'yes' : 'no',
+          customer: nameOf(p.customerId),
+          referrer: nameOf(p.referrerId),
+          contractor: (contractors.find(c => c.id === p.assignedContractorId) || {}).name || '',
+          created: (p.createdAt || '').slice(0, 10),
+          label: p.location
+        }))
+      };
+    } else {
+      const records = CRCData.read(CRCData.KEYS.leads, []).filter(l => wanted.has(l.id));
+      dataset = {
+        columns: [
+          ['id', 'ID'], ['email', 'Email'], ['status', 'Stage'], ['referrer', 'Referrer'], ['notes', 'Notes'],
+          ['lostReason', 'Lost reason'], ['convertedProjectId', 'Project'], ['created', 'Created']
+        ].map(([key, label]) => ({ key, label })),
+        rows: records.map(l => ({
+          ...l,
+          referrer: nameOf(l.referrerId),
+          created: (l.createdAt || '').slice(0, 10),
+          label: l.email
+        }))
+      };
+    }
+    showModal(`Export ${dataset.rows.length} ${type}s`, el('div', {},
+      el('p', {
+        className: 'muted small'
+      }, `Columns: ${dataset.columns.map(c => c.label).join(', ')}`),
+      el('div', {
+        className: 'list bulk-preview'
+      }, dataset.rows.map(r => el('div', {
+        className: 'small'
+      }, r.label)))
+    ), () => {
+      downloadCsv(`${type}s-${new Date().toISOString().slice(0, 10)}.csv`, dataset, CRCData.defaultCurrency());
+      toast(`Exported ${dataset.rows.length} ${type}s`);
+      return true;
+    });
+  }
+
+  // Bulk actions offered on the projects list
+  function projectBulkActions() {
+    const actions = [];
+    if (CRCData.can('project.update')) {
+      actions.push({
+        label: 'Approve',
+        open: (ids) => openBulkModal('project', 'approve', ids, 'Approve projects', [], () => ({}))
+      }, {
+        label: 'Assign contractor',
+        open: (ids) => {
+          const contractors = CRCData.read(CRCData.KEYS.contractors, []);
+          if (!contractors.length) return toast('Add a contractor first');
+          const picker = el('select', {}, contractors.map(c => el('option', {
+            value: c.id
+          }, `${c.name} — ${c.trade} • ${CRCData.contractorLoad(c.id).length}/${c.maxConcurrent} active${c.available ? '' : ' • unavailable'}`)));
+          const force = el('input', {
+            type: 'checkbox'
+          });
+          openBulkModal('project', 'assign', ids, 'Assign contractor', [
+            el('label', {}, 'Contractor', picker),
+            el('label', {}, force, ' Assign even if unavailable or over capacity')
+          ], () => ({
+            contractorId: picker.value,
+            force: force.checked
+          }));
+        }
+      }, {
+        label: 'Commission %',
+        open: (ids) => {
+          const percent = el('input', {
+            type: 'number',
+            step: '0.1',
+            placeholder: 'e.g. 8'
+          });
+          openBulkModal('project', 'commission', ids, 'Change commission', [
+            el('label', {}, 'Commission %', percent)
+          ], () => ({
+            percent: percent.value === '' ? NaN : Number(percent.value)
+          }));
+        }
+      });
+    }
+    actions.push({
+      label: 'Export',
+      open: (ids) => openExportModal('project', ids)
+    });
+    return actions;
+  }
+
+  // Bulk actions offered on the lead board
+  function leadBulkActions() {
+    const actions = [];
+    if (CRCData.can('lead.convert')) {
+      actions.push({
+        label: 'Convert',
+        open: (ids) => {
+          const budInput = el('input', {
+            type: 'number',
+            placeholder: '10000'
+          });
+          const currencySelect = createCurrencySelect();
+          const templateSelect = createTemplateSelect();
+          openBulkModal('lead', 'convert', ids, 'Convert leads', [
+            el('p', {
               className: 'muted small'
-            }, `Budget: ${formatCurrency(p.budget)} • Comm: ${formatCurrency(commissionAmount)} (${p.commissionPercent}%)`),
-            el('div', {
-              className: 'muted small',
-              style: {
-                marginTop: '6px'
-              }
-            }, `Stages: ${stagesDone} / ${stagesTotal} complete`)
-          )
-        ),
+            }, 'Each lead becomes a project with this budget; new customers are named after their email until they sign up.'),
+            el('label', {}, 'Currency', currencySelect),
+            el('label', {}, 'Initial budget (each)', budInput),
+            el('label', {}, 'Project type', templateSelect)
+          ], () => ({
+            budget: CRCData.toMinor(budInput.value, currencySelect.value),
+            currency: currencySelect.value,
+            stageTemplate: templateSelect.value
+          }));
+        }
+      });
+    }
+    if (CRCData.can('lead.move')) {
+      actions.push({
+        label: 'Mark lost',
+        open: (ids) => {
+          const reasonInput = el('input', {
+            placeholder: 'e.g., Went with another builder'
+          });
+          openBulkModal('lead', 'lost', ids, 'Mark leads lost', [
+            el('label', {}, 'Reason', reasonInput)
+          ], () => ({
+            reason: reasonInput.value
+          }));
+        }
+      });
+    }
+    actions.push({
+      label: 'Export',
+      open: (ids) => openExportModal('lead', ids)
+    });
+    return actions;
+  }
+
+  // REFACTORED: viewProjects
+  /**
+   * Builds one row of the projects list. Rows carry data-row so live updates can replace them in place.
+   * @param {object} p - The project.
+   * @param {object} s - The current session.
+   * @param {Array} users
+   * @param {Array} contractors
+   * @returns {HTMLElement}
+   */
+  function projectRow(p, s, users, contractors) {
+    const cust = users.find(u => u.id === p.customerId);
+    const ref = users.find(u => u.id === p.referrerId);
+    const contractor = contractors.find(c => c.id === p.assignedContractorId);
+    const commissionAmount = CRCData.commissionAmount(p);
+    const stagesDone = p.stages.filter(s => s.done).length;
+    const stagesTotal = p.stages.length;
+    const schedule = CRCData.projectSchedule(p);
+
+    return el('div', {
+      className: 'item',
+      'data-row': p.id
+    },
+      el('div', {
+        style: {
+          display: 'flex',
+          gap: '12px',
+          alignItems: 'center',
+          flex: '1',
+          minWidth: '0'
+        }
+      },
+        canSelect('project') && selectBox('project', p.id),
         el('div', {
           style: {
-            display: 'flex',
-            gap: '8px',
-            alignItems: 'center'
+            minWidth: '56px'
           }
         },
-          el('button', {
-            className: 'btn',
-            'data-action': 'view',
-            'data-id': p.id,
-            textContent: 'View'
-          }),
-          s.role === 'admin' && el('button', {
-            className: 'btn',
-            'data-action': 'assign',
-            'data-id': p.id,
-            textContent: 'Assign'
+          el('div', {
+            className: 'pill',
+            textContent: p.status
           }),
-          (s.role === 'admin' && !p.verified) && el('button', {
-            className: 'btn primary',
-            'data-action': 'approve',
-            'data-id': p.id,
-            textContent: 'Approve'
+          schedule.late && el('div', {
+            className: 'pill late',
+            style: {
+              marginTop: '4px'
+            },
+            textContent: 'Late'
           })
+        ),
+        el('div', {
+          style: {
+            flex: '1',
+            minWidth: '0'
+          }
+        },
+          el('div', {},
+            el('strong', {}, p.location),
+            el('span', {
+              className: 'muted small'
+            }, ` #${p.id}`)
+          ),
+          el('div', {
+            className: 'muted small'
+          }, `Customer: ${cust?cust.name:'—'} | Referrer: ${ref?ref.name:'—'} | Contractor: ${contractor?contractor.name:'—'}`),
+          el('div', {
+            className: 'muted small'
+          }, `Budget: ${formatCurrency(p.budget, p.currency)} • Comm: ${formatCurrency(commissionAmount, p.currency)} (${p.commissionPercent}%)`),
+          el('div', {
+            className: 'muted small',
+            style: {
+              marginTop: '6px'
+            }
+          }, `Stages: ${stagesDone} / ${stagesTotal} complete • due ${schedule.plannedEnd}${schedule.late ? ` • overdue: ${schedule.overdueStages.map(st => `${st.label} (${st.slipDays}d)`).join(', ')}` : ''}`)
         )
-      ));
+      ),
+      el('div', {
+        style: {
+          display: 'flex',
+          gap: '8px',
+          alignItems: 'center'
+        }
+      },
+        el('button', {
+          className: 'btn',
+          'data-action': 'view',
+          'data-id': p.id,
+          textContent: 'View'
+        }),
+        s.role === 'admin' && el('button', {
+          className: 'btn',
+          'data-action': 'assign',
+          'data-id': p.id,
+          textContent: 'Assign'
+        }),
+        (s.role === 'admin' && !p.verified) && el('button', {
+          className: 'btn primary',
+          'data-action': 'approve',
+          'data-id': p.id,
+          textContent: 'Approve'
+        })
+      )
+    );
+  }
+
+  /**
+   * Columns of the projects table. Money columns sort by their value in the default currency.
+   * @param {object} s - The current session.
+   * @param {Array} users
+   * @returns {Array} Columns for createVirtualTable.
+   */
+  function projectColumns(s, users) {
+    const base = CRCData.defaultCurrency();
+    const rates = {};
+    const inBase = (minor, currency = base) => {
+      if (!(currency in rates)) rates[currency] = CRCData.exchangeRate(currency, base);
+      // no rate on file: fall back to the face value rather than dropping the project to one end
+      return CRCData.fromMinor(minor, currency) * (rates[currency] ?? 1);
+    };
+    const nameOf = (id) => (users.find(u => u.id === id) || {
+      name: '—'
+    }).name;
+    const done = (p) => p.stages.filter(st => st.done).length;
+    return [{
+      key: 'project',
+      label: 'Project',
+      width: '2fr',
+      cell: p => el('div', {
+        className: 'vt-clip'
+      }, el('strong', {}, p.location), el('span', {
+        className: 'muted small'
+      }, ` #${p.id}`))
+    }, {
+      key: 'status',
+      label: 'Status',
+      sort: p => p.status,
+      cell: p => el('span', {
+        className: 'pill small'
+      }, p.status)
+    }, {
+      key: 'budget',
+      label: 'Budget',
+      sort: p => inBase(p.budget, p.currency),
+      cell: p => formatCurrency(p.budget, p.currency)
+    }, {
+      key: 'commission',
+      label: 'Commission',
+      sort: p => inBase(CRCData.commissionAmount(p), p.currency),
+      cell: p => `${formatCurrency(CRCData.commissionAmount(p), p.currency)} (${p.commissionPercent}%)`
+    }, {
+      key: 'stages',
+      label: 'Stages',
+      sort: p => p.stages.length ? done(p) / p.stages.length : 0,
+      cell: p => `${done(p)} / ${p.stages.length}`
+    }, {
+      key: 'created',
+      label: 'Created',
+      sort: p => p.createdAt || '',
+      cell: p => p.createdAt ? new Date(p.createdAt).toLocaleDateString() : '—'
+    }, {
+      key: 'referrer',
+      label: 'Referrer',
+      cell: p => nameOf(p.referrerId)
+    }, {
+      key: 'actions',
+      label: '',
+      width: '1.4fr',
+      cell: p => el('div', {
+        style: {
+          display: 'flex',
+          gap: '6px'
+        }
+      },
+        el('button', {
+          className: 'btn tiny',
+          'data-action': 'view',
+          'data-id': p.id,
+          textContent: 'View'
+        }),
+        (s.role === 'admin' && !p.verified) && el('button', {
+          className: 'btn tiny primary',
+          'data-action': 'approve',
+          'data-id': p.id,
+          textContent: 'Approve'
+        })
+      )
+    }];
+  }
+
+  function viewProjects(filterQuery = '') {
+    const s = requireAuth();
+    if (!s) return;
+    refs.pageTitle.textContent = 'Projects';
+    refs.pageDesc.textContent = 'Create, view and manage projects';
+
+    const projects = CRCData.read(CRCData.KEYS.projects, []);
+    const users = CRCData.read(CRCData.KEYS.users, []);
+    const contractors = CRCData.read(CRCData.KEYS.contractors, []);
+
+    let list = projects;
+    if (s.role === 'customer') list = projects.filter(p => p.customerId === s.id);
+    if (s.role === 'referrer') list = projects.filter(p => p.referrerId === s.id);
+
+    if (filterQuery) {
+      refs.pageDesc.textContent = `Filtering projects for "${filterQuery}"`;
+      list = CRCData.queryRecords('project', list, filterQuery);
+    }
+
+    const nameOf = (id) => (users.find(u => u.id === id) || {
+      name: '—'
+    }).name;
+    const facets = [{
+      key: 'status',
+      label: 'Status',
+      get: p => p.status,
+      options: [...new Set(list.map(p => p.status))].map(v => ({
+        value: v,
+        label: v
+      }))
+    }, {
+      key: 'verified',
+      label: 'Verified',
+      get: p => p.verified ? 'yes' : 'no',
+      options: [{
+        value: 'yes',
+        label: 'Verified'
+      }, {
+        value: 'no',
+        label: 'Unverified'
+      }]
+    }, {
+      key: 'referrer',
+      label: 'Referrer',
+      get: p => p.referrerId || '',
+      options: s.role === 'referrer' ? [] : [...new Set(list.map(p => p.referrerId).filter(Boolean))].map(id => ({
+        value: id,
+        label: nameOf(id)
+      }))
+    }];
+    const chips = createFilterChips(facets);
+    list = applyFacets(list, facets);
+    const table = routeParams().get('view') === 'table';
+    const bulk = canSelect('project') && createBulkBar('project', list, projectBulkActions());
+
+    const container = el('div', {
+      id: 'projects-list',
+      className: table ? '' : 'list',
+      style: {
+        marginTop: '10px'
+      }
     });
+    if (table) {
+      container.append(createVirtualTable([bulk && selectColumn('project'), ...projectColumns(s, users)].filter(Boolean), list, 'projects'));
+    } else if (!list.length) {
+      container.append(el('div', {
+        className: 'muted'
+      }, 'No projects found.'));
+    }
+
+    if (!table) list.forEach(p => container.append(projectRow(p, s, users, contractors)));
+    if (bulk) container.addEventListener('change', bulk.onChange);
 
     // Event delegation for list actions
     container.addEventListener('click', (ev) => {
@@ -609,21 +1860,15 @@
       const action = btn.dataset.action;
 
       if (action === 'view') {
-        viewProjectDetail(id);
+        location.hash = `project/${id}`;
       } else if (action === 'assign') {
-        const name = prompt('Contractor name');
-        if (!name) return;
-        CRCData.updateProject(id, {
-          assignedContractor: name,
-          status: 'in-progress'
-        });
-        toast('Contractor assigned');
-        render();
+        openAssignModal(id);
       } else if (action === 'approve') {
-        CRCData.updateProject(id, {
+        const res = CRCData.updateProject(id, {
           verified: true,
           status: 'approved'
         });
+        if (!res || res.error) return toast(res ? res.error : 'Project not found');
         toast('Project approved');
         render();
       }
@@ -640,53 +1885,491 @@
         }
       },
         el('h3', {}, `${list.length} projects`),
-        el('div', {
-          className: 'muted small'
-        }, 'Click actions on each project')
+        createModeSwitch(table)
       ),
+      chips,
+      bulk && bulk.element,
       container
     ));
   }
 
-  // REFACTORED: viewProjectDetail (with inline editing)
-  function viewProjectDetail(projectId) {
-    const s = requireAuth();
-    if (!s) return;
-    const project = CRCData.read(CRCData.KEYS.projects, []).find(p => p.id === projectId);
-    if (!project) return toast('Project not found');
+  /**
+   * Opens the merge dialog for an edit that lost a race: per conflicting field, keep the value saved
+   * elsewhere or apply your own.
+   * @param {string} entity - 'project' or 'lead', for the wording.
+   * @param {Array} conflicts - From a CRCData result with code 'conflict'.
+   * @param {function} onResolve - Called with the fields to apply from your edit (possibly none).
+   */
+  function openConflictModal(entity, conflicts, onResolve) {
+    const fmt = (v) => v === null || v === undefined ? '—' : (typeof v === 'object' ? JSON.stringify(v) : String(v));
+    const choices = conflicts.map((c, i) => {
+      const option = (value, label) => {
+        const radio = el('input', {
+          type: 'radio',
+          name: `conflict-${i}`,
+          value
+        });
+        radio.checked = value === 'theirs';
+        return el('label', {
+          style: {
+            display: 'flex',
+            gap: '6px',
+            alignItems: 'center'
+          }
+        }, radio, label);
+      };
+      return {
+        conflict: c,
+        row: el('div', {
+          className: 'item',
+          style: {
+            display: 'block'
+          }
+        },
+          el('strong', {}, c.field),
+          el('div', {
+            className: 'muted small'
+          }, `When you opened it: ${fmt(c.base)}`),
+          option('theirs', `Keep the saved value: ${fmt(c.theirs)}`),
+          option('mine', `Use yours: ${fmt(c.mine)}`)
+        )
+      };
+    });
+    showModal('Changed elsewhere', el('div', {},
+      el('p', {
+        className: 'muted small'
+      }, `Someone saved this ${entity} while you were editing it. Choose which value to keep for each field.`),
+      el('div', {
+        className: 'list'
+      }, choices.map(ch => ch.row))
+    ), () => {
+      const keep = {};
+      choices.forEach(ch => {
+        if (ch.row.querySelector('input[value="mine"]').checked) keep[ch.conflict.field] = ch.conflict.mine;
+      });
+      onResolve(keep);
+      return true;
+    });
+  }
 
-    const users = CRCData.read(CRCData.KEYS.users, []);
-    const cust = users.find(u => u.id === project.customerId);
-    const ref = users.find(u => u.id === project.referrerId);
+  /**
+   * Saves changes made against a copy of a project. Edits that don't overlap with changes saved
+   * elsewhere go through as they are; overlapping ones open the merge dialog and are saved again
+   * against the latest version.
+   * @param {object} project - The project as it was when editing started.
+   * @param {object} changes
+   * @param {function} onSaved - Called with the updated project.
+   */
+  function saveProjectChanges(project, changes, onSaved) {
+    const res = CRCData.updateProject(project.id, changes, {
+      expected: project
+    });
+    if (res && res.code === 'conflict') {
+      const rest = {
+        ...changes
+      };
+      res.conflicts.forEach(c => delete rest[c.field]);
+      return openConflictModal('project', res.conflicts, (keep) => {
+        if (!Object.keys({ ...rest, ...keep }).length) {
+          toast('Kept the saved values');
+          return render();
+        }
+        saveProjectChanges(res.current, {
+          ...rest,
+          ...keep
+        }, onSaved);
+      });
+    }
+    if (!res || res.error) return toast(res ? res.error : 'Project not found');
+    onSaved(res);
+  }
 
-    refs.viewArea.innerHTML = ''; // Clear
-    const isAdmin = s.role === 'admin';
+  /**
+   * Opens the contractor picker for a project. Each option shows the contractor's current load;
+   * picking one who is unavailable or at capacity asks for confirmation before assigning anyway.
+   * @param {string} projectId
+   */
+  function openAssignModal(projectId) {
+    const contractors = CRCData.read(CRCData.KEYS.contractors, []);
+    if (!contractors.length) {
+      toast('Add a contractor first');
+      location.hash = 'contractors';
+      return;
+    }
+    const project = CRCData.read(CRCData.KEYS.projects, []).find(p => p.id === projectId);
+    const picker = el('select', {},
+      contractors.map(c => {
+        const active = CRCData.contractorLoad(c.id).filter(p => p.id !== projectId).length;
+        return el('option', {
+          value: c.id
+        }, `${c.name} — ${c.trade} • ${active}/${c.maxConcurrent} active${c.available ? '' : ' • unavailable'}`);
+      })
+    );
+    if (project && project.assignedContractorId) picker.value = project.assignedContractorId;
 
-    const stagesArea = el('div', {
-      id: 'stages-area',
-      className: 'list'
+    showModal('Assign Contractor', el('div', {
+      className: 'forms'
+    },
+      el('label', {}, 'Contractor', picker)
+    ), () => {
+      let res = CRCData.assignContractor(projectId, picker.value);
+      if (res.warning) {
+        if (!confirm(`${res.error}. Assign anyway?`)) return false;
+        res = CRCData.assignContractor(projectId, picker.value, {
+          force: true
+        });
+      }
+      if (res.error) {
+        toast(res.error);
+        return false;
+      }
+      toast('Contractor assigned');
+      render();
+      return true;
     });
-    project.stages.forEach(sg => {
-      stagesArea.append(el('div', {
-        className: 'item'
-      },
-        el('div', {},
-          el('strong', {}, sg.label),
-          el('div', {
-            className: 'muted small'
-          }, sg.done ? 'Done' : 'Pending')
-        ),
-        // Only admin can toggle stages
-        isAdmin && el('button', {
-          className: `btn ${sg.done ? 'ghost' : ''}`,
-          textContent: sg.done ? 'Reopen' : 'Complete',
-          onclick: () => {
-            CRCData.toggleStage(project.id, sg.key);
-            toast('Stage toggled');
-            viewProjectDetail(projectId); // Re-render just this view
-          }
-        })
-      ));
+  }
+
+  /**
+   * Opens the stage editor for a single project: add, remove, rename or reorder its stages.
+   * Completed stages keep their state and can't be removed until reopened.
+   * @param {object} project
+   */
+  function openStagesModal(project) {
+    const draft = project.stages.map(st => ({
+      ...st,
+      tasks: (st.tasks || []).map(t => t.label)
+    }));
+    showModal(`Stages — ${project.location}`, el('div', {},
+      el('p', {
+        className: 'muted small'
+      }, 'Changes apply to this project only. Its commission tranches follow the new shares.'),
+      createStageListEditor(draft, {
+        lockDone: true
+      })
+    ), () => {
+      const res = CRCData.updateProjectStages(project.id, draft);
+      if (res.error) {
+        toast(res.error);
+        return false;
+      }
+      toast('Stages updated');
+      render();
+      return true;
+    });
+  }
+
+  /**
+   * Opens the form for raising a change order (reason, budget delta, scope notes).
+   * @param {object} project
+   */
+  function openChangeOrderModal(project) {
+    const reasonInput = el('input', {
+      placeholder: 'e.g., Add a second-floor balcony'
+    });
+    const deltaInput = el('input', {
+      type: 'number',
+      placeholder: 'e.g., 2500 or -1000'
+    });
+    const scopeInput = el('input', {
+      placeholder: 'What changes in the work'
+    });
+    showModal('Raise Change Order', el('div', {
+      className: 'forms'
+    },
+      el('p', {
+        className: 'muted small'
+      }, `Contract value now ${formatCurrency(project.budget, project.currency)}. The other party has to approve before it changes.`),
+      el('label', {}, 'Reason', reasonInput),
+      el('label', {}, `Budget change (${project.currency}, negative to reduce)`, deltaInput),
+      el('label', {}, 'Scope notes', scopeInput)
+    ), () => {
+      const res = CRCData.raiseChangeOrder(project.id, {
+        reason: reasonInput.value,
+        delta: CRCData.toMinor(deltaInput.value, project.currency),
+        scope: scopeInput.value
+      });
+      if (res.error) {
+        toast(res.error);
+        return false;
+      }
+      toast('Change order raised');
+      render();
+      return true;
+    });
+  }
+
+  /**
+   * Renders a project's change orders with approve/reject for the other party and withdraw for the raiser.
+   * @param {object} project
+   * @param {object} s - Current session.
+   * @returns {HTMLElement}
+   */
+  function createChangeOrderList(project, s) {
+    const orders = [...(project.changeOrders || [])].reverse();
+    const canDecide = CRCData.can('changeorder.decide', [project.customerId, project.referrerId]);
+    const decide = (co, approve) => {
+      const noteInput = el('input', {
+        placeholder: approve ? 'Note (optional)' : 'Reason for rejecting'
+      });
+      showModal(`${approve ? 'Approve' : 'Reject'} change order`, el('div', {
+        className: 'forms'
+      },
+        el('p', {
+          className: 'muted small'
+        }, `${co.reason} • ${co.delta >= 0 ? '+' : ''}${formatCurrency(co.delta, project.currency)}`),
+        el('label', {}, 'Note', noteInput)
+      ), () => {
+        const res = CRCData.decideChangeOrder(project.id, co.id, approve, noteInput.value);
+        if (res.error) {
+          toast(res.error);
+          return false;
+        }
+        toast(approve ? `Approved — contract value ${formatCurrency(res.project.budget, project.currency)}` : 'Change order rejected');
+        render();
+        return true;
+      });
+    };
+
+    return el('div', {
+      className: 'list'
+    },
+      !orders.length && el('div', {
+        className: 'muted small'
+      }, 'No change orders.'),
+      orders.map(co => el('div', {
+        className: 'item'
+      },
+        el('div', {},
+          el('strong', {}, `${co.delta >= 0 ? '+' : ''}${formatCurrency(co.delta, project.currency)}`),
+          el('span', {}, ` ${co.reason}`),
+          co.scope && el('div', {
+            className: 'small'
+          }, co.scope),
+          el('div', {
+            className: 'muted small'
+          }, `Raised by ${co.raisedByName} (${co.raisedByRole}) ${new Date(co.raisedAt).toLocaleString()}${co.decidedAt && co.status !== 'withdrawn' ? ` • ${co.status} by ${co.decidedByName} ${new Date(co.decidedAt).toLocaleString()}` : ''}${co.decisionNote ? ` — ${co.decisionNote}` : ''}`)
+        ),
+        el('div', {
+          style: {
+            display: 'flex',
+            gap: '6px',
+            alignItems: 'center'
+          }
+        },
+          el('div', {
+            className: 'pill',
+            textContent: co.status
+          }),
+          co.status === 'pending' && canDecide && s.role !== co.raisedByRole && el('button', {
+            className: 'btn tiny primary',
+            textContent: 'Approve',
+            onclick: () => decide(co, true)
+          }),
+          co.status === 'pending' && canDecide && s.role !== co.raisedByRole && el('button', {
+            className: 'btn tiny',
+            textContent: 'Reject',
+            onclick: () => decide(co, false)
+          }),
+          co.status === 'pending' && co.raisedBy === s.id && el('button', {
+            className: 'btn tiny',
+            textContent: 'Withdraw',
+            onclick: () => {
+              const res = CRCData.withdrawChangeOrder(project.id, co.id);
+              if (res.error) return toast(res.error);
+              toast('Change order withdrawn');
+              render();
+            }
+          })
+        )
+      ))
+    );
+  }
+
+  /**
+   * Opens the planned/actual date editor for one stage. Clearing a planned date reverts it to the
+   * date derived from the project timeline.
+   * @param {object} project
+   * @param {string} stageKey
+   */
+  function openStageDatesModal(project, stageKey) {
+    const stage = project.stages.find(st => st.key === stageKey);
+    const inputs = {};
+    const field = (name, label) => {
+      inputs[name] = el('input', {
+        type: 'date',
+        value: stage[name] || ''
+      });
+      return el('label', {}, label, inputs[name]);
+    };
+    showModal(`Dates — ${stage.label}`, el('div', {
+      className: 'forms'
+    },
+      field('plannedStart', 'Planned start (blank = from timeline)'),
+      field('plannedEnd', 'Planned end (blank = from timeline)'),
+      field('actualStart', 'Actual start'),
+      stage.done && field('actualEnd', 'Actual end')
+    ), () => {
+      const res = CRCData.setStageDates(project.id, stageKey, Object.fromEntries(Object.entries(inputs).map(([k, input]) => [k, input.value])));
+      if (res.error) {
+        toast(res.error);
+        return false;
+      }
+      toast('Dates saved');
+      render();
+      return true;
+    });
+  }
+
+  /**
+   * Renders audit entries as a list of field-level diffs.
+   * @param {Array} entries - Audit entries from CRCData.readAudit (newest first).
+   * @param {boolean} showEntity - Prefix each entry with its entity type and id.
+   * @returns {HTMLElement}
+   */
+  function createAuditList(entries, showEntity = false) {
+    const fmt = (v) => v === null || v === undefined ? '—' : (typeof v === 'object' ? JSON.stringify(v) : String(v));
+    const list = el('div', {
+      className: 'list',
+      style: {
+        marginTop: '10px'
+      }
+    });
+    if (!entries.length) {
+      list.append(el('div', {
+        className: 'muted'
+      }, 'No history recorded.'));
+    }
+    entries.forEach(a => {
+      list.append(el('div', {
+        className: 'item',
+        style: {
+          display: 'block'
+        }
+      },
+        el('div', {},
+          el('strong', {}, `${a.actorName} ${a.action}d `),
+          showEntity && el('span', {}, `${a.entity} #${a.entityId} `),
+          el('span', {
+            className: 'muted small'
+          }, new Date(a.at).toLocaleString())
+        ),
+        a.changes.map(c => el('div', {
+          className: 'muted small'
+        }, `${c.field}: ${fmt(c.before)} → ${fmt(c.after)}`))
+      ));
+    });
+    return list;
+  }
+
+  // REFACTORED: viewProjectDetail (with inline editing)
+  function viewProjectDetail(projectId, tab = 'details') {
+    const s = requireAuth();
+    if (!s) return;
+    const project = CRCData.read(CRCData.KEYS.projects, []).find(p => p.id === projectId);
+    if (!project) return toast('Project not found');
+    // the History tab shows the project's audit trail, so the page is for its parties only
+    if (s.role !== 'admin' && project.customerId !== s.id && project.referrerId !== s.id) {
+      location.hash = 'projects';
+      return toast('You do not have access to this project');
+    }
+
+    const users = CRCData.read(CRCData.KEYS.users, []);
+    const cust = users.find(u => u.id === project.customerId);
+    const ref = users.find(u => u.id === project.referrerId);
+    const contractor = CRCData.read(CRCData.KEYS.contractors, []).find(c => c.id === project.assignedContractorId);
+    const template = CRCData.stageTemplates().find(t => t.key === project.stageTemplate);
+    const schedule = CRCData.projectSchedule(project);
+    const changeOrders = project.changeOrders || [];
+    const canRaise = CRCData.can('changeorder.raise', [project.customerId, project.referrerId]) && project.status !== 'completed';
+
+    refs.viewArea.innerHTML = ''; // Clear
+    const isAdmin = s.role === 'admin';
+
+    const stagesArea = el('div', {
+      id: 'stages-area',
+      className: 'list'
+    });
+    // Commission tranche per stage (released once the stage is complete)
+    const tranches = CRCData.stageCommission(project);
+    const released = tranches.filter(t => t.released).reduce((a, t) => a + t.amount, 0);
+    const pending = tranches.filter(t => !t.released).reduce((a, t) => a + t.amount, 0);
+    project.stages.forEach((sg, i) => {
+      const tranche = tranches[i];
+      const dates = schedule.stages[i];
+      const tasks = sg.tasks || [];
+      stagesArea.append(el('div', {
+        className: 'item'
+      },
+        el('div', {},
+          el('strong', {}, sg.label),
+          el('div', {
+            className: 'muted small'
+          }, `${sg.done ? 'Done' : 'Pending'}${sg.durationDays ? ` • ~${sg.durationDays} days` : ''}${tasks.length ? ` • ${tasks.filter(t => t.done).length}/${tasks.length} tasks` : ''}`),
+          el('div', {
+            className: 'muted small'
+          }, `Commission tranche: ${Math.round(tranche.share * 10) / 10}% • ${formatCurrency(tranche.amount, project.currency)} ${tranche.released ? 'released' : 'pending'}`),
+          el('div', {
+            className: 'muted small'
+          }, `Planned ${dates.plannedStart} → ${dates.plannedEnd}${dates.derived ? ' (from timeline)' : ''} • actual ${dates.actualStart || '—'} → ${dates.actualEnd || '—'}`,
+            dates.overdue && el('span', {
+              className: 'pill late',
+              style: {
+                marginLeft: '6px'
+              }
+            }, `${dates.slipDays}d overdue`)
+          ),
+          tasks.length > 0 && el('div', {
+            className: 'small',
+            style: {
+              display: 'flex',
+              flexWrap: 'wrap',
+              gap: '10px',
+              marginTop: '4px'
+            }
+          },
+            tasks.map((t, ti) => {
+              const box = el('input', {
+                type: 'checkbox'
+              });
+              box.checked = t.done;
+              box.disabled = !isAdmin;
+              box.addEventListener('change', () => {
+                const res = CRCData.toggleStageTask(project.id, sg.key, ti);
+                if (res.error) return toast(res.error);
+                viewProjectDetail(projectId);
+              });
+              return el('label', {}, box, ` ${t.label}`);
+            })
+          )
+        ),
+        // Only admin can toggle stages or change their dates
+        isAdmin && el('div', {
+          style: {
+            display: 'flex',
+            gap: '6px'
+          }
+        },
+          el('button', {
+            className: 'btn tiny',
+            textContent: 'Dates',
+            onclick: () => openStageDatesModal(project, sg.key)
+          }),
+          el('button', {
+            className: `btn ${sg.done ? 'ghost' : ''}`,
+            textContent: sg.done ? 'Reopen' : 'Complete',
+            onclick: () => {
+              const res = CRCData.toggleStage(project.id, sg.key, {
+                expected: project
+              });
+              if (!res || res.error) return toast(res ? res.error : 'Project not found');
+              // already flipped in another tab: nothing was changed here
+              const done = res.stages.find(st => st.key === sg.key).done;
+              toast(done === sg.done ? `${sg.label} was already ${done ? 'completed' : 'reopened'} elsewhere` : `${sg.label} ${done ? 'completed' : 'reopened'}`);
+              viewProjectDetail(projectId); // Re-render just this view
+            }
+          })
+        )
+      ));
     });
 
     const detailsPanel = el('div', {
@@ -717,214 +2400,2774 @@
       },
         el('p', {}, el('strong', {}, 'Customer: '), `${cust?cust.name:'—'} (${cust?cust.email:'—'})`),
         el('p', {}, el('strong', {}, 'Referrer: '), `${ref?ref.name:'—'}`),
-        el('p', {}, el('strong', {}, 'Assigned: '), `${project.assignedContractor || '—'}`),
+        el('p', {}, el('strong', {}, 'Assigned: '), `${contractor ? contractor.name + ' (' + contractor.trade + ')' : '—'}`),
+
+        // Budget only moves through approved change orders
+        el('p', {}, el('strong', {}, 'Original budget: '), formatCurrency(project.originalBudget ?? project.budget, project.currency)),
+        el('p', {}, el('strong', {}, 'Contract value: '), formatCurrency(project.budget, project.currency),
+          el('span', {
+            className: 'muted small'
+          }, ` (${changeOrders.filter(co => co.status === 'approved').length} approved change orders${changeOrders.some(co => co.status === 'pending') ? `, ${changeOrders.filter(co => co.status === 'pending').length} pending` : ''})`)
+        ),
 
         // Editable fields for admin
-        isAdmin ?
-        createEditableField('Budget', project.budget, (newVal) => {
-          CRCData.updateProject(project.id, {
-            budget: newVal
-          });
-          toast('Budget updated');
-          viewProjectDetail(projectId);
-        }, 'number', formatCurrency) :
-        el('p', {}, el('strong', {}, 'Budget: '), formatCurrency(project.budget)),
 
         isAdmin ?
         createEditableField('Commission %', project.commissionPercent, (newVal) => {
-          CRCData.updateProject(project.id, {
+          saveProjectChanges(project, {
             commissionPercent: newVal
+          }, () => {
+            toast('Commission updated');
+            viewProjectDetail(projectId);
           });
-          toast('Commission updated');
-          viewProjectDetail(projectId);
         }, 'number', (v) => `${v}%`) :
         el('p', {}, el('strong', {}, 'Commission: '), `${project.commissionPercent}%`),
 
+        el('p', {
+          className: 'muted small'
+        }, 'Rate source: ', project.commissionRule ?
+          `${project.commissionRule.source === 'rules' ? 'rules' : 'manual'} — ${project.commissionRule.steps.join(' → ')} (${new Date(project.commissionRule.evaluatedAt).toLocaleDateString()})` :
+          'not recorded (created before the rules engine)',
+          isAdmin && el('button', {
+            className: 'btn tiny',
+            style: {
+              marginLeft: '8px'
+            },
+            textContent: 'Re-apply rules',
+            onclick: () => {
+              const res = CRCData.reapplyCommissionRules(project.id);
+              if (res.error) return toast(res.error);
+              toast(`Commission set to ${res.project.commissionPercent}%`);
+              viewProjectDetail(projectId);
+            }
+          })
+        ),
+
+        isAdmin ?
+        createEditableField('Timeline (months)', project.timeline, (newVal) => {
+          if (!(newVal >= 1)) return toast('Timeline must be at least 1 month');
+          saveProjectChanges(project, {
+            timeline: newVal
+          }, () => {
+            toast('Timeline updated');
+            viewProjectDetail(projectId);
+          });
+        }, 'number', (v) => `${v} months`) :
+        el('p', {}, el('strong', {}, 'Timeline: '), `${project.timeline} months`),
+
         el('div', {
           style: {
             marginTop: '12px'
           }
-        },
-          el('h4', {}, 'Stages'),
-          stagesArea
-        )
+        },
+          el('div', {
+            style: {
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center'
+            }
+          },
+            el('h4', {}, 'Change orders'),
+            canRaise && el('button', {
+              className: 'btn tiny',
+              textContent: 'Raise change order',
+              onclick: () => openChangeOrderModal(project)
+            })
+          ),
+          createChangeOrderList(project, s)
+        ),
+
+        el('div', {
+          style: {
+            marginTop: '12px'
+          }
+        },
+          el('h4', {}, 'Schedule'),
+          el('p', {
+            className: 'muted small'
+          }, `Planned ${schedule.plannedStart} → ${schedule.plannedEnd} • `, schedule.late ?
+            el('span', {
+              className: 'pill late'
+            }, `${schedule.overdueStages.length} stage(s) overdue, ${schedule.slipDays} days behind`) :
+            (project.status === 'completed' ? 'completed' : 'on track')),
+          createGantt(schedule.stages)
+        ),
+
+        el('div', {
+          style: {
+            marginTop: '12px'
+          }
+        },
+          el('div', {
+            style: {
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center'
+            }
+          },
+            el('h4', {}, `Stages${template ? ' — ' + template.label : ''}`),
+            isAdmin && el('button', {
+              className: 'btn tiny',
+              textContent: 'Edit stages',
+              onclick: () => openStagesModal(project)
+            })
+          ),
+          el('p', {
+            className: 'muted small'
+          }, `Commission released: ${formatCurrency(released, project.currency)} • pending: ${formatCurrency(pending, project.currency)}${project.verified ? '' : ' (accrues once the project is approved)'}`),
+          stagesArea
+        )
+      )
+    );
+
+    const tabs = el('div', {
+      style: {
+        display: 'flex',
+        gap: '8px',
+        marginBottom: '10px'
+      }
+    },
+      ['details', 'history'].map(t => el('button', {
+        className: `btn tiny ${t === tab ? 'primary' : ''}`,
+        textContent: t === 'details' ? 'Details' : 'History',
+        onclick: () => location.hash = t === 'details' ? `project/${projectId}` : `project/${projectId}/${t}`
+      }))
+    );
+
+    refs.viewArea.append(tabs, tab === 'history' ?
+      el('div', {
+        className: 'panel'
+      },
+        el('h3', {}, `History for #${project.id}`),
+        createAuditList(CRCData.readAudit({
+          entity: 'project',
+          entityId: project.id
+        }))
+      ) :
+      detailsPanel);
+  }
+
+  /**
+   * Opens the convert-lead modal.
+   * @param {string} leadId - The lead to convert.
+   */
+  function openConvertModal(leadId) {
+    const lead = CRCData.read(CRCData.KEYS.leads, []).find(l => l.id === leadId);
+    const nameInput = el('input', {
+      id: 'modal-conv-name',
+      placeholder: 'Customer Full Name'
+    });
+    const budInput = el('input', {
+      id: 'modal-conv-bud',
+      type: 'number',
+      placeholder: '10000'
+    });
+    const templateSelect = createTemplateSelect();
+    const currencySelect = createCurrencySelect();
+
+    const formContent = el('div', {
+      className: 'forms'
+    },
+      el('label', {}, 'Customer Name', nameInput),
+      el('label', {}, 'Currency', currencySelect),
+      el('label', {}, 'Initial Budget', budInput),
+      el('label', {}, 'Project type', templateSelect)
+    );
+
+    showModal('Convert Lead to Project', formContent, () => {
+      const name = nameInput.value.trim();
+      const bud = CRCData.toMinor(budInput.value, currencySelect.value);
+      if (!name) {
+        toast('Enter customer name');
+        return false;
+      }
+      const convert = (expected) => {
+        const res = CRCData.convertLeadToProject(leadId, name, bud, {
+          stageTemplate: templateSelect.value,
+          currency: currencySelect.value,
+          expected
+        });
+        if (res.code === 'conflict') {
+          openConflictModal('lead', res.conflicts, (keep) => {
+            if (keep.status) convert(res.current);
+            else render();
+          });
+          return true;
+        }
+        if (res.error) {
+          toast(res.error);
+          return false;
+        }
+        const attributed = CRCData.read(CRCData.KEYS.users, []).find(u => u.id === res.project.attribution.referrerId);
+        toast(`Lead converted to project ${res.project.id} — credited to ${attributed ? attributed.name : 'no referrer'} (${res.project.attribution.reason})`, 4000);
+        render(); // Full re-render
+        return true;
+      };
+      return convert(lead);
+    });
+  }
+
+  /**
+   * Opens the mark-lost modal (a reason is required).
+   * @param {string} leadId - The lead to mark lost.
+   */
+  function openLostModal(leadId) {
+    const reasonInput = el('input', {
+      placeholder: 'e.g., Went with another builder'
+    });
+    showModal('Mark Lead Lost', el('div', {
+      className: 'forms'
+    }, el('label', {}, 'Reason', reasonInput)), () => {
+      const res = CRCData.moveLead(leadId, 'lost', {
+        reason: reasonInput.value
+      });
+      if (res.error) {
+        toast(res.error);
+        return false;
+      }
+      toast('Lead marked lost');
+      render();
+      return true;
+    });
+  }
+
+  // viewLeads: Kanban board, one column per pipeline stage (admins drag cards between columns)
+  /**
+   * Builds one lead card for the pipeline board. Cards carry data-row so live updates can replace them in place.
+   * @param {object} l - The lead.
+   * @param {Array} users
+   * @param {Set<string>} disputedEmails - Emails with an open attribution dispute.
+   * @returns {HTMLElement}
+   */
+  function leadCard(l, users, disputedEmails) {
+    const canMove = CRCData.can('lead.move');
+    const daysSince = (iso) => Math.floor((Date.now() - new Date(iso).getTime()) / 86400000);
+    const ref = users.find(u => u.id === l.referrerId);
+    const last = (l.history || []).slice(-1)[0];
+    return el('div', {
+      className: 'kanban-card',
+      draggable: String(canMove && l.status !== 'converted'),
+      'data-id': l.id,
+      'data-row': l.id
+    },
+      el('div', {}, canSelect('lead') && selectBox('lead', l.id), ' ', el('strong', {}, l.email)),
+      el('div', {
+        className: 'muted small'
+      }, `${l.notes || 'No notes'} • Referrer: ${ref ? ref.name : '—'}`),
+      (disputedEmails.has(l.email) && CRCData.isOpenLead(l)) && el('div', {
+        className: 'pill small',
+        style: {
+          display: 'inline-block',
+          marginTop: '4px'
+        }
+      }, 'Attribution disputed'),
+      el('div', {
+        className: 'muted small'
+      }, last ? `In stage ${daysSince(last.at)}d • moved by ${last.actorName}` : ''),
+      l.status === 'lost' && el('div', {
+        className: 'muted small'
+      }, `Lost: ${l.lostReason}`),
+      el('div', {
+        style: {
+          display: 'flex',
+          gap: '6px',
+          marginTop: '6px'
+        }
+      },
+        (CRCData.can('lead.convert') && CRCData.isOpenLead(l)) && el('button', {
+          className: 'btn tiny',
+          'data-action': 'convert',
+          'data-id': l.id,
+          textContent: 'Convert'
+        }),
+        (canMove && CRCData.isOpenLead(l)) && el('button', {
+          className: 'btn tiny',
+          'data-action': 'lose',
+          'data-id': l.id,
+          textContent: 'Lost'
+        }),
+        el('button', {
+          className: 'btn tiny ghost',
+          'data-action': 'history',
+          'data-id': l.id,
+          textContent: 'History'
+        })
+      )
+    );
+  }
+
+  /**
+   * Columns of the leads table. Stage sorts in pipeline order.
+   * @param {Array} users
+   * @param {Array} pipeline - From CRCData.leadPipeline().
+   * @param {Set<string>} disputedEmails - Emails with an open attribution dispute.
+   * @returns {Array} Columns for createVirtualTable.
+   */
+  function leadColumns(users, pipeline, disputedEmails) {
+    const nameOf = (id) => (users.find(u => u.id === id) || {
+      name: '—'
+    }).name;
+    const order = new Map(pipeline.map((st, i) => [st.key, i]));
+    return [{
+      key: 'email',
+      label: 'Lead',
+      width: '2fr',
+      cell: l => el('div', {
+        className: 'vt-clip'
+      }, el('strong', {}, l.email), (disputedEmails.has(l.email) && CRCData.isOpenLead(l)) && el('span', {
+        className: 'muted small'
+      }, ' • disputed'))
+    }, {
+      key: 'status',
+      label: 'Stage',
+      sort: l => order.get(l.status) ?? pipeline.length,
+      cell: l => el('span', {
+        className: 'pill small'
+      }, (pipeline.find(st => st.key === l.status) || {
+        label: l.status
+      }).label)
+    }, {
+      key: 'referrer',
+      label: 'Referrer',
+      sort: l => nameOf(l.referrerId).toLowerCase(),
+      cell: l => nameOf(l.referrerId)
+    }, {
+      key: 'created',
+      label: 'Created',
+      sort: l => l.createdAt || '',
+      cell: l => l.createdAt ? new Date(l.createdAt).toLocaleDateString() : '—'
+    }, {
+      key: 'notes',
+      label: 'Notes',
+      width: '2fr',
+      cell: l => el('div', {
+        className: 'vt-clip muted small'
+      }, l.status === 'lost' ? `Lost: ${l.lostReason}` : l.notes || '')
+    }, {
+      key: 'actions',
+      label: '',
+      width: '1.6fr',
+      cell: l => el('div', {
+        style: {
+          display: 'flex',
+          gap: '6px'
+        }
+      },
+        (CRCData.can('lead.convert') && CRCData.isOpenLead(l)) && el('button', {
+          className: 'btn tiny',
+          'data-action': 'convert',
+          'data-id': l.id,
+          textContent: 'Convert'
+        }),
+        (CRCData.can('lead.move') && CRCData.isOpenLead(l)) && el('button', {
+          className: 'btn tiny',
+          'data-action': 'lose',
+          'data-id': l.id,
+          textContent: 'Lost'
+        }),
+        el('button', {
+          className: 'btn tiny ghost',
+          'data-action': 'history',
+          'data-id': l.id,
+          textContent: 'History'
+        })
+      )
+    }];
+  }
+
+  function viewLeads(filterQuery = '') {
+    const s = requireAuth();
+    if (!s) return;
+    refs.pageTitle.textContent = 'Leads';
+    refs.pageDesc.textContent = 'Leads submitted by referrers';
+
+    const leads = CRCData.read(CRCData.KEYS.leads, []);
+    const users = CRCData.read(CRCData.KEYS.users, []);
+    const pipeline = CRCData.leadPipeline();
+    const canMove = CRCData.can('lead.move');
+
+    let list = leads;
+    if (s.role === 'referrer') list = leads.filter(l => l.referrerId === s.id);
+
+    if (filterQuery) {
+      refs.pageDesc.textContent = `Filtering leads for "${filterQuery}"`;
+      list = CRCData.queryRecords('lead', list, filterQuery);
+    }
+
+    const nameOf = (id) => (users.find(u => u.id === id) || {
+      name: '—'
+    }).name;
+    const facets = [{
+      key: 'status',
+      label: 'Stage',
+      get: l => l.status,
+      options: pipeline.map(st => ({
+        value: st.key,
+        label: st.label
+      }))
+    }, {
+      key: 'referrer',
+      label: 'Referrer',
+      get: l => l.referrerId || '',
+      options: s.role === 'referrer' ? [] : [...new Set(list.map(l => l.referrerId).filter(Boolean))].map(id => ({
+        value: id,
+        label: nameOf(id)
+      }))
+    }];
+    const chips = createFilterChips(facets);
+    list = applyFacets(list, facets);
+    const table = routeParams().get('view') === 'table';
+    const bulk = canSelect('lead') && createBulkBar('lead', list, leadBulkActions());
+
+    const disputedEmails = new Set(CRCData.read(CRCData.KEYS.disputes, []).filter(d => d.status === 'open').map(d => d.email));
+
+    const board = el('div', {
+      id: 'leads-board',
+      className: 'kanban'
+    });
+
+    pipeline.forEach(stage => {
+      const cards = list.filter(l => l.status === stage.key);
+      const column = el('div', {
+        className: 'kanban-col',
+        'data-stage': stage.key
+      },
+        el('div', {
+          className: 'kanban-head'
+        },
+          el('strong', {}, stage.label),
+          el('span', {
+            className: 'pill small'
+          }, cards.length)
+        )
+      );
+
+      cards.forEach(l => column.append(leadCard(l, users, disputedEmails)));
+      board.append(column);
+    });
+
+    // Drag & drop between columns
+    board.addEventListener('dragstart', (ev) => {
+      const card = ev.target.closest('.kanban-card');
+      if (!card) return;
+      ev.dataTransfer.setData('text/plain', card.dataset.id);
+      ev.dataTransfer.effectAllowed = 'move';
+    });
+    board.addEventListener('dragover', (ev) => {
+      const col = ev.target.closest('.kanban-col');
+      if (!col || !canMove) return;
+      ev.preventDefault();
+      board.querySelectorAll('.kanban-col.drop').forEach(c => c !== col && c.classList.remove('drop'));
+      col.classList.add('drop');
+    });
+    board.addEventListener('dragleave', (ev) => {
+      const col = ev.target.closest('.kanban-col');
+      if (col && !col.contains(ev.relatedTarget)) col.classList.remove('drop');
+    });
+    board.addEventListener('drop', (ev) => {
+      const col = ev.target.closest('.kanban-col');
+      if (!col) return;
+      ev.preventDefault();
+      col.classList.remove('drop');
+      const id = ev.dataTransfer.getData('text/plain');
+      const stage = col.dataset.stage;
+      const lead = CRCData.read(CRCData.KEYS.leads, []).find(l => l.id === id);
+      if (!lead || lead.status === stage) return;
+      if (stage === 'converted') return openConvertModal(id);
+      if (stage === 'lost') return openLostModal(id);
+      const res = CRCData.moveLead(id, stage);
+      if (res.error) return toast(res.error);
+      toast(`Moved to ${pipeline.find(st => st.key === stage).label}`);
+      render();
+    });
+
+    // Event delegation (shared by the board and the table)
+    const onAction = (ev) => {
+      const btn = ev.target.closest('button[data-action]');
+      if (!btn) return;
+
+      const id = btn.dataset.id;
+      const action = btn.dataset.action;
+      if (action === 'convert') openConvertModal(id);
+      else if (action === 'lose') openLostModal(id);
+      else if (action === 'history') {
+        const lead = CRCData.read(CRCData.KEYS.leads, []).find(l => l.id === id);
+        const labelOf = (key) => key ? (pipeline.find(st => st.key === key) || { label: key }).label : '—';
+        showModal(`History — ${lead.email}`, el('div', {
+          className: 'list'
+        },
+          (lead.history || []).slice().reverse().map(h => el('div', {
+            className: 'small'
+          },
+            el('strong', {}, `${labelOf(h.from)} → ${labelOf(h.to)}`),
+            el('span', {
+              className: 'muted'
+            }, ` ${new Date(h.at).toLocaleString()} by ${h.actorName}${h.reason ? ' — ' + h.reason : ''}`)
+          ))
+        ), () => true);
+      }
+    };
+    board.addEventListener('click', onAction);
+
+    let content = board;
+    if (table) {
+      content = el('div', {
+        style: {
+          marginTop: '10px'
+        }
+      }, createVirtualTable([bulk && selectColumn('lead'), ...leadColumns(users, pipeline, disputedEmails)].filter(Boolean), list, 'leads'));
+      content.addEventListener('click', onAction);
+    }
+    if (bulk) content.addEventListener('change', bulk.onChange);
+
+    refs.viewArea.innerHTML = ''; // Clear
+    refs.viewArea.append(el('div', {},
+      el('div', {
+        style: {
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center'
+        }
+      },
+        el('h3', {}, `${list.length} leads`),
+        createModeSwitch(table)
+      ),
+      chips,
+      bulk && bulk.element,
+      content
+    ));
+  }
+
+  function viewPayouts(filterQuery = '') {
+    const s = requireAuth();
+    if (!s) return;
+    refs.pageTitle.textContent = 'Payouts';
+    refs.pageDesc.textContent = 'Commission ledger and payouts';
+    refs.viewArea.innerHTML = '';
+
+    if (s.role === 'customer') {
+      refs.viewArea.append(el('div', {
+        className: 'muted'
+      }, 'Payouts are available to referrers and admins.'));
+      return;
+    }
+
+    const isAdmin = s.role === 'admin';
+    const projects = CRCData.read(CRCData.KEYS.projects, []);
+    const users = CRCData.read(CRCData.KEYS.users, []);
+    let entries = CRCData.read(CRCData.KEYS.commissions, []);
+    if (!isAdmin) entries = entries.filter(e => e.referrerId === s.id);
+
+    if (filterQuery) {
+      refs.pageDesc.textContent = `Filtering payouts for "${filterQuery}"`;
+      entries = entries.filter(e => {
+        const ref = users.find(u => u.id === e.referrerId);
+        return e.projectId.toLowerCase().includes(filterQuery) ||
+          e.status.includes(filterQuery) ||
+          (ref ? ref.name.toLowerCase().includes(filterQuery) : false);
+      });
+    }
+
+    const balanceCard = (label, amount, currency) => el('div', {
+      style: {
+        flex: '1'
+      }
+    },
+      el('small', {
+        className: 'muted'
+      }, label),
+      el('div', {
+        style: {
+          fontWeight: '800'
+        }
+      }, formatCurrency(amount, currency))
+    );
+
+    // Admins see the whole ledger in the default currency, referrers their own in their payout currency
+    const statement = CRCData.commissionStatement(isAdmin ? null : s.id);
+    const summary = el('div', {
+      className: 'panel'
+    },
+      el('h3', {}, isAdmin ? `Ledger totals (${statement.currency})` : `Your balance (${statement.currency})`),
+      el('div', {
+        style: {
+          display: 'flex',
+          gap: '12px',
+          marginTop: '10px'
+        }
+      },
+        balanceCard('Accrued', statement.totals.accrued, statement.currency),
+        balanceCard('Payable', statement.totals.payable, statement.currency),
+        balanceCard('Approved', statement.totals.approved, statement.currency),
+        balanceCard('Paid', statement.totals.paid, statement.currency)
+      ),
+      statement.missingRates > 0 && el('p', {
+        className: 'muted small'
+      }, `${statement.missingRates} entries have no exchange rate into ${statement.currency} and are left out. Add rates under Settings.`)
+    );
+
+    const container = el('div', {
+      id: 'payouts-list',
+      className: 'list',
+      style: {
+        marginTop: '10px'
+      }
+    });
+    if (!entries.length) {
+      container.append(el('div', {
+        className: 'muted'
+      }, 'No commission entries yet. Entries accrue when a referred project is approved.'));
+    }
+
+    entries.forEach(e => {
+      const project = projects.find(p => p.id === e.projectId);
+      const ref = users.find(u => u.id === e.referrerId);
+      container.append(el('div', {
+        className: 'item'
+      },
+        el('div', {},
+          el('div', {},
+            el('strong', {}, formatCurrency(e.amount, e.currency)),
+            el('span', {
+              className: 'muted small'
+            }, ` ${project ? project.location : '—'} #${e.projectId}`)
+          ),
+          e.stageKey && el('div', {
+            className: 'muted small'
+          }, e.kind === 'reversal' ? `Reversal of ${e.stageLabel} tranche (stage reopened)` : `${e.stageLabel} tranche${e.reversedBy ? ' • reversed' : ''}`),
+          el('div', {
+            className: 'muted small'
+          }, `Referrer: ${ref ? ref.name : '—'} • Accrued ${new Date(e.createdAt).toLocaleDateString()}`),
+          e.payout && el('div', {
+            className: 'muted small'
+          }, `Paid ${formatCurrency(e.payout.amount, e.payout.currency || e.currency)} on ${e.payout.date} via ${e.payout.method}${e.payout.reference ? ' (ref ' + e.payout.reference + ')' : ''}`)
+        ),
+        el('div', {
+          style: {
+            display: 'flex',
+            gap: '8px',
+            alignItems: 'center'
+          }
+        },
+          el('div', {
+            className: 'pill',
+            textContent: e.status
+          }),
+          (isAdmin && e.status === 'payable') && el('button', {
+            className: 'btn primary',
+            'data-action': 'approve',
+            'data-id': e.id,
+            textContent: 'Approve'
+          }),
+          (isAdmin && e.status === 'approved') && el('button', {
+            className: 'btn',
+            'data-action': 'pay',
+            'data-id': e.id,
+            textContent: 'Mark paid'
+          })
+        )
+      ));
+    });
+
+    // Event delegation for ledger actions
+    container.addEventListener('click', (ev) => {
+      const btn = ev.target.closest('button[data-action]');
+      if (!btn) return;
+
+      const id = btn.dataset.id;
+      const action = btn.dataset.action;
+
+      if (action === 'approve') {
+        const res = CRCData.approveCommission(id);
+        if (res.error) return toast(res.error);
+        toast('Commission approved');
+        render();
+      } else if (action === 'pay') {
+        const entry = entries.find(x => x.id === id);
+        const dateInput = el('input', {
+          type: 'date',
+          value: new Date().toISOString().slice(0, 10)
+        });
+        const amountInput = el('input', {
+          type: 'number',
+          step: 'any',
+          value: CRCData.fromMinor(entry.amount, entry.currency)
+        });
+        const methodInput = el('select', {},
+          CRCData.PAYOUT_METHODS.map(m => el('option', {
+            value: m
+          }, m))
+        );
+        const refInput = el('input', {
+          placeholder: 'e.g., TXN-20931'
+        });
+        const formContent = el('div', {
+          className: 'forms'
+        },
+          el('label', {}, 'Payout date', dateInput),
+          el('label', {}, `Amount (${entry.currency})`, amountInput),
+          el('label', {}, 'Method', methodInput),
+          el('label', {}, 'Reference', refInput)
+        );
+        showModal('Record Payout', formContent, () => {
+          const res = CRCData.markCommissionPaid(id, {
+            date: dateInput.value,
+            amount: CRCData.toMinor(amountInput.value, entry.currency),
+            method: methodInput.value,
+            reference: refInput.value.trim()
+          });
+          if (res.error) {
+            toast(res.error);
+            return false;
+          }
+          toast('Payout recorded');
+          render();
+          return true;
+        });
+      }
+    });
+
+    refs.viewArea.append(el('div', {},
+      summary,
+      createStatementPanel(s, users),
+      el('h3', {
+        style: {
+          marginTop: '12px'
+        }
+      }, `${entries.length} ledger entries`),
+      container
+    ));
+  }
+
+  /**
+   * Commission statement for one referrer, converted into a chosen currency (the referrer's payout
+   * currency by default) at the rate in effect on each line's date.
+   * @param {object} s - Current session; referrers only see their own statement.
+   * @param {Array} users
+   * @returns {HTMLElement}
+   */
+  function createStatementPanel(s, users) {
+    const referrers = users.filter(u => u.role === 'referrer');
+    const referrerSelect = el('select', {},
+      referrers.map(u => el('option', {
+        value: u.id
+      }, u.name))
+    );
+    if (s.role === 'referrer') referrerSelect.value = s.id;
+    const currencySelect = createCurrencySelect();
+    const fromInput = el('input', {
+      type: 'date'
+    });
+    const toInput = el('input', {
+      type: 'date'
+    });
+    const out = el('div', {
+      className: 'list',
+      style: {
+        marginTop: '8px'
+      }
+    });
+
+    function paint() {
+      const st = CRCData.commissionStatement(referrerSelect.value, {
+        currency: currencySelect.value,
+        from: fromInput.value,
+        to: toInput.value
+      });
+      out.innerHTML = '';
+      out.append(
+        el('div', {
+          className: 'small'
+        }, `Outstanding ${formatCurrency(st.totals.outstanding, st.currency)} • accrued ${formatCurrency(st.totals.accrued, st.currency)} • paid ${formatCurrency(st.totals.paid, st.currency)}${st.missingRates ? ` • ${st.missingRates} lines without a rate` : ''}`),
+        ...st.lines.map(l => el('div', {
+          className: 'item small'
+        },
+          el('div', {}, `${l.date} • ${l.stageLabel || 'Project'}${l.kind === 'reversal' ? ' reversal' : ''} • #${l.projectId}`,
+            el('span', {
+              className: 'muted'
+            }, ` ${l.status}`)
+          ),
+          el('div', {},
+            el('strong', {}, l.converted === null ? 'no rate' : formatCurrency(l.converted, st.currency)),
+            l.currency !== st.currency && el('span', {
+              className: 'muted'
+            }, ` ← ${formatCurrency(l.amount, l.currency)}${l.rate ? ` @ ${Math.round(l.rate * 10000) / 10000}` : ''}`)
+          )
+        ))
+      );
+    }
+
+    function pickReferrer() {
+      const u = referrers.find(x => x.id === referrerSelect.value);
+      currencySelect.value = (u && u.payoutCurrency) || CRCData.defaultCurrency();
+      paint();
+    }
+    referrerSelect.addEventListener('change', pickReferrer);
+    [currencySelect, fromInput, toInput].forEach(i => i.addEventListener('change', paint));
+    if (referrers.length) pickReferrer();
+
+    return el('div', {
+      className: 'panel',
+      style: {
+        marginTop: '12px'
+      }
+    },
+      el('h3', {}, 'Statement'),
+      el('div', {
+        className: 'forms',
+        style: {
+          display: 'flex',
+          gap: '8px',
+          alignItems: 'flex-end'
+        }
+      },
+        s.role === 'admin' && el('label', {}, 'Referrer', referrerSelect),
+        el('label', {}, 'Currency', currencySelect),
+        el('label', {}, 'From', fromInput),
+        el('label', {}, 'To', toInput)
+      ),
+      referrers.length ? out : el('div', {
+        className: 'muted small'
+      }, 'No referrers yet.')
+    );
+  }
+
+  function viewDisputes() {
+    const s = requireAuth();
+    if (!s) return;
+    refs.pageTitle.textContent = 'Disputes';
+    refs.pageDesc.textContent = 'Competing referral claims and their decisions';
+    refs.viewArea.innerHTML = '';
+
+    if (s.role !== 'admin') {
+      refs.viewArea.append(el('div', {
+        className: 'muted'
+      }, 'Attribution disputes are handled by admins.'));
+      return;
+    }
+
+    const disputes = CRCData.read(CRCData.KEYS.disputes, []);
+    const leads = CRCData.read(CRCData.KEYS.leads, []);
+    const users = CRCData.read(CRCData.KEYS.users, []);
+    const settings = CRCData.attributionSettings();
+    const nameOf = (id) => (users.find(u => u.id === id) || {
+      name: '—'
+    }).name;
+
+    const container = el('div', {
+      className: 'list',
+      style: {
+        marginTop: '10px'
+      }
+    });
+    if (!disputes.length) {
+      container.append(el('div', {
+        className: 'muted'
+      }, 'No disputes. They open when two referrers claim the same email, or a lead matches an existing customer.'));
+    }
+
+    disputes.forEach(d => {
+      const claims = d.leadIds.map(id => leads.find(l => l.id === id)).filter(Boolean);
+      const suggestion = CRCData.resolveAttribution(d.email);
+      const choice = el('select', {},
+        claims.map(l => el('option', {
+          value: l.id
+        }, `${nameOf(l.referrerId)} — ${new Date(l.createdAt).toLocaleDateString()}`)),
+        el('option', {
+          value: ''
+        }, 'Reject all claims')
+      );
+      if (suggestion.winner) choice.value = suggestion.winner.id;
+      const noteInput = el('input', {
+        placeholder: 'Decision note (required)'
+      });
+
+      container.append(el('div', {
+        className: 'panel'
+      },
+        el('div', {
+          style: {
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center'
+          }
+        },
+          el('strong', {}, d.email),
+          el('div', {
+            className: 'pill',
+            textContent: d.status
+          })
+        ),
+        el('div', {
+          className: 'muted small'
+        }, `${d.kinds.join(', ')}${d.customerId ? ' • existing customer: ' + nameOf(d.customerId) : ''} • opened ${new Date(d.createdAt).toLocaleString()}`),
+        el('div', {
+          className: 'list',
+          style: {
+            marginTop: '8px'
+          }
+        },
+          claims.map(l => {
+            const inWindow = suggestion.eligible.some(x => x.id === l.id);
+            return el('div', {
+              className: 'item small'
+            },
+              el('div', {},
+                el('strong', {}, nameOf(l.referrerId)),
+                el('span', {
+                  className: 'muted'
+                }, ` claimed ${new Date(l.createdAt).toLocaleString()} • stage ${l.status}${inWindow ? '' : ' • outside window'}`)
+              ),
+              d.decision && d.decision.winnerLeadId === l.id && el('div', {
+                className: 'pill'
+              }, 'Winner')
+            );
+          })
+        ),
+        d.status === 'open' ?
+        el('div', {
+          className: 'forms',
+          style: {
+            display: 'flex',
+            gap: '8px',
+            alignItems: 'flex-end',
+            marginTop: '8px'
+          }
+        },
+          el('label', {}, `Award to (suggested: ${settings.model}, ${settings.windowDays}d)`, choice),
+          el('label', {
+            style: {
+              flex: '1'
+            }
+          }, 'Note', noteInput),
+          el('button', {
+            className: 'btn primary',
+            textContent: 'Record decision',
+            onclick: () => {
+              const res = CRCData.resolveDispute(d.id, choice.value || null, noteInput.value);
+              if (res.error) return toast(res.error);
+              toast('Decision recorded');
+              render();
+            }
+          })
+        ) :
+        el('p', {
+          className: 'muted small'
+        }, `Decided by ${d.decision.decidedByName} on ${new Date(d.decision.decidedAt).toLocaleString()}: ${d.decision.winnerLeadId ? 'awarded to ' + nameOf((claims.find(l => l.id === d.decision.winnerLeadId) || {}).referrerId) : 'all claims rejected'} — ${d.decision.note}`)
+      ));
+    });
+
+    refs.viewArea.append(el('div', {},
+      el('h3', {}, `${disputes.filter(d => d.status === 'open').length} open disputes`),
+      container
+    ));
+  }
+
+  /**
+   * Opens the add/edit form for a contractor.
+   * @param {object} [contractor] - Existing contractor to edit; omit to add a new one.
+   */
+  function openContractorModal(contractor) {
+    const c = contractor || {
+      trade: 'General',
+      maxConcurrent: 3,
+      available: true
+    };
+    const nameInput = el('input', {
+      value: c.name || '',
+      placeholder: 'Company or crew name'
+    });
+    const tradeSelect = el('select', {},
+      CRCData.CONTRACTOR_TRADES.map(t => el('option', {
+        value: t
+      }, t))
+    );
+    tradeSelect.value = c.trade;
+    const phoneInput = el('input', {
+      value: c.phone || ''
+    });
+    const emailInput = el('input', {
+      type: 'email',
+      value: c.email || ''
+    });
+    const maxInput = el('input', {
+      type: 'number',
+      min: '1',
+      value: c.maxConcurrent
+    });
+    const availableInput = el('input', {
+      type: 'checkbox'
+    });
+    availableInput.checked = c.available;
+
+    showModal(contractor ? `Edit ${contractor.name}` : 'Add Contractor', el('div', {
+      className: 'forms'
+    },
+      el('label', {}, 'Name', nameInput),
+      el('label', {}, 'Trade', tradeSelect),
+      el('label', {}, 'Phone', phoneInput),
+      el('label', {}, 'Email', emailInput),
+      el('label', {}, 'Max concurrent projects', maxInput),
+      el('label', {}, availableInput, ' Available for new work')
+    ), () => {
+      const res = CRCData.saveContractor({
+        id: contractor && contractor.id,
+        name: nameInput.value,
+        trade: tradeSelect.value,
+        phone: phoneInput.value,
+        email: emailInput.value,
+        maxConcurrent: maxInput.value,
+        available: availableInput.checked
+      });
+      if (res.error) {
+        toast(res.error);
+        return false;
+      }
+      toast(contractor ? 'Contractor updated' : 'Contractor added');
+      render();
+      return true;
+    });
+  }
+
+  function viewContractors() {
+    const s = requireAuth();
+    if (!s) return;
+    refs.pageTitle.textContent = 'Contractors';
+    refs.pageDesc.textContent = 'Who is available, their current load and how each active project is progressing';
+    refs.viewArea.innerHTML = '';
+
+    if (s.role !== 'admin') {
+      refs.viewArea.append(el('div', {
+        className: 'muted'
+      }, 'The contractor board is available to admins.'));
+      return;
+    }
+
+    const contractors = CRCData.read(CRCData.KEYS.contractors, []);
+    const projects = CRCData.read(CRCData.KEYS.projects, []);
+    const unassigned = projects.filter(p => !p.assignedContractorId && p.status !== 'completed');
+
+    const container = el('div', {
+      className: 'list',
+      style: {
+        marginTop: '10px'
+      }
+    });
+    if (!contractors.length) {
+      container.append(el('div', {
+        className: 'muted'
+      }, 'No contractors yet.'));
+    }
+
+    contractors.forEach(c => {
+      const active = CRCData.contractorLoad(c.id, projects);
+      const full = active.length >= c.maxConcurrent;
+      container.append(el('div', {
+        className: 'panel'
+      },
+        el('div', {
+          style: {
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center'
+          }
+        },
+          el('div', {},
+            el('strong', {}, c.name),
+            el('span', {
+              className: 'muted small'
+            }, ` ${c.trade}${c.phone ? ' • ' + c.phone : ''}${c.email ? ' • ' + c.email : ''}`)
+          ),
+          el('div', {
+            style: {
+              display: 'flex',
+              gap: '8px',
+              alignItems: 'center'
+            }
+          },
+            el('div', {
+              className: 'pill',
+              textContent: !c.available ? 'unavailable' : (full ? 'at capacity' : 'available')
+            }),
+            el('div', {
+              className: 'muted small'
+            }, `${active.length}/${c.maxConcurrent} active`),
+            el('button', {
+              className: 'btn',
+              textContent: 'Edit',
+              onclick: () => openContractorModal(c)
+            })
+          )
+        ),
+        el('div', {
+          className: 'list',
+          style: {
+            marginTop: '8px'
+          }
+        },
+          active.length ? active.map(p => {
+            const done = p.stages.filter(st => st.done).length;
+            return el('div', {
+              className: 'item small'
+            },
+              el('div', {},
+                el('a', {
+                  href: `#project/${p.id}`
+                }, p.location),
+                el('span', {
+                  className: 'muted'
+                }, ` • ${p.status} • ${done}/${p.stages.length} stages • next: ${(p.stages.find(st => !st.done) || { name: '—' }).name}`)
+              ),
+              el('progress', {
+                max: p.stages.length,
+                value: done
+              })
+            );
+          }) : el('div', {
+            className: 'muted small'
+          }, 'No active projects.')
+        )
+      ));
+    });
+
+    refs.viewArea.append(el('div', {},
+      el('div', {
+        style: {
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center'
+        }
+      },
+        el('h3', {}, `${contractors.filter(c => c.available).length} of ${contractors.length} contractors available • ${unassigned.length} active projects unassigned`),
+        el('button', {
+          className: 'btn primary',
+          textContent: 'Add contractor',
+          onclick: () => openContractorModal()
+        })
+      ),
+      container
+    ));
+  }
+
+  function viewTimeline() {
+    const s = requireAuth();
+    if (!s) return;
+    refs.pageTitle.textContent = 'Timeline';
+    refs.pageDesc.textContent = 'Planned and actual schedule across all projects';
+    refs.viewArea.innerHTML = '';
+
+    if (s.role !== 'admin') {
+      refs.viewArea.append(el('div', {
+        className: 'muted'
+      }, 'The portfolio timeline is available to admins.'));
+      return;
+    }
+
+    const showCompleted = el('input', {
+      type: 'checkbox'
+    });
+    const chartArea = el('div', {});
+
+    function paint() {
+      const rows = CRCData.read(CRCData.KEYS.projects, [])
+        .filter(p => showCompleted.checked || p.status !== 'completed')
+        .map(p => {
+          const sc = CRCData.projectSchedule(p);
+          const started = sc.stages.map(st => st.actualStart).filter(Boolean).sort();
+          return {
+            label: p.location,
+            href: `#project/${p.id}`,
+            plannedStart: sc.plannedStart,
+            plannedEnd: sc.plannedEnd,
+            actualStart: started[0] || null,
+            actualEnd: p.status === 'completed' ? sc.stages.map(st => st.actualEnd).filter(Boolean).sort().pop() || null : null,
+            done: p.status === 'completed',
+            overdue: sc.late,
+            slipDays: sc.slipDays
+          };
+        })
+        .sort((a, b) => a.plannedStart.localeCompare(b.plannedStart));
+      chartArea.innerHTML = '';
+      chartArea.append(el('div', {},
+        el('h3', {}, `${rows.length} projects • ${rows.filter(r => r.overdue).length} late`),
+        rows.length ? createGantt(rows) : el('div', {
+          className: 'muted'
+        }, 'No projects to show.'),
+        rows.some(r => r.overdue) && el('div', {
+          className: 'list',
+          style: {
+            marginTop: '10px'
+          }
+        },
+          rows.filter(r => r.overdue).sort((a, b) => b.slipDays - a.slipDays).map(r => el('div', {
+            className: 'item small'
+          },
+            el('a', {
+              href: r.href
+            }, r.label),
+            el('div', {
+              className: 'pill late'
+            }, `${r.slipDays} days behind`)
+          ))
+        )
+      ));
+    }
+    showCompleted.addEventListener('change', paint);
+    paint();
+
+    refs.viewArea.append(el('div', {
+      className: 'panel'
+    },
+      el('label', {
+        className: 'small muted'
+      }, showCompleted, ' Include completed projects'),
+      chartArea
+    ));
+  }
+
+  let searchHash = '';
+
+  function viewSearch(query) {
+    const s = requireAuth();
+    if (!s) return;
+    refs.pageTitle.textContent = 'Search';
+    refs.pageDesc.textContent = query ? `Results for "${query}"` : 'Search projects, leads, users and notes';
+    refs.viewArea.innerHTML = '';
+    // keep the query in the address so reloads and shared links land on the same results
+    searchHash = `#search/${encodeURIComponent(query)}`;
+    if (location.hash !== searchHash) history.replaceState(null, '', searchHash);
+
+    const result = CRCData.searchAll(query);
+    const users = CRCData.read(CRCData.KEYS.users, []);
+    const nameOf = (id) => (users.find(u => u.id === id) || {
+      name: '—'
+    }).name;
+    const run = (q) => {
+      refs.globalSearch.value = q;
+      render();
+    };
+
+    const saved = CRCData.savedSearches(s.id);
+    const savedBar = el('div', {
+      className: 'panel',
+      style: {
+        display: 'flex',
+        gap: '8px',
+        flexWrap: 'wrap',
+        alignItems: 'center'
+      }
+    },
+      el('strong', {}, 'Saved searches'),
+      !saved.length && el('span', {
+        className: 'muted small'
+      }, 'None yet.'),
+      saved.map(q => el('span', {
+        className: 'pill small'
+      },
+        el('a', {
+          href: `#search/${encodeURIComponent(q.query)}`,
+          title: q.query,
+          onclick: (ev) => {
+            ev.preventDefault();
+            run(q.query);
+          }
+        }, q.name),
+        el('button', {
+          className: 'btn tiny ghost',
+          textContent: '×',
+          title: 'Delete saved search',
+          onclick: () => {
+            const res = CRCData.deleteSavedSearch(s.id, q.id);
+            if (res.error) return toast(res.error);
+            toast(`Deleted "${q.name}"`);
+            render();
+          }
+        })
+      )),
+      query && !result.errors.length && el('button', {
+        className: 'btn tiny',
+        textContent: 'Save this search',
+        onclick: () => {
+          const nameInput = el('input', {
+            placeholder: 'e.g. Premium builds over 20k'
+          });
+          showModal('Save search', el('div', {
+            className: 'forms'
+          },
+            el('p', {
+              className: 'muted small'
+            }, query),
+            el('label', {}, 'Name', nameInput)
+          ), () => {
+            const res = CRCData.saveSearch(s.id, nameInput.value, query);
+            if (res.error) {
+              toast(res.error);
+              return false;
+            }
+            toast(`Saved "${res.search.name}"`);
+            render();
+            return true;
+          });
+        }
+      })
+    );
+
+    // One row per hit; each links to where the record is managed
+    const hitRow = (title, detail, hash) => el('div', {
+      className: 'item',
+      style: {
+        cursor: hash ? 'pointer' : 'default'
+      },
+      onclick: () => {
+        if (hash) location.hash = hash;
+      }
+    },
+      el('div', {},
+        el('div', {}, el('strong', {}, title)),
+        el('div', {
+          className: 'muted small'
+        }, detail)
+      )
+    );
+    const GROUPS = [
+      ['project', 'Projects', p => hitRow(p.location, `#${p.id} • ${p.status} • ${formatCurrency(p.budget, p.currency)} • ${p.materials} • Customer: ${nameOf(p.customerId)} • Referrer: ${nameOf(p.referrerId)}`, `project/${p.id}`)],
+      ['lead', 'Leads', l => hitRow(l.email, `${l.status} • Referrer: ${nameOf(l.referrerId)}${l.notes ? ` • ${l.notes}` : ''}`, 'leads')],
+      ['user', 'Users', u => hitRow(u.name, `${u.email} • ${u.role}`, u.id === s.id ? 'profile' : null)],
+      ['note', 'Notes', n => hitRow(n.text, `${n.parentType} ${n.parentLabel} • ${n.status} • ${new Date(n.at).toLocaleDateString()}`, n.parentType === 'project' ? `project/${n.parentId}` : n.parentType === 'lead' ? 'leads' : 'disputes')]
+    ];
+
+    const fields = CRCData.searchFields();
+    refs.viewArea.append(
+      savedBar,
+      result.errors.length > 0 && el('div', {
+        className: 'panel',
+        style: {
+          marginTop: '12px'
+        }
+      }, result.errors.map(err => el('div', {
+        className: 'small'
+      }, err))),
+      query ? el('div', {},
+        el('h3', {
+          style: {
+            marginTop: '12px'
+          }
+        }, `${result.total} results`),
+        GROUPS.filter(([type]) => result.groups[type].length).map(([type, label, row]) => el('div', {
+          className: 'panel',
+          style: {
+            marginTop: '12px'
+          }
+        },
+          el('h4', {}, `${label} (${result.groups[type].length})`),
+          el('div', {
+            className: 'list'
+          }, result.groups[type].slice(0, 50).map(row)),
+          result.groups[type].length > 50 && el('div', {
+            className: 'muted small'
+          }, `Showing the first 50 of ${result.groups[type].length}; narrow the query to see the rest.`)
+        ))
+      ) : el('div', {
+        className: 'panel',
+        style: {
+          marginTop: '12px'
+        }
+      },
+        el('h4', {}, 'Query syntax'),
+        el('p', {
+          className: 'muted small'
+        }, 'Combine terms with spaces: field:value, field:>number (also >=, <, <=), "quoted phrases" and plain words. Prefix a term with - to exclude it. Example: status:in-progress budget:>20000 referrer:alice materials:premium "green hill"'),
+        el('div', {
+          className: 'list'
+        }, fields.map(f => el('div', {
+          className: 'small'
+        }, el('strong', {}, `${f.name}:`), el('span', {
+          className: 'muted'
+        }, ` ${f.label} — ${f.types.join(', ')}`))))
+      )
+    );
+  }
+
+  function viewInbox() {
+    const s = requireAuth();
+    if (!s) return;
+    refs.pageTitle.textContent = 'Inbox';
+    refs.pageDesc.textContent = 'Notifications about your leads, projects and commission';
+    refs.viewArea.innerHTML = '';
+
+    const items = CRCData.notificationsFor(s.id);
+    const markRead = (ids) => {
+      const res = CRCData.markNotificationsRead(s.id, ids);
+      if (res.error) toast(res.error);
+      return res;
+    };
+    const open = (n) => {
+      if (!n.readAt) markRead([n.id]);
+      if (n.entityType === 'project') location.hash = `project/${n.entityId}`;
+      else if (n.entityType === 'lead') location.hash = 'leads';
+      else render();
+    };
+
+    const list = el('div', {
+      className: 'list',
+      style: {
+        marginTop: '10px'
+      }
+    });
+    if (!items.length) {
+      list.append(el('div', {
+        className: 'muted'
+      }, 'No notifications yet. Choose what you hear about under Settings.'));
+    }
+    items.forEach(n => list.append(el('div', {
+      className: `item${n.readAt ? '' : ' unread'}`
+    },
+      el('div', {
+        style: {
+          cursor: n.entityType ? 'pointer' : 'default'
+        },
+        onclick: () => open(n)
+      },
+        el('div', {
+          className: 'muted small'
+        }, new Date(n.createdAt).toLocaleString()),
+        el('div', {}, n.message)
+      ),
+      !n.readAt && el('button', {
+        className: 'btn tiny',
+        textContent: 'Mark read',
+        onclick: () => {
+          if (!markRead([n.id]).error) render();
+        }
+      })
+    )));
+
+    refs.viewArea.append(
+      el('div', {
+        className: 'panel'
+      },
+        el('div', {
+          style: {
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center'
+          }
+        },
+          el('h3', {}, `Notifications (${items.filter(n => !n.readAt).length} unread)`),
+          el('button', {
+            className: 'btn',
+            textContent: 'Mark all read',
+            onclick: () => {
+              if (!markRead().error) render();
+            }
+          })
+        ),
+        list
+      )
+    );
+  }
+
+  function viewReports() {
+    const s = requireAuth();
+    if (!s) return;
+    refs.pageTitle.textContent = 'Reports';
+    refs.pageDesc.textContent = 'Conversion, commission, pipeline and delivery analytics';
+    refs.viewArea.innerHTML = '';
+
+    if (s.role !== 'admin') {
+      refs.viewArea.append(el('div', {
+        className: 'muted'
+      }, 'Reports are available to admins.'));
+      return;
+    }
+
+    const fromInput = el('input', {
+      type: 'date'
+    });
+    const toInput = el('input', {
+      type: 'date'
+    });
+    const currencySelect = createCurrencySelect();
+    const chartsArea = el('div', {});
+
+    function chartPanel(title, name, dataset, currency, chart) {
+      return el('div', {
+        className: 'panel',
+        style: {
+          marginTop: '12px'
+        }
+      },
+        el('div', {
+          style: {
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center'
+          }
+        },
+          el('h3', {}, title),
+          el('button', {
+            className: 'btn tiny',
+            textContent: 'Export CSV',
+            onclick: () => downloadCsv(`crc-${name}-${fromInput.value || 'all'}-${toInput.value || 'now'}.csv`, dataset, currency)
+          })
+        ),
+        dataset.rows.length ? chart : el('div', {
+          className: 'muted small'
+        }, 'No data in this range.')
+      );
+    }
+
+    function paint() {
+      const r = CRCData.buildReports({
+        from: fromInput.value,
+        to: toInput.value,
+        currency: currencySelect.value
+      });
+      const money = (v) => formatCurrency(v, r.currency);
+      chartsArea.innerHTML = '';
+      chartsArea.append(el('div', {},
+        r.unconverted > 0 && el('p', {
+          className: 'muted small'
+        }, `${r.unconverted} amounts have no exchange rate into ${r.currency} and are left out.`),
+        chartPanel('Lead conversion by referrer', 'conversion', r.conversion, r.currency,
+          createBarChart(r.conversion.rows.map(x => `${x.referrer} (${x.converted}/${x.leads})`), [{
+            name: 'Conversion %',
+            values: r.conversion.rows.map(x => x.rate)
+          }], (v) => `${v}%`)),
+        chartPanel('Commission earned and paid', 'commission', r.commission, r.currency,
+          createBarChart(r.commission.rows.map(x => x.month), [{
+            name: 'Earned',
+            values: r.commission.rows.map(x => x.earned)
+          }, {
+            name: 'Paid',
+            values: r.commission.rows.map(x => x.paid)
+          }], money)),
+        chartPanel('Pipeline value by status', 'pipeline', r.pipeline, r.currency,
+          createBarChart(r.pipeline.rows.map(x => `${x.status} (${x.projects})`), [{
+            name: 'Value',
+            values: r.pipeline.rows.map(x => x.value)
+          }], money)),
+        chartPanel('Average time per stage', 'stage-times', r.stages, r.currency,
+          createBarChart(r.stages.rows.map(x => `${x.stage} (${x.completed})`), [{
+            name: 'Actual days',
+            values: r.stages.rows.map(x => x.avgActualDays)
+          }, {
+            name: 'Planned days',
+            values: r.stages.rows.map(x => x.avgPlannedDays)
+          }], (v) => `${v}d`)),
+        chartPanel('Budget by material tier', 'budgets', r.materials, r.currency,
+          createBarChart(r.materials.rows.map(x => `${x.materials} (${x.projects})`), ['min', 'median', 'max'].map(k => ({
+            name: k[0].toUpperCase() + k.slice(1),
+            values: r.materials.rows.map(x => x[k])
+          })), money))
+      ));
+    }
+    [fromInput, toInput, currencySelect].forEach(i => i.addEventListener('change', paint));
+    paint();
+
+    refs.viewArea.append(
+      el('div', {
+        className: 'panel forms',
+        style: {
+          display: 'flex',
+          gap: '8px',
+          alignItems: 'flex-end'
+        }
+      },
+        el('label', {}, 'From', fromInput),
+        el('label', {}, 'To', toInput),
+        el('label', {}, 'Currency', currencySelect)
+      ),
+      chartsArea
+    );
+  }
+
+  function viewAudit() {
+    const s = requireAuth();
+    if (!s) return;
+    refs.pageTitle.textContent = 'Audit';
+    refs.pageDesc.textContent = 'Every data change, newest first';
+    refs.viewArea.innerHTML = '';
+
+    if (s.role !== 'admin') {
+      refs.viewArea.append(el('div', {
+        className: 'muted'
+      }, 'The audit log is available to admins only.'));
+      return;
+    }
+
+    const users = CRCData.read(CRCData.KEYS.users, []);
+    const userSelect = el('select', {},
+      el('option', {
+        value: ''
+      }, 'All users'),
+      users.map(u => el('option', {
+        value: u.id
+      }, u.name))
+    );
+    const entitySelect = el('select', {},
+      el('option', {
+        value: ''
+      }, 'All entities'),
+      ['user', 'project', 'lead', 'commission', 'rule', 'defaults', 'dispute', 'contractor', 'store'].map(e => el('option', {
+        value: e
+      }, e))
+    );
+    const fromInput = el('input', {
+      type: 'date'
+    });
+    const toInput = el('input', {
+      type: 'date'
+    });
+    const results = el('div', {});
+
+    const apply = () => {
+      const entries = CRCData.readAudit({
+        actorId: userSelect.value,
+        entity: entitySelect.value,
+        from: fromInput.value,
+        to: toInput.value
+      });
+      results.innerHTML = '';
+      results.append(el('h3', {}, `${entries.length} changes`), createAuditList(entries, true));
+    };
+    [userSelect, entitySelect, fromInput, toInput].forEach(i => i.addEventListener('change', apply));
+    apply();
+
+    refs.viewArea.append(
+      el('div', {
+        className: 'panel'
+      },
+        el('div', {
+          className: 'forms',
+          style: {
+            display: 'flex',
+            gap: '8px',
+            alignItems: 'flex-end'
+          }
+        },
+          el('label', {}, 'User', userSelect),
+          el('label', {}, 'Entity', entitySelect),
+          el('label', {}, 'From', fromInput),
+          el('label', {}, 'To', toInput)
+        )
+      ),
+      results
+    );
+  }
+
+  function viewProfile() {
+    const s = requireAuth();
+    if (!s) return;
+    refs.pageTitle.textContent = 'Profile';
+    refs.pageDesc.textContent = 'Your account';
+    refs.viewArea.innerHTML = '';
+    refs.viewArea.append(
+      el('div', {
+        className: 'panel'
+      },
+        el('h3', {}, s.name),
+        el('p', {
+          className: 'muted small'
+        }, s.email),
+        el('p', {}, el('strong', {}, 'Role: '), s.role),
+        el('p', {}, el('strong', {}, 'Created: '), new Date(s.createdAt).toLocaleString()),
+        s.role === 'referrer' && (() => {
+          const me = CRCData.read(CRCData.KEYS.users, []).find(u => u.id === s.id);
+          const select = createCurrencySelect((me && me.payoutCurrency) || CRCData.defaultCurrency());
+          select.addEventListener('change', () => {
+            const res = CRCData.setPayoutCurrency(s.id, select.value);
+            if (res.error) return toast(res.error);
+            toast(`Statements now shown in ${select.value}`);
+          });
+          return el('div', {
+            className: 'forms'
+          }, el('label', {}, 'Payout currency', select));
+        })()
+      )
+    );
+  }
+
+  /**
+   * Builds the commission rules editor (admin only).
+   * Edits a draft copy; nothing is stored until "Save rules".
+   * @param {Array} users - All users, for the referrer override picker.
+   * @returns {HTMLElement}
+   */
+  function createRulesEditor(users) {
+    const draft = CRCData.readRules().map(r => ({ ...r }));
+    const referrers = users.filter(u => u.role === 'referrer');
+    // money thresholds are edited in major units of the rule's currency and stored as minor units
+    const moneyFields = ['minBudget', 'maxBudget', 'minAmount', 'maxAmount'];
+    const fieldLabels = {
+      minBudget: 'Min budget',
+      maxBudget: 'Max budget',
+      rate: 'Rate %',
+      referrerId: 'Referrer',
+      materials: 'Materials',
+      threshold: 'Conversions / quarter',
+      bonus: 'Bonus pts',
+      minAmount: 'Min amount',
+      maxAmount: 'Max amount'
+    };
+    const listEl = el('div', {
+      className: 'list',
+      style: {
+        marginTop: '10px'
+      }
+    });
+
+    function fieldInput(rule, field) {
+      let input;
+      if (field === 'referrerId') {
+        input = el('select', {},
+          el('option', {
+            value: ''
+          }, '— pick —'),
+          referrers.map(u => el('option', {
+            value: u.id
+          }, u.name))
+        );
+      } else if (field === 'materials') {
+        input = el('select', {}, ['Standard', 'Premium'].map(m => el('option', {
+          value: m
+        }, m)));
+      } else {
+        input = el('input', {
+          type: 'number',
+          style: {
+            width: '90px'
+          }
+        });
+      }
+      const money = moneyFields.includes(field);
+      const currency = rule.currency || CRCData.defaultCurrency();
+      input.value = rule[field] == null ? '' : (money ? CRCData.fromMinor(rule[field], currency) : rule[field]);
+      input.addEventListener('change', () => {
+        const v = input.value;
+        rule[field] = input.tagName === 'SELECT' ? v : (v === '' ? null : (money ? CRCData.toMinor(v, currency) : Number(v)));
+      });
+      return el('label', {
+        className: 'small'
+      }, money ? `${fieldLabels[field]} (${currency})` : fieldLabels[field], input);
+    }
+
+    function paint() {
+      listEl.innerHTML = '';
+      if (!draft.length) {
+        listEl.append(el('div', {
+          className: 'muted small'
+        }, `No rules — every project gets the default commission.`));
+      }
+      draft.forEach((rule, i) => {
+        const labelInput = el('input', {
+          value: rule.label || '',
+          placeholder: 'Rule name'
+        });
+        labelInput.addEventListener('change', () => rule.label = labelInput.value.trim());
+        const enabledInput = el('input', {
+          type: 'checkbox'
+        });
+        enabledInput.checked = rule.enabled !== false;
+        enabledInput.addEventListener('change', () => rule.enabled = enabledInput.checked);
+        listEl.append(el('div', {
+          className: 'item'
+        },
+          el('div', {
+            className: 'forms',
+            style: {
+              display: 'flex',
+              gap: '8px',
+              flexWrap: 'wrap',
+              alignItems: 'flex-end',
+              flex: '1'
+            }
+          },
+            el('div', {
+              className: 'pill',
+              textContent: CRCData.RULE_TYPES[rule.type].label
+            }),
+            labelInput,
+            CRCData.RULE_TYPES[rule.type].fields.map(f => fieldInput(rule, f)),
+            el('label', {
+              className: 'small'
+            }, enabledInput, ' enabled')
+          ),
+          el('button', {
+            className: 'btn tiny',
+            textContent: 'Remove',
+            onclick: () => {
+              draft.splice(i, 1);
+              paint();
+            }
+          })
+        ));
+      });
+    }
+
+    const typeSelect = el('select', {}, Object.entries(CRCData.RULE_TYPES).map(([key, t]) => el('option', {
+      value: key
+    }, t.label)));
+
+    // Preview runs against the saved rules
+    const previewBudget = el('input', {
+      type: 'number',
+      placeholder: 'Budget',
+      style: {
+        width: '110px'
+      }
+    });
+    const previewCurrency = createCurrencySelect();
+    const previewMaterials = el('select', {}, ['Standard', 'Premium'].map(m => el('option', {
+      value: m
+    }, m)));
+    const previewReferrer = el('select', {},
+      el('option', {
+        value: ''
+      }, 'No referrer'),
+      referrers.map(u => el('option', {
+        value: u.id
+      }, u.name))
+    );
+    const previewOut = el('div', {
+      className: 'muted small'
+    });
+
+    paint();
+    return el('div', {
+      className: 'panel',
+      style: {
+        marginTop: '12px'
+      }
+    },
+      el('h3', {}, 'Commission rules'),
+      el('p', {
+        className: 'muted small'
+      }, 'Precedence: referrer override, then material tier, then budget band, then the default rate. Volume bonuses add on top; caps and minimums apply last.'),
+      listEl,
+      el('div', {
+        style: {
+          display: 'flex',
+          gap: '8px',
+          marginTop: '10px'
+        }
+      },
+        typeSelect,
+        el('button', {
+          className: 'btn',
+          textContent: 'Add rule',
+          onclick: () => {
+            draft.push({
+              type: typeSelect.value,
+              label: '',
+              enabled: true,
+              currency: CRCData.defaultCurrency()
+            });
+            paint();
+          }
+        }),
+        el('button', {
+          className: 'btn primary',
+          textContent: 'Save rules',
+          onclick: () => {
+            const res = CRCData.saveRules(draft);
+            if (res.error) return toast(res.error);
+            toast('Commission rules saved');
+          }
+        })
+      ),
+      el('h4', {}, 'Preview'),
+      el('div', {
+        style: {
+          display: 'flex',
+          gap: '8px',
+          alignItems: 'center'
+        }
+      },
+        previewBudget,
+        previewCurrency,
+        previewMaterials,
+        previewReferrer,
+        el('button', {
+          className: 'btn tiny',
+          textContent: 'Evaluate',
+          onclick: () => {
+            const ev = CRCData.evaluateCommission({
+              budget: CRCData.toMinor(previewBudget.value, previewCurrency.value),
+              currency: previewCurrency.value,
+              materials: previewMaterials.value,
+              referrerId: previewReferrer.value || null
+            });
+            previewOut.textContent = `${ev.rate}% — ${ev.steps.join(' → ')}`;
+          }
+        })
+      ),
+      previewOut
+    );
+  }
+
+  /**
+   * Editor for which notifications the signed-in user receives.
+   * @param {object} s - The current session.
+   * @returns {HTMLElement}
+   */
+  function createNotificationPrefsPanel(s) {
+    const prefs = CRCData.notificationPrefs(s.id);
+    return el('div', {
+      className: 'panel',
+      style: {
+        marginTop: '12px'
+      }
+    },
+      el('h3', {}, 'Notifications'),
+      el('p', {
+        className: 'muted small'
+      }, 'Choose which events land in your inbox.'),
+      prefs.map(pref => {
+        const box = el('input', {
+          type: 'checkbox'
+        });
+        box.checked = pref.enabled;
+        box.addEventListener('change', () => {
+          const res = CRCData.setNotificationPrefs(s.id, {
+            [pref.kind]: box.checked
+          });
+          if (res.error) {
+            box.checked = !box.checked;
+            return toast(res.error);
+          }
+          toast('Notification preferences saved');
+        });
+        return el('label', {
+          style: {
+            display: 'flex',
+            gap: '8px',
+            alignItems: 'center'
+          }
+        }, box, pref.label);
+      })
+    );
+  }
+
+  function viewSettings() {
+    const s = requireAuth();
+    if (!s) return;
+    refs.pageTitle.textContent = 'Settings';
+    refs.pageDesc.textContent = 'Application settings';
+    const defaults = CRCData.readObj(CRCData.KEYS.defaults, {
+      defaultCommission: 6
+    });
+
+    const commissionInput = el('input', {
+      id: 'default-commission',
+      type: 'number',
+      value: defaults.defaultCommission,
+      min: '0',
+      max: '100'
+    });
+    const currencySelect = createCurrencySelect(defaults.currency || 'USD');
+
+    refs.viewArea.innerHTML = '';
+    refs.viewArea.append(
+      el('div', {
+        className: 'panel'
+      },
+        el('h3', {}, 'App Defaults'),
+        el('label', {}, 'Default commission %', commissionInput),
+        el('label', {}, 'Default currency (new projects, ledger totals)', currencySelect),
+        el('div', {
+          style: {
+            marginTop: '10px'
+          }
+        },
+          el('button', {
+            id: 'save-defaults',
+            className: 'btn',
+            textContent: 'Save',
+            onclick: () => {
+              const val = Number(commissionInput.value);
+              if (isNaN(val) || val < 0 || val > 100) return toast('Enter 0-100');
+              const res = CRCData.writeDefaults({
+                ...CRCData.readObj(CRCData.KEYS.defaults, {}),
+                defaultCommission: val,
+                currency: currencySelect.value
+              });
+              if (res.error) return toast(res.error);
+              toast('Defaults saved');
+            }
+          })
+        )
+      ),
+      createNotificationPrefsPanel(s),
+      s.role === 'admin' && createRulesEditor(CRCData.read(CRCData.KEYS.users, [])),
+      s.role === 'admin' && createRatesPanel(),
+      s.role === 'admin' && createStageTemplatesPanel(),
+      s.role === 'admin' && createPipelinePanel(),
+      s.role === 'admin' && createAttributionPanel(),
+      s.role === 'admin' && createReferralCodesPanel(),
+      s.role === 'admin' && createPolicyPanel(),
+      s.role === 'admin' && createPasswordResetPanel(),
+      s.role === 'admin' && createSchemaPanel(),
+      s.role === 'admin' && createStoragePanel(),
+      s.role === 'admin' && createBackupPanel()
+    );
+  }
+
+  /**
+   * Lets an admin pick the storage adapter. Switching copies all data across and reloads.
+   * @returns {HTMLElement}
+   */
+  function createStoragePanel() {
+    const info = CRCData.storageInfo();
+    const typeSelect = el('select', {}, info.types.map(t => el('option', {
+      value: t
+    }, t)));
+    typeSelect.value = info.type;
+    const urlInput = el('input', {
+      placeholder: 'http://localhost:8787 (blank = same origin)',
+      value: info.config.baseUrl || ''
+    });
+    const urlLabel = el('label', {}, 'Server URL', urlInput);
+    const syncUrl = () => urlLabel.classList.toggle('hidden', typeSelect.value !== 'rest');
+    typeSelect.addEventListener('change', syncUrl);
+    syncUrl();
+
+    return el('div', {
+      className: 'panel forms',
+      style: {
+        marginTop: '12px'
+      }
+    },
+      el('h3', {}, 'Storage'),
+      el('p', {}, el('strong', {}, 'Active adapter: '), info.type),
+      el('label', {}, 'Adapter', typeSelect),
+      urlLabel,
+      el('div', {
+        style: {
+          marginTop: '10px'
+        }
+      },
+        el('button', {
+          className: 'btn',
+          textContent: 'Switch & copy data',
+          onclick: () => {
+            const config = {
+              type: typeSelect.value
+            };
+            if (config.type === 'rest') config.baseUrl = urlInput.value.trim();
+            if (!confirm(`Copy all data into ${config.type} storage and use it from now on?`)) return;
+            CRCData.switchStorage(config).then(res => {
+              if (res.error) return toast(res.error);
+              toast('Storage switched — reloading');
+              setTimeout(() => location.reload(), 600);
+            });
+          }
+        }),
+        el('button', {
+          className: 'btn ghost',
+          textContent: 'Clear all data',
+          onclick: () => {
+            if (!confirm('Clear all data from storage? This signs everyone out.')) return;
+            const res = CRCData.clearAll();
+            if (res && res.error) return toast(res.error);
+            location.href = 'index.html';
+          }
+        })
+      )
+    );
+  }
+
+  /**
+   * Full backups: download every store as one checksummed JSON bundle, or import one after a preview of
+   * counts and conflicts (merge by id or replace everything).
+   * @returns {HTMLElement}
+   */
+  function createBackupPanel() {
+    const fileInput = el('input', {
+      type: 'file',
+      accept: 'application/json,.json',
+      className: 'hidden'
+    });
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (!file) return;
+      file.text().then(text => {
+        let bundle;
+        try {
+          bundle = JSON.parse(text);
+        } catch (e) {
+          return toast('File is not valid JSON');
+        }
+        return CRCData.validateBundle(bundle).then(report => report.error ? toast(report.error) : openImportModal(bundle, report));
+      });
+    });
+
+    return el('div', {
+      className: 'panel',
+      style: {
+        marginTop: '12px'
+      }
+    },
+      el('h3', {}, 'Backup'),
+      el('p', {
+        className: 'muted small'
+      }, 'Backups leave out passwords and sign-in state; imported users keep the ones stored here.'),
+      el('div', {
+        style: {
+          display: 'flex',
+          gap: '8px',
+          marginTop: '10px'
+        }
+      },
+        el('button', {
+          className: 'btn',
+          textContent: 'Export data',
+          onclick: () => CRCData.exportBundle().then(bundle => {
+            if (bundle.error) return toast(bundle.error);
+            const blob = new Blob([JSON.stringify(bundle, null, 2)], {
+              type: 'application/json'
+            });
+            const a = document.createElement('a');
+            a.href = URL.createObjectURL(blob);
+            a.download = `crc-backup-${bundle.exportedAt.slice(0, 10)}.json`;
+            a.click();
+            URL.revokeObjectURL(a.href);
+            toast('Backup downloaded');
+          })
+        }),
+        el('label', {
+          className: 'btn'
+        }, 'Import data', fileInput)
+      )
+    );
+  }
+
+  /**
+   * Previews a validated backup (counts and conflicts per store) and imports it on Save.
+   * @param {object} bundle - Parsed backup file.
+   * @param {object} report - From CRCData.validateBundle.
+   */
+  function openImportModal(bundle, report) {
+    const merge = el('input', {
+      type: 'radio',
+      name: 'import-mode',
+      value: 'merge'
+    });
+    const replace = el('input', {
+      type: 'radio',
+      name: 'import-mode',
+      value: 'replace'
+    });
+    merge.checked = true;
+    showModal('Import preview', el('div', {
+      className: 'forms'
+    },
+      el('div', {
+        className: 'list small'
+      },
+        el('div', {
+          className: 'muted'
+        }, `Exported ${report.exportedAt ? new Date(report.exportedAt).toLocaleString() : '—'} • schema v${report.schemaVersion}`),
+        Object.entries(report.stores || {}).map(([name, st]) => el('div', {}, `${name}: ${st.incoming} in file, ${st.existing} here, ${st.added} new, ${st.conflicts.length} conflicting`)),
+        report.errors.map(err => el('div', {
+          style: {
+            color: 'var(--danger)'
+          }
+        }, err))
+      ),
+      el('label', {}, merge, ' Merge by id (backup wins on conflicts)'),
+      el('label', {}, replace, ' Replace all current data')
+    ), () => {
+      if (!report.ok) {
+        toast('This backup can\'t be imported');
+        return false;
+      }
+      const mode = replace.checked ? 'replace' : 'merge';
+      if (mode === 'replace' && !confirm('Replace ALL current data with this backup?')) return false;
+      CRCData.importBundle(bundle, mode).then(res => {
+        if (res.error) return toast(res.error, 5000);
+        toast(res.schema.error ? `Imported, but upgrading it failed: ${res.schema.error.message}` : `Import complete (${mode})`, 4000);
+        render();
+      });
+      return true;
+    });
+  }
+
+  /**
+   * Editor for exchange rates. Rows are never edited in place: a new rate takes effect from its date,
+   * so statements for earlier dates keep the rate that applied then.
+   * @returns {HTMLElement}
+   */
+  function createRatesPanel() {
+    const rates = CRCData.read(CRCData.KEYS.fxRates, []).slice().sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom) || a.base.localeCompare(b.base));
+    const baseSelect = createCurrencySelect();
+    const quoteSelect = createCurrencySelect('EUR');
+    const rateInput = el('input', {
+      type: 'number',
+      step: 'any',
+      placeholder: 'e.g., 0.92',
+      style: {
+        width: '110px'
+      }
+    });
+    const dateInput = el('input', {
+      type: 'date',
+      value: new Date().toISOString().slice(0, 10)
+    });
+
+    return el('div', {
+      className: 'panel',
+      style: {
+        marginTop: '12px'
+      }
+    },
+      el('h3', {}, 'Exchange rates'),
+      el('p', {
+        className: 'muted small'
+      }, '1 base = rate × quote, from the effective date on. Pairs without a direct rate convert through the default currency.'),
+      el('div', {
+        className: 'list',
+        style: {
+          marginTop: '10px'
+        }
+      },
+        !rates.length && el('div', {
+          className: 'muted small'
+        }, 'No rates yet — amounts in other currencies are left out of totals.'),
+        rates.map(r => el('div', {
+          className: 'item small'
+        },
+          el('div', {}, `1 ${r.base} = ${r.rate} ${r.quote}`,
+            el('span', {
+              className: 'muted'
+            }, ` from ${r.effectiveFrom}`)
+          ),
+          el('button', {
+            className: 'btn tiny',
+            textContent: 'Remove',
+            onclick: () => {
+              const res = CRCData.deleteFxRate(r.id);
+              if (res.error) return toast(res.error);
+              toast('Rate removed');
+              render();
+            }
+          })
+        ))
+      ),
+      el('div', {
+        className: 'forms',
+        style: {
+          display: 'flex',
+          gap: '8px',
+          alignItems: 'flex-end',
+          marginTop: '10px'
+        }
+      },
+        el('label', {}, 'Base', baseSelect),
+        el('label', {}, 'Quote', quoteSelect),
+        el('label', {}, 'Rate', rateInput),
+        el('label', {}, 'Effective from', dateInput),
+        el('button', {
+          className: 'btn primary',
+          textContent: 'Add rate',
+          onclick: () => {
+            const res = CRCData.saveFxRate({
+              base: baseSelect.value,
+              quote: quoteSelect.value,
+              rate: Number(rateInput.value),
+              effectiveFrom: dateInput.value
+            });
+            if (res.error) return toast(res.error);
+            toast('Rate added');
+            render();
+          }
+        })
+      )
+    );
+  }
+
+  /**
+   * Editor for the stage templates offered at project creation. Existing projects keep their stages.
+   * @returns {HTMLElement}
+   */
+  function createStageTemplatesPanel() {
+    const draft = CRCData.stageTemplates().map(t => ({
+      key: t.key,
+      label: t.label,
+      stages: t.stages.map(st => ({
+        ...st,
+        tasks: [...st.tasks]
+      }))
+    }));
+    const listEl = el('div', {
+      className: 'list',
+      style: {
+        marginTop: '10px'
+      }
+    });
+
+    function paint() {
+      listEl.innerHTML = '';
+      draft.forEach((t, i) => {
+        const nameInput = el('input', {
+          value: t.label,
+          placeholder: 'Project type, e.g. Renovation'
+        });
+        nameInput.addEventListener('change', () => t.label = nameInput.value.trim());
+        listEl.append(el('div', {
+          className: 'panel'
+        },
+          el('div', {
+            style: {
+              display: 'flex',
+              gap: '8px',
+              alignItems: 'center',
+              marginBottom: '8px'
+            }
+          },
+            nameInput,
+            el('button', {
+              className: 'btn tiny',
+              textContent: 'Remove template',
+              onclick: () => {
+                draft.splice(i, 1);
+                paint();
+              }
+            })
+          ),
+          createStageListEditor(t.stages)
+        ));
+      });
+    }
+    paint();
+
+    return el('div', {
+      className: 'panel',
+      style: {
+        marginTop: '12px'
+      }
+    },
+      el('h3', {}, 'Stage templates'),
+      el('p', {
+        className: 'muted small'
+      }, 'Picked per project at creation. Existing projects keep their stages.'),
+      listEl,
+      el('div', {
+        style: {
+          display: 'flex',
+          gap: '8px',
+          marginTop: '10px'
+        }
+      },
+        el('button', {
+          className: 'btn',
+          textContent: 'Add template',
+          onclick: () => {
+            draft.push({
+              label: '',
+              stages: [{
+                label: '',
+                share: null,
+                durationDays: 14,
+                tasks: []
+              }]
+            });
+            paint();
+          }
+        }),
+        el('button', {
+          className: 'btn primary',
+          textContent: 'Save templates',
+          onclick: () => {
+            const res = CRCData.saveStageTemplates(draft);
+            if (res.error) return toast(res.error);
+            toast('Stage templates saved');
+          }
+        })
       )
     );
-    refs.viewArea.append(detailsPanel);
   }
 
-  // REFACTORED: viewLeads
-  function viewLeads(filterQuery = '') {
-    const s = requireAuth();
-    if (!s) return;
-    refs.pageTitle.textContent = 'Leads';
-    refs.pageDesc.textContent = 'Leads submitted by referrers';
-
-    const leads = CRCData.read(CRCData.KEYS.leads, []);
-    const users = CRCData.read(CRCData.KEYS.users, []);
-
-    let list = leads;
-    if (s.role === 'referrer') list = leads.filter(l => l.referrerId === s.id);
-
-    if (filterQuery) {
-      refs.pageDesc.textContent = `Filtering leads for "${filterQuery}"`;
-      list = list.filter(l => (l.email || '').toLowerCase().includes(filterQuery));
-    }
-
-    const container = el('div', {
-      id: 'leads-list',
+  /**
+   * Editor for the open lead pipeline stages (Converted and Lost are fixed).
+   * @returns {HTMLElement}
+   */
+  function createPipelinePanel() {
+    const draft = CRCData.leadPipeline().filter(st => !st.terminal).map(st => ({
+      key: st.key,
+      label: st.label
+    }));
+    const listEl = el('div', {
       className: 'list',
       style: {
         marginTop: '10px'
       }
     });
-    if (!list.length) {
-      container.innerHTML = `<div class="muted">No leads</div>`;
+
+    function move(i, delta) {
+      const j = i + delta;
+      if (j < 0 || j >= draft.length) return;
+      [draft[i], draft[j]] = [draft[j], draft[i]];
+      paint();
     }
 
-    list.forEach(l => {
-      const ref = users.find(u => u.id === l.referrerId);
-      container.append(el('div', {
-        className: 'item'
-      },
-        el('div', {},
-          el('div', {}, el('strong', {}, l.email)),
-          el('div', {
-            className: 'muted small'
-          }, `${l.notes || 'No notes'} • Referrer: ${ref ? ref.name : '—'}`)
-        ),
-        el('div', {
-          style: {
-            display: 'flex',
-            gap: '8px'
-          }
+    function paint() {
+      listEl.innerHTML = '';
+      draft.forEach((st, i) => {
+        const input = el('input', {
+          value: st.label,
+          placeholder: 'Stage name'
+        });
+        input.addEventListener('change', () => st.label = input.value.trim());
+        listEl.append(el('div', {
+          className: 'item'
         },
-          (s.role === 'admin' && l.status === 'new') && el('button', {
-            className: 'btn',
-            'data-action': 'convert',
-            'data-id': l.id,
-            textContent: 'Convert'
-          }),
-          l.status === 'converted' && el('div', {
-            className: 'pill',
-            textContent: 'Converted'
-          })
-        )
-      ));
-    });
-
-    // Event delegation
-    container.addEventListener('click', (ev) => {
-      const btn = ev.target.closest('button[data-action="convert"]');
-      if (!btn) return;
-
-      const id = btn.dataset.id;
-      // NEW: Use modal for conversion
-      const nameInput = el('input', {
-        id: 'modal-conv-name',
-        placeholder: 'Customer Full Name'
-      });
-      const budInput = el('input', {
-        id: 'modal-conv-bud',
-        type: 'number',
-        placeholder: '10000'
+          input,
+          el('div', {
+            style: {
+              display: 'flex',
+              gap: '6px'
+            }
+          },
+            el('button', {
+              className: 'btn tiny',
+              textContent: '↑',
+              onclick: () => move(i, -1)
+            }),
+            el('button', {
+              className: 'btn tiny',
+              textContent: '↓',
+              onclick: () => move(i, 1)
+            }),
+            el('button', {
+              className: 'btn tiny',
+              textContent: 'Remove',
+              onclick: () => {
+                draft.splice(i, 1);
+                paint();
+              }
+            })
+          )
+        ));
       });
+      listEl.append(el('div', {
+        className: 'muted small'
+      }, '→ Converted / Lost (built in)'));
+    }
+    paint();
 
-      const formContent = el('div', {
-        className: 'forms'
+    return el('div', {
+      className: 'panel',
+      style: {
+        marginTop: '12px'
+      }
+    },
+      el('h3', {}, 'Lead pipeline'),
+      listEl,
+      el('div', {
+        style: {
+          display: 'flex',
+          gap: '8px',
+          marginTop: '10px'
+        }
       },
-        el('label', {}, 'Customer Name', nameInput),
-        el('label', {}, 'Initial Budget (USD)', budInput)
-      );
+        el('button', {
+          className: 'btn',
+          textContent: 'Add stage',
+          onclick: () => {
+            draft.push({
+              label: ''
+            });
+            paint();
+          }
+        }),
+        el('button', {
+          className: 'btn primary',
+          textContent: 'Save pipeline',
+          onclick: () => {
+            const res = CRCData.saveLeadPipeline(draft);
+            if (res.error) return toast(res.error);
+            toast('Pipeline saved');
+          }
+        })
+      )
+    );
+  }
 
-      showModal('Convert Lead to Project', formContent, () => {
-        const name = nameInput.value.trim();
-        const bud = Number(budInput.value) || 0;
-        if (!name) {
-          toast('Enter customer name');
-          return false;
-        }
-        const res = CRCData.convertLeadToProject(id, name, bud);
-        if (res.error) {
-          toast(res.error);
-          return false;
-        }
-        toast('Lead converted to project ' + res.project.id);
-        render(); // Full re-render
-        return true;
-      });
+  /**
+   * Attribution model (first/last touch) and window used to credit converted leads.
+   * @returns {HTMLElement}
+   */
+  function createAttributionPanel() {
+    const settings = CRCData.attributionSettings();
+    const modelSelect = el('select', {},
+      el('option', {
+        value: 'first-touch'
+      }, 'First touch'),
+      el('option', {
+        value: 'last-touch'
+      }, 'Last touch')
+    );
+    modelSelect.value = settings.model;
+    const windowInput = el('input', {
+      type: 'number',
+      min: '1',
+      value: settings.windowDays
     });
-
-    refs.viewArea.innerHTML = ''; // Clear
-    refs.viewArea.append(el('div', {},
-      el('h3', {}, `${list.length} leads`),
-      container
-    ));
+    return el('div', {
+      className: 'panel forms',
+      style: {
+        marginTop: '12px'
+      }
+    },
+      el('h3', {}, 'Referral attribution'),
+      el('label', {}, 'Model', modelSelect),
+      el('label', {}, 'Attribution window (days)', windowInput),
+      el('div', {
+        style: {
+          marginTop: '10px'
+        }
+      },
+        el('button', {
+          className: 'btn',
+          textContent: 'Save',
+          onclick: () => {
+            const res = CRCData.saveAttributionSettings({
+              model: modelSelect.value,
+              windowDays: Number(windowInput.value)
+            });
+            if (res.error) return toast(res.error);
+            toast('Attribution settings saved');
+          }
+        })
+      )
+    );
   }
 
-  function viewProfile() {
-    const s = requireAuth();
-    if (!s) return;
-    refs.pageTitle.textContent = 'Profile';
-    refs.pageDesc.textContent = 'Your account';
-    refs.viewArea.innerHTML = '';
-    refs.viewArea.append(
+  /**
+   * Admin list of all referral codes with stats, deactivate / reactivate and regenerate.
+   * @returns {HTMLElement}
+   */
+  function createReferralCodesPanel() {
+    const users = CRCData.read(CRCData.KEYS.users, []);
+    const codes = CRCData.referralStats();
+    const act = (res, msg) => {
+      if (res.error) return toast(res.error);
+      toast(msg);
+      render();
+    };
+    return el('div', {
+      className: 'panel',
+      style: {
+        marginTop: '12px'
+      }
+    },
+      el('h3', {}, 'Referral codes'),
+      !codes.length && el('p', {
+        className: 'muted small'
+      }, 'Codes are issued the first time a referrer opens their Overview.'),
       el('div', {
-        className: 'panel'
+        className: 'list'
       },
-        el('h3', {}, s.name),
-        el('p', {
-          className: 'muted small'
-        }, s.email),
-        el('p', {}, el('strong', {}, 'Role: '), s.role),
-        el('p', {}, el('strong', {}, 'Created: '), new Date(s.createdAt).toLocaleString())
+        codes.map(c => {
+          const ref = users.find(u => u.id === c.referrerId);
+          return el('div', {
+            className: 'item'
+          },
+            el('div', {},
+              el('strong', {}, c.code),
+              el('span', {
+                className: 'muted small'
+              }, ` ${ref ? ref.name : '—'} • ${c.clicks} clicks • ${c.signups} sign-ups • ${c.conversions} conversions`)
+            ),
+            el('div', {
+              style: {
+                display: 'flex',
+                gap: '6px',
+                alignItems: 'center'
+              }
+            },
+              el('div', {
+                className: 'pill',
+                textContent: c.active ? 'active' : 'inactive'
+              }),
+              el('button', {
+                className: 'btn tiny',
+                textContent: c.active ? 'Deactivate' : 'Reactivate',
+                onclick: () => act(CRCData.setReferralCodeActive(c.id, !c.active), c.active ? 'Code deactivated' : 'Code reactivated')
+              }),
+              c.active && el('button', {
+                className: 'btn tiny',
+                textContent: 'Regenerate',
+                onclick: () => act(CRCData.regenerateReferralCode(c.id), 'New code issued')
+              })
+            )
+          );
+        })
       )
     );
   }
 
-  function viewSettings() {
-    const s = requireAuth();
-    if (!s) return;
-    refs.pageTitle.textContent = 'Settings';
-    refs.pageDesc.textContent = 'Application settings';
-    const defaults = CRCData.readObj(CRCData.KEYS.defaults, {
-      defaultCommission: 6
-    });
+  /**
+   * Read-only view of the data-layer permission policy (role x action x ownership).
+   * @returns {HTMLElement}
+   */
+  function createPolicyPanel() {
+    const policy = CRCData.policyTable();
+    const scopeText = {
+      any: 'all',
+      own: 'own only',
+      none: '—'
+    };
+    const cell = (text, extra = {}) => el('td', {
+      style: {
+        padding: '6px 8px',
+        borderBottom: '1px solid rgba(255,255,255,0.04)',
+        ...extra
+      }
+    }, text);
+    return el('div', {
+      className: 'panel',
+      style: {
+        marginTop: '12px'
+      }
+    },
+      el('h3', {}, 'Permissions'),
+      el('p', {
+        className: 'muted small'
+      }, 'Enforced by CRCData on every change, whichever screen or console call makes it.'),
+      el('table', {
+        className: 'small',
+        style: {
+          width: '100%',
+          borderCollapse: 'collapse'
+        }
+      },
+        el('thead', {},
+          el('tr', {},
+            cell('Action', {
+              textAlign: 'left'
+            }),
+            policy.roles.map(r => cell(r, {
+              textAlign: 'left'
+            }))
+          )
+        ),
+        el('tbody', {},
+          policy.actions.map(a => el('tr', {},
+            cell(a.description),
+            policy.roles.map(r => cell(a.public ? 'public' : scopeText[a[r] || 'none']))
+          ))
+        )
+      )
+    );
+  }
 
-    const commissionInput = el('input', {
-      id: 'default-commission',
-      type: 'number',
-      value: defaults.defaultCommission,
-      min: '0',
-      max: '100'
+  /**
+   * Lets an admin issue one-time password reset codes; pending requests from the sign-in page come first.
+   * @returns {HTMLElement}
+   */
+  function createPasswordResetPanel() {
+    const requests = CRCData.resetRequests();
+    const pending = new Set(requests.map(r => r.userId));
+    const users = CRCData.read(CRCData.KEYS.users, []);
+    const userSelect = el('select', {}, [
+      ...requests.map(r => el('option', {
+        value: r.userId
+      }, `${r.name} (${r.email}) — requested ${new Date(r.requestedAt).toLocaleString()}`)),
+      ...users.filter(u => !pending.has(u.id)).map(u => el('option', {
+        value: u.id
+      }, `${u.name} (${u.email})`))
+    ]);
+    const codeOut = el('p', {
+      className: 'small'
     });
-
-    refs.viewArea.innerHTML = '';
-    refs.viewArea.append(
+    return el('div', {
+      className: 'panel',
+      style: {
+        marginTop: '12px'
+      }
+    },
+      el('h3', {}, 'Password resets'),
+      el('p', {
+        className: 'muted small'
+      }, requests.length ? `${requests.length} pending request(s).` : 'No pending requests.', ' Pass the code to the user yourself; it is shown only once.'),
+      el('label', {}, 'Account', userSelect),
       el('div', {
-        className: 'panel'
+        style: {
+          marginTop: '10px'
+        }
       },
-        el('h3', {}, 'App Defaults'),
-        el('label', {}, 'Default commission %', commissionInput),
-        el('div', {
-          style: {
-            marginTop: '10px'
+        el('button', {
+          className: 'btn',
+          textContent: 'Issue reset code',
+          onclick: () => {
+            if (!userSelect.value) return;
+            CRCData.issueResetCode(userSelect.value).then(res => {
+              if (res.error) return toast(res.error);
+              codeOut.textContent = `Code for ${res.email}: ${res.code} (valid until ${new Date(res.expiresAt).toLocaleTimeString()})`;
+            });
           }
+        })
+      ),
+      codeOut
+    );
+  }
+
+  /**
+   * Shows the storage schema version, migration results and restorable backups.
+   * @returns {HTMLElement}
+   */
+  function createSchemaPanel() {
+    const status = CRCData.schemaStatus();
+    return el('div', {
+      className: 'panel',
+      style: {
+        marginTop: '12px'
+      }
+    },
+      el('h3', {}, 'Storage schema'),
+      el('p', {}, el('strong', {}, 'Version: '), `${status.version} of ${status.latest}`),
+      status.error && el('p', {
+        style: {
+          color: 'var(--danger)'
+        }
+      }, `Migration to v${status.error.version} (${status.error.description}) failed: ${status.error.message}. Data was restored from ${status.backupKey || 'the pre-migration state'}.`),
+      status.storageErrors.map(e => el('p', {
+        style: {
+          color: 'var(--danger)'
+        }
+      }, e.preservedAs ? `Unreadable data in ${e.key} (${e.error}); the raw value is kept as ${e.preservedAs}.` : `${e.adapter} storage: ${e.op} failed (${e.error}).`)),
+      el('div', {
+        className: 'list'
+      },
+        status.migrations.map(m => el('div', {
+          className: 'muted small'
+        }, `v${m.version}: ${m.description} ${m.version <= status.version ? '✓' : '(pending)'}`))
+      ),
+      el('h4', {}, 'Backups'),
+      el('div', {
+        className: 'list'
+      },
+        CRCData.listBackups().map(b => el('div', {
+          className: 'item'
         },
+          el('div', {
+            className: 'small'
+          }, `${new Date(b.createdAt).toLocaleString()} — schema v${b.schemaVersion}`),
           el('button', {
-            id: 'save-defaults',
-            className: 'btn',
-            textContent: 'Save',
+            className: 'btn tiny',
+            textContent: 'Restore',
             onclick: () => {
-              const val = Number(commissionInput.value);
-              if (isNaN(val) || val < 0 || val > 100) return toast('Enter 0-100');
-              CRCData.write(CRCData.KEYS.defaults, {
-                defaultCommission: val
-              });
-              toast('Defaults saved');
+              if (!confirm('Replace all current data with this backup?')) return;
+              const res = CRCData.restoreBackup(b.key);
+              if (res.error) return toast(res.error);
+              toast('Backup restored — reloading');
+              setTimeout(() => location.reload(), 600);
             }
           })
-        )
+        ))
       )
     );
   }
@@ -933,45 +5176,170 @@
   // Main Render Orchestrator
   // ----------------------------------------
   function render() {
-    const session = getSession();
-    if (!session) return location.href = 'index.html';
+    const session = requireAuth();
+    if (!session) return;
 
     // Update header/profile
     refs.displayName.textContent = session.name;
     refs.displayRole.textContent = session.role;
     refs.avatar.textContent = session.name.split(' ').map(x => x[0]).slice(0, 2).join('').toUpperCase();
 
-    // Get hash and search query
-    const hash = (location.hash || '#overview').replace('#', '');
+    // Get hash and search query; project detail routes are #project/<id>[/<tab>], list state follows "?"
+    const [hash, routeId, routeTab] = currentRoute();
     const q = refs.globalSearch.value.trim().toLowerCase();
 
-    setActiveNav(hash);
+    setActiveNav(hash === 'project' ? 'projects' : hash);
 
     // Dispatch view
-    if (hash === 'overview') viewOverview();
+    if (hash === 'project') viewProjectDetail(routeId, routeTab);
+    else if (hash === 'overview') viewOverview();
     else if (hash === 'projects') viewProjects(q); // Pass query
     else if (hash === 'leads') viewLeads(q); // Pass query
+    else if (hash === 'payouts') viewPayouts(q);
+    else if (hash === 'audit') viewAudit();
+    else if (hash === 'disputes') viewDisputes();
+    else if (hash === 'contractors') viewContractors();
+    else if (hash === 'timeline') viewTimeline();
+    else if (hash === 'reports') viewReports();
+    else if (hash === 'inbox') viewInbox();
+    else if (hash === 'search') {
+      // a link or reload seeds the box from the address; after that the box is the source of truth
+      if (location.hash !== searchHash) refs.globalSearch.value = decodeURIComponent(routeId || '');
+      viewSearch(refs.globalSearch.value.trim());
+    }
     else if (hash === 'profile') viewProfile();
     else if (hash === 'settings') viewSettings();
     else viewOverview();
 
-    // Update statistics
+    refreshStats(session);
+  }
+
+  function refreshStats(session) {
     refs.sUsers.textContent = CRCData.read(CRCData.KEYS.users, []).length;
     refs.sProjects.textContent = CRCData.read(CRCData.KEYS.projects, []).length;
+    const unread = CRCData.unreadCount(session.id);
+    refs.inboxBadge.textContent = unread > 99 ? '99+' : unread;
+    refs.inboxBadge.classList.toggle('hidden', !unread);
+  }
+
+  // Entity types each view shows; events about anything else leave the view alone. '*' re-renders on any event.
+  const VIEW_ENTITIES = {
+    overview: '*',
+    projects: ['project', 'contractor', 'user'],
+    project: ['project', 'commission', 'contractor', 'user', 'fx-rate'],
+    leads: ['lead', 'dispute', 'user'],
+    payouts: ['commission', 'project', 'user', 'fx-rate'],
+    disputes: ['dispute', 'lead', 'user'],
+    contractors: ['contractor', 'project'],
+    timeline: ['project'],
+    reports: '*',
+    inbox: ['notification'],
+    profile: '*',
+    settings: ['defaults', 'rule', 'fx-rate', 'referral-code', 'user'],
+    audit: '*'
+  };
+
+  /**
+   * Applies a domain event to the current view: replaces the affected row of the projects list or lead
+   * board in place, re-renders when the view depends on the entity, and otherwise leaves it alone.
+   * @param {object} e - Event from CRCData.subscribe.
+   */
+  function onDataEvent(e) {
+    if (!booted) return;
+    const session = CRCData.getSession();
+    if (!session) return;
+    if (e.message) renderFeedItem(e.message, e.at);
+    refreshStats(session);
+
+    const [hash, routeId] = currentRoute();
+    const deps = VIEW_ENTITIES[hash] || '*';
+    if (deps !== '*' && !deps.includes(e.entityType)) return;
+    if (e.entityType === 'notification' && e.data.userId !== session.id) return;
+    if (hash === 'project' && e.entityType === 'project' && e.entityId !== routeId) return;
+    if (patchRow(hash, e)) return;
+    renderSoon();
+  }
+
+  // One mutation can announce several records; they share a single re-render
+  let renderQueued = false;
+  function renderSoon() {
+    if (renderQueued) return;
+    renderQueued = true;
+    queueMicrotask(() => {
+      renderQueued = false;
+      render();
+    });
+  }
+
+  // Returns true when the event was applied to the projects list or lead board without a full render
+  function patchRow(hash, e) {
+    const listed = {
+      projects: 'project',
+      leads: 'lead'
+    }[hash];
+    // filters, sorting and table mode can all move a changed record, so those redraw the whole list
+    if (e.entityType !== listed || refs.globalSearch.value.trim() || location.hash.includes('?') || e.type.endsWith('.created') || e.type.endsWith('.deleted')) return false;
+    const row = refs.viewArea.querySelector(`[data-row="${CSS.escape(e.entityId)}"]`);
+    // not on screen: the role filter hides it, unless the change is what decides who sees it
+    if (!row) return !e.changed.some(f => f === 'customerId' || f === 'referrerId');
+    const users = CRCData.read(CRCData.KEYS.users, []);
+    if (listed === 'project') {
+      const p = CRCData.read(CRCData.KEYS.projects, []).find(x => x.id === e.entityId);
+      if (!p) return false;
+      row.replaceWith(projectRow(p, CRCData.getSession(), users, CRCData.read(CRCData.KEYS.contractors, [])));
+      return true;
+    }
+    const l = CRCData.read(CRCData.KEYS.leads, []).find(x => x.id === e.entityId);
+    // a lead that changed stage moves columns, so the board is redrawn
+    if (!l || row.closest('.kanban-col').dataset.stage !== l.status) return false;
+    const disputed = new Set(CRCData.read(CRCData.KEYS.disputes, []).filter(d => d.status === 'open').map(d => d.email));
+    row.replaceWith(leadCard(l, users, disputed));
+    return true;
   }
 
   // ----------------------------------------
   // Initialize
   // ----------------------------------------
-  (function boot() {
+  CRCData.ready.then(function boot() {
+    booted = true;
+    // after a conflict the server's newer value has replaced ours; show it
+    CRCData.onWriteError(f => {
+      toast(`Not saved: ${f.error}`, 6000);
+      if (f.conflict) render();
+    });
     CRCData.seedDemo();
     if (!location.hash) location.hash = 'overview';
     render();
 
-    window.addEventListener('storage', (e) => {
-      // Re-render if another tab changed data
-      render();
+    const schema = CRCData.schemaStatus();
+    if (schema.error || schema.storageErrors.length) toast('Stored data needs attention — see Settings › Storage schema', 6000);
+    // every save would be refused, so say so above every view rather than in a passing toast
+    if (schema.readOnly) refs.viewArea.before(el('div', {
+      className: 'panel',
+      style: {
+        color: 'var(--danger)',
+        marginBottom: '12px'
+      }
+    }, `Read-only: ${schema.readOnly}.`));
+
+    CRCData.subscribe(onDataEvent);
+
+    // Ctrl+Z / Ctrl+Shift+Z walk this session's journal; text fields keep their own undo
+    document.addEventListener('keydown', (ev) => {
+      if (!(ev.ctrlKey || ev.metaKey) || ev.key.toLowerCase() !== 'z') return;
+      if (ev.target.closest('input, textarea, select, [contenteditable]')) return;
+      ev.preventDefault();
+      runJournal(ev.shiftKey ? 'redo' : 'undo');
     });
-  })();
+
+    // Activity keeps the session alive; a lapsed session is noticed within a minute even when idle
+    let lastTouch = 0;
+    ['click', 'keydown'].forEach(type => document.addEventListener(type, () => {
+      if (Date.now() - lastTouch < 15000) return;
+      lastTouch = Date.now();
+      if (!CRCData.touchSession()) requireAuth();
+    }, true));
+    setInterval(requireAuth, 60000);
+  });
 
 })();
\ No newline at end of file
@@ -1,7 +1,8 @@
 /* data.js
    Storage & sync layer for CRC system
    - Exposes CRCData object for CRUD and session operations
-   - Uses localStorage for persistence and BroadcastChannel for realtime sync
+   - Persists through a pluggable storage adapter (localStorage, IndexedDB or REST)
+   - Uses BroadcastChannel for realtime sync and domain events (see subscribe)
 */
 
 const KEYS = {
@@ -9,44 +10,773 @@ const KEYS = {
   projects: 'crc_projects_v3',
   leads: 'crc_leads_v3',
   defaults: 'crc_defaults_v3',
+  commissions: 'crc_commissions_v3',
+  rules: 'crc_commission_rules_v3',
+  audit: 'crc_audit_v3',
+  disputes: 'crc_disputes_v3',
+  referralCodes: 'crc_referral_codes_v3',
+  contractors: 'crc_contractors_v3',
+  fxRates: 'crc_fx_rates_v3',
+  notifications: 'crc_notifications_v3',
   session: 'crc_session_v3'
 };
 
 const BC_NAME = 'crc_channel_v3';
 const BC = new BroadcastChannel(BC_NAME);
 
+// Storage adapters
+// Every adapter exposes a synchronous key/value surface (getItem, setItem, removeItem, keys) so CRCData
+// stays synchronous. Async backends serve reads from an in-memory cache warmed by load() and persist
+// writes in the background, in order; failures are passed to onError. Writes name the value they replace
+// (base), so a shared backend can refuse one made against an out-of-date copy; the error then carries
+// conflict.raw, the backend's current value, which replaces the cached one.
+// refresh(k, raw) updates only the cache, for changes another tab already persisted.
+const StorageAdapters = (function(){
+  const CONFIG_KEY = 'crc_storage_adapter';
+
+  function localStorageAdapter() {
+    return {
+      name: 'localstorage',
+      cached: false,
+      load: () => Promise.resolve(),
+      getItem: (k) => localStorage.getItem(k),
+      setItem: (k, v) => localStorage.setItem(k, v),
+      removeItem: (k) => localStorage.removeItem(k),
+      keys: () => Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i)),
+      refresh: () => {}
+    };
+  }
+
+  // Shared cache + ordered write queue for the async adapters
+  function cachedAdapter(name, { loadAll, put, del }, onError) {
+    const cache = new Map();
+    let queue = Promise.resolve();
+    const enqueue = (label, k, fn) => {
+      queue = queue.then(fn).catch(e => {
+        if (e.conflict) { if (e.conflict.raw === null) cache.delete(k); else cache.set(k, e.conflict.raw); }
+        onError({ adapter: name, op: label, key: k, error: e.message, conflict: e.conflict || null });
+      });
+    };
+    const base = (k) => cache.has(k) ? cache.get(k) : null;
+    return {
+      name,
+      cached: true,
+      load: () => loadAll().then(entries => { cache.clear(); Object.entries(entries).forEach(([k, v]) => cache.set(k, v)); }),
+      getItem: (k) => cache.has(k) ? cache.get(k) : null,
+      setItem: (k, v) => { const was = base(k); cache.set(k, v); enqueue(`set ${k}`, k, () => put(k, v, was)); },
+      removeItem: (k) => { const was = base(k); cache.delete(k); enqueue(`remove ${k}`, k, () => del(k, was)); },
+      keys: () => Array.from(cache.keys()),
+      refresh: (k, v) => { if (v === null) cache.delete(k); else cache.set(k, v); },
+      flush: () => queue
+    };
+  }
+
+  function indexedDbAdapter({ dbName = 'crc_store', storeName = 'kv' } = {}, onError) {
+    let dbp = null;
+    const db = () => dbp || (dbp = new Promise((resolve, reject) => {
+      const req = indexedDB.open(dbName, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }));
+    const tx = (mode, fn) => db().then(d => new Promise((resolve, reject) => {
+      const t = d.transaction(storeName, mode);
+      const out = fn(t.objectStore(storeName));
+      t.oncomplete = () => resolve(out);
+      t.onerror = () => reject(t.error);
+    }));
+    return cachedAdapter('indexeddb', {
+      loadAll: () => tx('readonly', (st) => {
+        const all = {};
+        st.openCursor().onsuccess = (ev) => { const c = ev.target.result; if (c) { all[c.key] = c.value; c.continue(); } };
+        return all;
+      }),
+      put: (k, v) => tx('readwrite', (st) => { st.put(v, k); }),
+      del: (k) => tx('readwrite', (st) => { st.delete(k); })
+    }, onError);
+  }
+
+  // Talks to server.js: GET /api/kv, PUT /api/kv/:key (raw body), DELETE /api/kv/:key. Changes carry
+  // If-Match with the SHA-256 of the value they replace (If-None-Match: * for a new key); the server
+  // answers 409 with its current value when someone else has written the key since.
+  function restAdapter({ baseUrl = '' } = {}, onError) {
+    const url = (k = '') => `${baseUrl.replace(/\/$/, '')}/api/kv${k ? '/' + encodeURIComponent(k) : ''}`;
+    const check = (res) => { if (!res.ok) throw new Error(`HTTP ${res.status}`); return res; };
+    const precondition = (base) => base === null ? Promise.resolve({ 'If-None-Match': '*' }) :
+      crypto.subtle.digest('SHA-256', new TextEncoder().encode(base))
+        .then(h => ({ 'If-Match': `"${Array.from(new Uint8Array(h), b => b.toString(16).padStart(2, '0')).join('')}"` }));
+    const change = (k, method, base, body) => precondition(base)
+      .then(headers => fetch(url(k), { method, headers: { 'Content-Type': 'text/plain', ...headers }, body }))
+      .then(res => res.status !== 409 ? check(res) : res.json().then(current => {
+        const e = new Error('Someone else changed this on the server first; your change was not saved and their version is shown');
+        e.conflict = { raw: current.value };
+        throw e;
+      }));
+    return cachedAdapter('rest', {
+      loadAll: () => fetch(url()).then(check).then(res => res.json()),
+      put: (k, v, base) => change(k, 'PUT', base, v),
+      del: (k, base) => change(k, 'DELETE', base)
+    }, onError);
+  }
+
+  const factories = { localstorage: localStorageAdapter, indexeddb: indexedDbAdapter, rest: restAdapter };
+
+  // window.CRC_CONFIG.storage wins over the choice saved from Settings; default is localStorage
+  function readConfig() {
+    if (typeof window !== 'undefined' && window.CRC_CONFIG && window.CRC_CONFIG.storage) return window.CRC_CONFIG.storage;
+    try { return JSON.parse(localStorage.getItem(CONFIG_KEY)) || { type: 'localstorage' }; } catch(e) { return { type: 'localstorage' }; }
+  }
+
+  function saveConfig(config) { localStorage.setItem(CONFIG_KEY, JSON.stringify(config)); }
+
+  function create(config, onError = () => {}) {
+    const factory = factories[config.type];
+    if (!factory) throw new Error(`Unknown storage adapter "${config.type}"`);
+    return factory(config, onError);
+  }
+
+  return { create, readConfig, saveConfig, types: Object.keys(factories), register: (type, factory) => { factories[type] = factory; } };
+})();
+
 const CRCData = (function(){
-  function read(k, fallback = []) { try { return JSON.parse(localStorage.getItem(k) || JSON.stringify(fallback)); } catch(e){ return fallback; } }
-  function write(k, v) { localStorage.setItem(k, JSON.stringify(v)); BC.postMessage({ type:'sync', key:k, ts: new Date().toISOString() }); }
+  const storageErrors = [];
+  const writeErrorListeners = [];
+  // Adapter failures are kept for Settings and reported like any failed write. On a conflict the adapter
+  // already shows the backend's value; other tabs get it too.
+  const onStorageError = (e) => {
+    const { conflict, ...failure } = e;
+    storageErrors.push({ ...failure, at: new Date().toISOString() });
+    if (conflict) BC.postMessage({ type: 'sync', key: e.key, ts: new Date().toISOString(), raw: conflict.raw });
+    reportWriteError({ ...failure, conflict: !!conflict });
+  };
+  const storageConfig = StorageAdapters.readConfig();
+  let store;
+  try { store = StorageAdapters.create(storageConfig, onStorageError); }
+  catch(e) { onStorageError({ adapter: storageConfig.type, op: 'create', error: e.message }); store = StorageAdapters.create({ type: 'localstorage' }); }
+  function read(k, fallback = []) {
+    if (batch && batch.has(k)) return JSON.parse(batch.get(k));
+    const raw = store.getItem(k);
+    if (raw === null) return fallback;
+    try { return JSON.parse(raw); } catch(e) {
+      // keep the unreadable value aside so the next write cannot destroy it, and report it
+      const aside = `${k}_corrupt_${Date.now()}`;
+      store.setItem(aside, raw);
+      store.removeItem(k);
+      storageErrors.push({ key: k, error: e.message, preservedAs: aside, at: new Date().toISOString() });
+      console.error(`CRCData: could not parse ${k}; raw value preserved as ${aside}`, e);
+      return fallback;
+    }
+  }
+  // The value and its audit entries are stored together: if either fails (e.g. storage is full) the
+  // previous value is put back and the failure goes to onWriteError listeners instead of being thrown
+  function write(k, v) {
+    if (readOnly) { reportWriteError({ key: k, error: readOnly }); return false; }
+    // inside a batch the value waits for the batch to commit
+    if (batch) { batch.set(k, JSON.stringify(v)); return true; }
+    const done = commit([[k, v]]);
+    if (!done) return false;
+    // cached adapters ship the value and the new audit entries so other tabs can refresh their cache without a round trip
+    if (!migrating) BC.postMessage({ type:'sync', key:k, ts: new Date().toISOString(), ...(store.cached ? { raw: done.raws[k], auditAdded: done.added } : {}) });
+    track(done.added);
+    return true;
+  }
+  // Stores values with their versions, undo journal and audit trail, all or nothing: if any store
+  // fails, every key touched (the audit log included) is put back and null is returned
+  function commit(entries) {
+    const saved = new Map();
+    const keep = (k) => { if (!saved.has(k)) saved.set(k, store.getItem(k)); };
+    const raws = {};
+    const added = [];
+    const journal = [];
+    let current = null;
+    try {
+      entries.forEach(([k, v]) => {
+        current = k;
+        const prev = AUDITED[k] || VERSIONED.has(k) ? read(k, null) : null;
+        if (VERSIONED.has(k) && Array.isArray(v)) stampVersions(prev, v);
+        raws[k] = JSON.stringify(v);
+        keep(k);
+        store.setItem(k, raws[k]);
+        if (AUDITED[k] && !migrating) {
+          keep(KEYS.audit);
+          added.push(...recordAudit(AUDITED[k], prev, v));
+          journal.push([k, prev, v]);
+        }
+      });
+    } catch(e) {
+      saved.forEach((raw, k) => {
+        if (store.getItem(k) === raw) return;
+        if (raw === null) store.removeItem(k); else store.setItem(k, raw);
+      });
+      reportWriteError({ key: current, error: e.name === 'QuotaExceededError' ? 'Browser storage is full' : e.message });
+      return null;
+    }
+    if (op && op.journal) journal.forEach(([k, prev, v]) => journalWrite(k, prev, v));
+    return { raws, added };
+  }
+  // Set while a required migration has failed: stored records aren't in the shape this code expects
+  let readOnly = null;
+  // Migrations reshape records rather than change them, so their writes are neither audited nor broadcast
+  let migrating = false;
+  function onWriteError(fn) { writeErrorListeners.push(fn); }
+  function reportWriteError(failure) {
+    console.error('CRCData: write failed', failure);
+    writeErrorListeners.forEach(fn => fn(failure));
+  }
+
+  // Batches
+  // Writes made inside inBatch() are held (reads see them) and committed together when it returns: each
+  // key is stored, versioned and audited once against its value from before the batch, and other tabs
+  // get one sync message for all of them. A throw discards everything written so far; so does discard.
+  // If storing fails part way, the keys already stored are put back and an error is returned instead.
+  // Either way, events raised inside a batch that isn't stored are dropped with it.
+  let batch = null;
+
+  function inBatch(fn, { discard = false } = {}) {
+    if (batch) return fn();
+    batch = new Map();
+    const events = op ? op.events.length : 0;
+    let result;
+    try { result = fn(); } catch (e) { batch = null; if (op) op.events.length = events; throw e; }
+    const pending = batch;
+    batch = null;
+    if (discard || !pending.size) return result;
+    const done = commit([...pending].map(([k, raw]) => [k, JSON.parse(raw)]));
+    if (!done) {
+      if (op) op.events.length = events;
+      return { error: 'Nothing was saved: storage rejected the change', code: 'write-failed' };
+    }
+    if (!migrating) BC.postMessage({ type: 'sync', keys: [...pending.keys()], ts: now(), ...(store.cached ? { raws: done.raws, auditAdded: done.added } : {}) });
+    track(done.added);
+    return result;
+  }
+  // Like read() but throws on unreadable data; migrations must not proceed on a guess
+  function readStrict(k, fallback = []) { const raw = store.getItem(k); return raw === null ? fallback : JSON.parse(raw); }
   function readObj(k, fallback = {}) { return read(k, fallback); }
   function uid(prefix='') { return `${prefix}${Math.random().toString(36).slice(2,9)}`; }
   function now() { return new Date().toISOString(); }
 
+  // Audit trail
+  // Every write to an audited key is diffed against the stored value and appended to KEYS.audit.
+  // The log keeps the newest AUDIT_LIMIT entries; older ones drop off so it can't fill the store.
+  const AUDIT_LIMIT = 2000;
+  const AUDITED = {
+    [KEYS.users]: 'user',
+    [KEYS.projects]: 'project',
+    [KEYS.leads]: 'lead',
+    [KEYS.commissions]: 'commission',
+    [KEYS.rules]: 'rule',
+    [KEYS.defaults]: 'defaults',
+    [KEYS.disputes]: 'dispute',
+    [KEYS.referralCodes]: 'referral-code',
+    [KEYS.contractors]: 'contractor',
+    [KEYS.fxRates]: 'fx-rate'
+  };
+
+  // Flattens nested changes into dotted paths, e.g. stages.framing.done
+  function diffFields(before, after, prefix = '') {
+    const isObj = x => x && typeof x === 'object' && !Array.isArray(x);
+    const keyed = a => Array.isArray(a) && a.every(x => isObj(x) && (x.key || x.id));
+    if (JSON.stringify(before) === JSON.stringify(after)) return [];
+    if (keyed(before) && keyed(after)) {
+      const index = a => Object.fromEntries(a.map(x => [x.key || x.id, x]));
+      return diffFields(index(before), index(after), prefix);
+    }
+    if (isObj(before) && isObj(after)) {
+      const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+      return [...fields].flatMap(f => diffFields(before[f], after[f], prefix ? `${prefix}.${f}` : f));
+    }
+    return [{ field: prefix || '(value)', before: before ?? null, after: after ?? null }];
+  }
+
+  function recordAudit(entity, prev, next) {
+    const session = getSession();
+    const base = { at: now(), actorId: session?.id ?? null, actorName: session?.name ?? 'system', entity };
+    // version bumps follow from the other changes; they aren't history of their own
+    const diff = (a, b) => diffFields(a, b).filter(c => c.field !== 'version');
+    const entries = [];
+    if (Array.isArray(next)) {
+      const prevById = new Map((prev || []).map(x => [x.id, x]));
+      const nextIds = new Set(next.map(x => x.id));
+      next.forEach(x => {
+        const old = prevById.get(x.id);
+        const changes = diff(old || {}, x);
+        if (changes.length) entries.push({ ...base, id: uid('a_'), entityId: x.id, action: old ? 'update' : 'create', changes });
+      });
+      (prev || []).filter(x => !nextIds.has(x.id)).forEach(x => entries.push({ ...base, id: uid('a_'), entityId: x.id, action: 'delete', changes: diff(x, {}) }));
+    } else {
+      const changes = diff(prev || {}, next || {});
+      if (changes.length) entries.push({ ...base, id: uid('a_'), entityId: entity, action: prev ? 'update' : 'create', changes });
+    }
+    if (!entries.length) return entries;
+    // secrets never reach the audit log, only the fact that they changed
+    entries.forEach(a => a.changes.forEach(c => { if (/^(credentials|auth\.reset)\b/.test(c.field)) { c.before = c.before === null ? null : '[redacted]'; c.after = c.after === null ? null : '[redacted]'; } }));
+    store.setItem(KEYS.audit, JSON.stringify(appendToLog(entries)));
+    return entries;
+  }
+
+  // The stored log with entries appended, trimmed to the newest AUDIT_LIMIT
+  function appendToLog(entries) {
+    const log = read(KEYS.audit, []);
+    log.push(...entries);
+    if (log.length > AUDIT_LIMIT) log.splice(0, log.length - AUDIT_LIMIT);
+    return log;
+  }
+
+  // Newest first; filters: actorId, entity, entityId, from/to (ISO date strings, inclusive)
+  function readAudit({ actorId, entity, entityId, from, to } = {}) {
+    return read(KEYS.audit, []).filter(a =>
+      (!actorId || a.actorId === actorId) &&
+      (!entity || a.entity === entity) &&
+      (!entityId || a.entityId === entityId) &&
+      (!from || a.at.slice(0, 10) >= from) &&
+      (!to || a.at.slice(0, 10) <= to)
+    ).reverse();
+  }
+
+  // Optimistic concurrency
+  // Projects and leads carry a version that write() bumps whenever the record changes. Callers editing
+  // from a copy they read earlier pass it as `expected`. If the stored version has moved on, the edit is
+  // retried against the stored record when the other writer changed different fields, and refused with
+  // code 'conflict' when both changed the same field; each conflict lists base, mine and theirs.
+  const VERSIONED = new Set([KEYS.projects, KEYS.leads]);
+
+  function stampVersions(prev, next) {
+    const prevById = new Map((prev || []).map(x => [x.id, x]));
+    const body = (x) => JSON.stringify({ ...x, version: null });
+    next.forEach(x => {
+      const old = prevById.get(x.id);
+      if (!old) x.version = x.version || 1;
+      else if (body(old) !== body(x)) x.version = (old.version || 0) + 1;
+      else if (old.version != null) x.version = old.version;
+    });
+  }
+
+  // Top-level fields both sides changed, to different values
+  function staleConflicts(base, current, mine) {
+    if ((base.version || 0) === (current.version || 0)) return [];
+    const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    return Object.keys(mine).filter(f => !same(base[f], current[f]) && !same(mine[f], current[f]))
+      .map(f => ({ field: f, base: base[f] ?? null, mine: mine[f] ?? null, theirs: current[f] ?? null }));
+  }
+
+  function conflictError(entity, current, conflicts) {
+    return { error: `This ${entity} was changed elsewhere since you opened it`, code: 'conflict', conflicts, current };
+  }
+
+  // Domain events
+  // Each exported mutation runs as one operation (see guard). Writes inside it are diffed per record, and
+  // when it ends every changed record is announced once: as the semantic event the mutation emitted for
+  // it (stage.toggled, lead.converted, ...) or else as <entity>.created/updated/deleted. Events reach
+  // subscribers in this tab directly and in other tabs over the BroadcastChannel. Only the mutation's
+  // own summary is narrated; side effects (ledger entries, notifications) travel without a message.
+  const subscribers = new Set();
+  const PAST = { create: 'created', update: 'updated', delete: 'deleted' };
+  const SECRET_FIELD = /^(credentials|auth)\b/;
+  let op = null;
+
+  function subscribe(fn) {
+    subscribers.add(fn);
+    return () => subscribers.delete(fn);
+  }
+
+  function dispatch(event) {
+    subscribers.forEach(fn => { try { fn(event); } catch (e) { console.error('CRCData: event subscriber failed', e); } });
+  }
+
+  // journal names the action when its effects should be recorded for undo; ownerIds are what it was authorized against
+  function inOperation(fn, { quiet = false, journal = null, ownerIds = [] } = {}) {
+    if (op) return fn();
+    op = { records: [], events: [], quiet, journal, ownerIds, snapshots: [] };
+    try { return fn(); } finally {
+      const done = op;
+      op = null;
+      if (done.journal) recordJournal(done);
+      if (!done.quiet) publish(done.records, done.events);
+    }
+  }
+
+  // Changed top-level fields per record; records whose only changes are secrets are not announced
+  function track(auditEntries) {
+    const records = auditEntries.map(a => ({ entityType: a.entity, entityId: a.entityId, action: a.action, changed: [...new Set(a.changes.map(c => c.field.split('.')[0]))].filter(f => !SECRET_FIELD.test(f)) }))
+      .filter(r => r.changed.length);
+    if (op) op.records.push(...records);
+    else publish(records, []);
+  }
+
+  // summary is narrated after the actor's name, e.g. 'added lead a@b.com'; omit it for silent events
+  function emit(type, { entityType, entityId, summary, ...data }) {
+    const event = { type, entityType, entityId, summary, data };
+    if (op) op.events.push(event);
+    else publish([], [event]);
+  }
+
+  function recordLabel(entityType, entityId) {
+    if (entityId === entityType) return '';
+    const key = Object.keys(AUDITED).find(k => AUDITED[k] === entityType);
+    const stored = key ? read(key, null) : null;
+    const rec = Array.isArray(stored) ? stored.find(x => x.id === entityId) : null;
+    return rec ? (rec.location || rec.email || rec.name || rec.label || entityId) : entityId;
+  }
+
+  function recordSummary(r) {
+    const fields = r.action === 'update' ? ` (${r.changed.slice(0, 3).join(', ')}${r.changed.length > 3 ? ', …' : ''})` : '';
+    return `${PAST[r.action]} ${[r.entityType, recordLabel(r.entityType, r.entityId)].filter(Boolean).join(' ')}${fields}`;
+  }
+
+  function publish(records, events) {
+    if (!records.length && !events.length) return;
+    const session = getSession();
+    const actor = { actorId: session?.id ?? null, actorName: session?.name ?? 'system' };
+    const merged = new Map();
+    records.forEach(r => {
+      const id = `${r.entityType}:${r.entityId}`;
+      const m = merged.get(id);
+      if (!m) merged.set(id, { ...r });
+      else {
+        m.changed = [...new Set([...m.changed, ...r.changed])];
+        if (r.action === 'delete') m.action = 'delete';
+      }
+    });
+    const narrated = events.some(e => e.summary);
+    const covered = new Set(events.map(e => `${e.entityType}:${e.entityId}`));
+    const out = [
+      ...events.map(e => ({ ...e, changed: (merged.get(`${e.entityType}:${e.entityId}`) || {}).changed || [] })),
+      ...[...merged.entries()].filter(([id]) => !covered.has(id)).map(([, r]) => ({
+        type: `${r.entityType}.${PAST[r.action]}`, entityType: r.entityType, entityId: r.entityId, changed: r.changed, data: {},
+        summary: narrated ? null : recordSummary(r)
+      }))
+    ];
+    out.forEach(e => {
+      const { summary, ...rest } = e;
+      const event = { id: uid('ev_'), at: now(), ...actor, ...rest, message: summary ? `${actor.actorName} ${summary}` : null };
+      BC.postMessage({ type: 'event', event });
+      dispatch(event);
+    });
+  }
+
+  // Undo journal
+  // Undoable actions keep a before/after snapshot of every audited record they wrote, per tab and per
+  // signed-in user. Undo puts back the fields the action changed and redo applies them again, one path at
+  // a time (stages.framing.done rather than the whole stages list), so edits made elsewhere to other
+  // fields of the same record survive. A path that was changed elsewhere since makes the whole undo
+  // refuse. Notifications already delivered are not recalled.
+  const UNDOABLE = new Set(['lead.create', 'lead.convert', 'lead.move', 'project.create', 'project.update', 'stage.toggle', 'stage.edit', 'changeorder.raise', 'changeorder.decide', 'commission.approve', 'contractor.manage', 'dispute.resolve']);
+  const JOURNAL_LIMIT = 50;
+  const undoStack = [];
+  const redoStack = [];
+  const clone = (x) => x == null ? null : JSON.parse(JSON.stringify(x));
+  const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+  function journalWrite(k, prev, next) {
+    const note = (id, before, after) => {
+      const snap = op.snapshots.find(x => x.key === k && x.id === id);
+      if (snap) snap.after = after;
+      else op.snapshots.push({ key: k, id, before, after });
+    };
+    if (!Array.isArray(next)) return note(null, clone(prev), clone(next));
+    const prevById = new Map((prev || []).map(x => [x.id, x]));
+    const nextIds = new Set(next.map(x => x.id));
+    next.forEach(x => { if (!same(prevById.get(x.id), x)) note(x.id, clone(prevById.get(x.id)), clone(x)); });
+    (prev || []).filter(x => !nextIds.has(x.id)).forEach(x => note(x.id, clone(x), null));
+  }
+
+  function recordJournal(done) {
+    const changes = done.snapshots.filter(c => !same(c.before, c.after));
+    if (!changes.length) return;
+    // the last narrated event is the action itself (a conversion first announces the project it creates)
+    const narrated = done.events.filter(e => e.summary).pop();
+    const label = narrated ? narrated.summary : done.records.length ? recordSummary(done.records[0]) : POLICY[done.journal].description.toLowerCase();
+    undoStack.unshift({ id: uid('j_'), action: done.journal, ownerIds: done.ownerIds, label, at: now(), actorId: getSession()?.id ?? null, changes });
+    undoStack.splice(JOURNAL_LIMIT);
+    redoStack.length = 0;
+  }
+
+  // Paths as produced by diffFields; array steps match an element's key or id
+  function getPath(obj, path) {
+    return path.split('.').reduce((node, step) => node == null ? undefined : Array.isArray(node) ? node.find(x => (x.key || x.id) === step) : node[step], obj);
+  }
+
+  function setPath(obj, path, value) {
+    const steps = path.split('.');
+    const last = steps.pop();
+    const parent = steps.length ? getPath(obj, steps.join('.')) : obj;
+    if (parent == null) return;
+    if (!Array.isArray(parent)) { parent[last] = clone(value); return; }
+    const i = parent.findIndex(x => (x.key || x.id) === last);
+    if (value == null) { if (i >= 0) parent.splice(i, 1); }
+    else if (i >= 0) parent[i] = clone(value);
+    else parent.push(clone(value));
+  }
+
+  // Moves every record of the entry from its `from` snapshot to its `to` snapshot, or reports what stands in the way
+  function replay(entry, from, to, verb) {
+    const stores = new Map();
+    const blocked = [];
+    entry.changes.forEach(c => {
+      if (!stores.has(c.key)) stores.set(c.key, read(c.key, c.id === null ? {} : []));
+      const data = stores.get(c.key);
+      const current = c.id === null ? data : data.find(x => x.id === c.id) || null;
+      const source = c[from];
+      const target = c[to];
+      const label = [AUDITED[c.key], c.id && recordLabel(AUDITED[c.key], c.id)].filter(Boolean).join(' ');
+      if (!source) {
+        if (current) blocked.push(`${label} exists again`);
+        else data.unshift(clone(target));
+      } else if (!current) {
+        if (target) blocked.push(`${label} was deleted`);
+      } else if (!target) {
+        const changed = diffFields(source, current).filter(d => d.field !== 'version');
+        if (changed.length) blocked.push(`${label} (${changed.map(d => d.field).join(', ')})`);
+        else data.splice(data.indexOf(current), 1);
+      } else {
+        diffFields(source, target).filter(d => d.field !== 'version').forEach(d => {
+          const value = getPath(current, d.field);
+          if (same(value, d.before)) setPath(current, d.field, d.after);
+          else if (!same(value, d.after)) blocked.push(`${label} (${d.field})`);
+        });
+      }
+    });
+    if (blocked.length) return { error: `Can't ${verb} "${entry.label}": changed elsewhere since — ${blocked.join('; ')}`, code: 'journal-conflict' };
+    inOperation(() => {
+      stores.forEach((data, k) => write(k, data));
+      emit(verb === 'undo' ? 'history.undone' : 'history.redone', { entityType: 'history', entityId: entry.id, summary: `${verb === 'undo' ? 'undid' : 'redid'}: ${entry.label}` });
+    });
+    return { ok: true, label: entry.label };
+  }
+
+  function journalTop(stack) {
+    const entry = stack[0];
+    if (!entry || entry.actorId !== (getSession()?.id ?? null)) return null;
+    return entry;
+  }
+
+  // Undo and redo re-check the original action's permission: the actor's role may have changed since
+  function undo() {
+    const entry = journalTop(undoStack);
+    if (!entry) return { error: 'Nothing to undo' };
+    const denied = authorize(entry.action, entry.ownerIds);
+    if (denied) return denied;
+    const res = replay(entry, 'after', 'before', 'undo');
+    if (res.ok) redoStack.unshift(undoStack.shift());
+    return res;
+  }
+
+  function redo() {
+    const entry = journalTop(redoStack);
+    if (!entry) return { error: 'Nothing to redo' };
+    const denied = authorize(entry.action, entry.ownerIds);
+    if (denied) return denied;
+    const res = replay(entry, 'before', 'after', 'redo');
+    if (res.ok) undoStack.unshift(redoStack.shift());
+    return res;
+  }
+
+  function undoHistory() {
+    const list = (stack) => stack.map(({ id, action, label, at }) => ({ id, action, label, at }));
+    return { undo: list(undoStack), redo: list(redoStack) };
+  }
+
   // Session helpers
-  function setSession(user) { sessionStorage.setItem(KEYS.session, JSON.stringify(user)); BC.postMessage({ type:'auth', userId: user?.id ?? null }); }
-  function getSession() { return JSON.parse(sessionStorage.getItem(KEYS.session) || 'null'); }
+  // Sessions carry an absolute expiry and an idle deadline; an expired session reads as null.
+  const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+  const SESSION_IDLE_MS = 30 * 60 * 1000;
+  let sessionEndReason = null;
+
+  function setSession(user) {
+    const t = Date.now();
+    const session = { id: user.id, email: user.email, name: user.name, role: user.role, createdAt: user.createdAt, issuedAt: new Date(t).toISOString(), expiresAt: new Date(t + SESSION_TTL_MS).toISOString(), lastActiveAt: new Date(t).toISOString() };
+    sessionStorage.setItem(KEYS.session, JSON.stringify(session));
+    sessionEndReason = null;
+    undoStack.length = redoStack.length = 0;
+    BC.postMessage({ type:'auth', userId: user?.id ?? null });
+  }
+
+  // Returns { session, reason } where reason is 'expired' or 'idle' once the session has lapsed
+  function sessionState() {
+    const session = JSON.parse(sessionStorage.getItem(KEYS.session) || 'null');
+    if (!session) return { session: null, reason: sessionEndReason };
+    const t = Date.now();
+    let reason = null;
+    if (!session.expiresAt || t > Date.parse(session.expiresAt)) reason = 'expired';
+    else if (t - Date.parse(session.lastActiveAt) > SESSION_IDLE_MS) reason = 'idle';
+    if (reason) { clearSession(); sessionEndReason = reason; return { session: null, reason }; }
+    return { session, reason: null };
+  }
+
+  function getSession() { return sessionState().session; }
+
+  // Records activity so the idle timeout restarts
+  function touchSession() {
+    const { session } = sessionState();
+    if (!session) return null;
+    session.lastActiveAt = now();
+    sessionStorage.setItem(KEYS.session, JSON.stringify(session));
+    return session;
+  }
+
   function clearSession() { sessionStorage.removeItem(KEYS.session); BC.postMessage({ type:'auth-logout' }); }
 
-  // Init defaults
-  if (!localStorage.getItem(KEYS.defaults)) write(KEYS.defaults, { defaultCommission: 6 });
+  // Credentials
+  // Passwords are stored as salted PBKDF2-SHA256 hashes (Web Crypto); reset codes are hashed the same way.
+  const PBKDF2_ITERATIONS = 150000;
+  const MIN_PASSWORD = 8;
+  const MAX_FAILED_LOGINS = 5;
+  const LOCKOUT_MS = 15 * 60 * 1000;
+  const RESET_CODE_TTL_MS = 15 * 60 * 1000;
+
+  const toHex = (buf) => Array.from(new Uint8Array(buf), b => b.toString(16).padStart(2, '0')).join('');
+  const fromHex = (hex) => Uint8Array.from(hex.match(/../g).map(h => parseInt(h, 16)));
+
+  function randomHex(bytes) { return toHex(crypto.getRandomValues(new Uint8Array(bytes))); }
+
+  function hashSecret(secret, saltHex, iterations = PBKDF2_ITERATIONS) {
+    return crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveBits'])
+      .then(key => crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: fromHex(saltHex), iterations }, key, 256))
+      .then(toHex);
+  }
+
+  function makeCredentials(password) {
+    const salt = randomHex(16);
+    return hashSecret(password, salt).then(hash => ({ algo: 'PBKDF2-SHA256', iterations: PBKDF2_ITERATIONS, salt, hash }));
+  }
+
+  // constant-time comparison of two hex digests
+  function sameHash(a, b) {
+    if (!a || !b || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+  }
+
+  function validatePassword(password) {
+    if (!password || password.length < MIN_PASSWORD) return `Password must be at least ${MIN_PASSWORD} characters`;
+    return null;
+  }
+
+  function findUserByEmail(users, email) { return users.find(x => x.email.toLowerCase() === (email || '').toLowerCase()); }
 
   // CRUD operations
-  function registerUser({ email, name, role }) {
-    const users = read(KEYS.users, []);
-    if (!email || !name) return { error: 'Name and email required' };
-    if (users.some(u => u.email.toLowerCase() === email.toLowerCase())) return { error: 'Email already registered' };
-    const u = { id: uid('u_'), email: email.toLowerCase(), name, role, createdAt: now() };
-    users.push(u);
-    write(KEYS.users, users);
-    return { ok: true, user: u };
+  function registerUser({ email, name, role, password, refCode }) {
+    if (!email || !name) return Promise.resolve({ error: 'Name and email required' });
+    if (!ROLES.includes(role)) return Promise.resolve({ error: 'Unknown role' });
+    if (!SELF_SERVICE_ROLES.includes(role)) return Promise.resolve({ error: 'Admin accounts are created by an existing admin', code: 'forbidden' });
+    const weak = validatePassword(password);
+    if (weak) return Promise.resolve({ error: weak });
+    if (findUserByEmail(read(KEYS.users, []), email)) return Promise.resolve({ error: 'Email already registered' });
+    return makeCredentials(password).then(credentials => {
+      // re-read: the hash is async and another tab may have registered meanwhile
+      const users = read(KEYS.users, []);
+      if (findUserByEmail(users, email)) return { error: 'Email already registered' };
+      const u = { id: uid('u_'), email: email.toLowerCase(), name, role, createdAt: now(), credentials, auth: { failedAttempts: 0, lockedUntil: null, reset: null } };
+      // customers signing up through a referral link become an attributed lead straight away
+      const referral = role === 'customer' && refCode ? findActiveCode(refCode) : null;
+      if (referral) u.referredBy = { code: referral.code, referrerId: referral.referrerId };
+      users.push(u);
+      write(KEYS.users, users);
+      if (referral) addLead(referral.referrerId, u.email, `Self-signup via referral code ${referral.code}`, { referralCode: referral.code });
+      return { ok: true, user: publicUser(u), referral: referral ? { code: referral.code } : null };
+    });
+  }
+
+  function loginUser(email, password) {
+    const u = findUserByEmail(read(KEYS.users, []), email);
+    if (!u) return Promise.resolve({ error: 'Invalid email or password' });
+    const lockedUntil = u.auth?.lockedUntil;
+    if (lockedUntil && Date.now() < Date.parse(lockedUntil)) {
+      return Promise.resolve({ error: `Too many failed attempts. Try again after ${new Date(lockedUntil).toLocaleTimeString()} or reset your password.`, code: 'locked' });
+    }
+    if (!u.credentials) return Promise.resolve({ error: 'No password set for this account yet. Use "Forgot password" to set one.', code: 'no-password' });
+    return hashSecret(password || '', u.credentials.salt, u.credentials.iterations).then(hash => {
+      const users = read(KEYS.users, []);
+      const fresh = users.find(x => x.id === u.id);
+      const auth = fresh.auth || (fresh.auth = { failedAttempts: 0, lockedUntil: null, reset: null });
+      if (!sameHash(hash, fresh.credentials.hash)) {
+        auth.failedAttempts = (auth.failedAttempts || 0) + 1;
+        if (auth.failedAttempts >= MAX_FAILED_LOGINS) { auth.lockedUntil = new Date(Date.now() + LOCKOUT_MS).toISOString(); auth.failedAttempts = 0; }
+        write(KEYS.users, users);
+        return auth.lockedUntil && Date.now() < Date.parse(auth.lockedUntil) ?
+          { error: `Too many failed attempts. Account locked until ${new Date(auth.lockedUntil).toLocaleTimeString()}.`, code: 'locked' } :
+          { error: 'Invalid email or password', attemptsLeft: MAX_FAILED_LOGINS - auth.failedAttempts };
+      }
+      if (auth.failedAttempts || auth.lockedUntil) { auth.failedAttempts = 0; auth.lockedUntil = null; write(KEYS.users, users); }
+      setSession(fresh);
+      return { ok: true, user: publicUser(fresh) };
+    });
   }
 
-  function loginUser(email) {
+  // One-time reset codes reach the user out of band: asking for a reset only flags the account, and an
+  // admin issues the code and hands it over. The answer is the same whether or not the email is registered.
+  function requestPasswordReset(email) {
     const users = read(KEYS.users, []);
-    const u = users.find(x => x.email.toLowerCase() === (email || '').toLowerCase());
-    if (!u) return { error: 'User not found. Register first.' };
-    setSession(u);
-    return { ok: true, user: u };
+    const u = findUserByEmail(users, email);
+    if (u && !u.auth?.resetRequestedAt) {
+      u.auth = { ...(u.auth || { failedAttempts: 0, lockedUntil: null, reset: null }), resetRequestedAt: now() };
+      write(KEYS.users, users);
+    }
+    return Promise.resolve({ ok: true });
+  }
+
+  // Accounts waiting for an admin to issue a reset code, oldest request first
+  function resetRequests() {
+    return read(KEYS.users, []).filter(u => u.auth?.resetRequestedAt)
+      .sort((a, b) => a.auth.resetRequestedAt.localeCompare(b.auth.resetRequestedAt))
+      .map(u => ({ userId: u.id, email: u.email, name: u.name, requestedAt: u.auth.resetRequestedAt }));
+  }
+
+  // Admin side of a reset: the plain code is returned once, to the admin, and only its hash is stored
+  function issueResetCode(userId) {
+    if (!read(KEYS.users, []).some(x => x.id === userId)) return Promise.resolve({ error: 'User not found' });
+    const code = String(crypto.getRandomValues(new Uint32Array(1))[0] % 1000000).padStart(6, '0');
+    const salt = randomHex(16);
+    return hashSecret(code, salt).then(hash => {
+      const users = read(KEYS.users, []);
+      const target = users.find(x => x.id === userId);
+      if (!target) return { error: 'User not found' };
+      target.auth = { ...(target.auth || { failedAttempts: 0, lockedUntil: null }), resetRequestedAt: null,
+        reset: { salt, hash, failedAttempts: 0, expiresAt: new Date(Date.now() + RESET_CODE_TTL_MS).toISOString() } };
+      write(KEYS.users, users);
+      return { ok: true, code, email: target.email, expiresAt: target.auth.reset.expiresAt };
+    });
+  }
+
+  function resetPassword(email, code, newPassword) {
+    const weak = validatePassword(newPassword);
+    if (weak) return Promise.resolve({ error: weak });
+    const invalid = { error: 'Invalid or expired reset code' };
+    const u = findUserByEmail(read(KEYS.users, []), email);
+    const reset = u?.auth?.reset;
+    if (!reset || Date.now() > Date.parse(reset.expiresAt)) return Promise.resolve(invalid);
+    return hashSecret(code || '', reset.salt).then(hash => {
+      const users = read(KEYS.users, []);
+      const target = users.find(x => x.id === u.id);
+      const current = target?.auth?.reset;
+      if (!current || current.hash !== reset.hash) return invalid;
+      if (!sameHash(hash, current.hash)) {
+        // wrong guesses count against the code, which is void after as many misses as a login lockout allows
+        current.failedAttempts = (current.failedAttempts || 0) + 1;
+        if (current.failedAttempts >= MAX_FAILED_LOGINS) target.auth.reset = null;
+        write(KEYS.users, users);
+        return target.auth.reset ? invalid : { error: 'Too many wrong codes. This code no longer works; ask an admin for a new one.', code: 'locked' };
+      }
+      return makeCredentials(newPassword).then(credentials => {
+        const fresh = read(KEYS.users, []);
+        const t = fresh.find(x => x.id === u.id);
+        if (t?.auth?.reset?.hash !== current.hash) return invalid;
+        // the code is single-use and a successful reset lifts any lockout
+        t.credentials = credentials;
+        t.auth = { failedAttempts: 0, lockedUntil: null, reset: null };
+        write(KEYS.users, fresh);
+        return { ok: true };
+      });
+    });
+  }
+
+  // Users as exposed outside CRCData: no credentials or auth state
+  function publicUser(u) {
+    if (!u) return u;
+    const { credentials, auth, ...rest } = u;
+    return rest;
   }
 
   function registerOrGetUserByEmail(email, name = 'Unknown', role = 'customer') {
@@ -57,120 +787,1921 @@ const CRCData = (function(){
       users.push(u);
       write(KEYS.users, users);
     }
-    return u;
+    return publicUser(u);
   }
 
-  function addLead(referrerId, email, notes) {
+  function addLead(referrerId, email, notes, extra = {}) {
     const leads = read(KEYS.leads, []);
-    const lead = { id: uid('l_'), referrerId, email: (email || '').toLowerCase(), notes, status: 'new', createdAt: now(), convertedProjectId: null };
+    const normalized = (email || '').trim().toLowerCase();
+    if (leads.some(l => l.email === normalized && l.referrerId === referrerId && l.status !== 'lost')) return { error: 'You already submitted this lead' };
+    const lead = { id: uid('l_'), referrerId, email: normalized, notes, status: 'new', createdAt: now(), convertedProjectId: null, lostReason: null, history: [], referralCode: extra.referralCode || null };
+    lead.history.push(transition(null, 'new'));
     leads.unshift(lead);
     write(KEYS.leads, leads);
+    detectDuplicates(lead);
+    notify('lead.created', { entityType: 'lead', entityId: lead.id, message: `${userName(referrerId)} submitted lead ${lead.email}` });
+    emit('lead.created', { entityType: 'lead', entityId: lead.id, summary: `added lead ${lead.email}` });
     return lead;
   }
 
+  // Shared by creation, conversion and edits: budget in whole minor units above zero, a supported
+  // currency and a commission rate from 0 to 100. Only the fields present are checked.
+  function validateProjectFields(f) {
+    if ('budget' in f && !(Number.isInteger(f.budget) && f.budget > 0)) return 'Enter a budget greater than zero';
+    if ('currency' in f && !(f.currency in CURRENCIES)) return `Unsupported currency ${f.currency}`;
+    if ('commissionPercent' in f && !(Number.isFinite(f.commissionPercent) && f.commissionPercent >= 0 && f.commissionPercent <= 100)) return 'Commission must be between 0 and 100%';
+    return null;
+  }
+
   function addProject(customerId, payload) {
     const projects = read(KEYS.projects, []);
     const defaults = readObj(KEYS.defaults, { defaultCommission: 6 });
+    const currency = payload.currency || defaultCurrency();
+    const invalid = validateProjectFields({ budget: payload.budget, currency, ...(payload.commissionPercent != null && { commissionPercent: Number(payload.commissionPercent) }) });
+    if (invalid) return { error: invalid };
     const p = {
       id: uid('p_'),
       customerId,
       createdAt: now(),
       location: payload.location || '—',
       plot: payload.plot || 0,
-      budget: payload.budget || 0,
+      currency,
+      budget: payload.budget,
+      originalBudget: payload.budget,
+      changeOrders: [],
       materials: payload.materials || 'Standard',
       timeline: payload.timeline || 12,
       status: 'pending',
       verified: false,
-      assignedContractor: null,
+      assignedContractorId: null,
       referrerId: payload.referrerId || null,
-      commissionPercent: Number(payload.commissionPercent ?? defaults.defaultCommission),
-      stages: [
-        { key: 'foundation', label: 'Foundation', done: false },
-        { key: 'framing', label: 'Framing', done: false },
-        { key: 'roof', label: 'Roof', done: false },
-        { key: 'finishing', label: 'Finishing', done: false }
-      ]
+      commissionPercent: Number(defaults.defaultCommission),
+      commissionRule: null,
+      stageTemplate: null,
+      stages: []
     };
+    const template = stageTemplates().find(t => t.key === payload.stageTemplate) || stageTemplates()[0];
+    p.stageTemplate = template.key;
+    p.stages = template.stages.map(st => ({ ...st, ...NO_DATES, done: false, tasks: st.tasks.map(label => ({ label, done: false })) }));
+    if (payload.commissionPercent != null) {
+      p.commissionPercent = Number(payload.commissionPercent);
+      p.commissionRule = { source: 'manual', rate: p.commissionPercent, ruleIds: [], steps: ['Rate set explicitly at creation'], evaluatedAt: now() };
+    } else {
+      const ev = evaluateCommission(p);
+      p.commissionPercent = ev.rate;
+      p.commissionRule = { source: 'rules', ...ev, evaluatedAt: now() };
+    }
     projects.unshift(p);
     write(KEYS.projects, projects);
+    notify('project.created', { entityType: 'project', entityId: p.id, message: `New project ${p.id} for ${userName(customerId)} (${p.location})` });
+    emit('project.created', { entityType: 'project', entityId: p.id, summary: `created project ${p.location} for ${userName(customerId)}` });
     return p;
   }
 
-  function updateProject(projectId, changes = {}) {
+  function updateProject(projectId, changes = {}, { expected } = {}) {
     const projects = read(KEYS.projects, []);
     const p = projects.find(x => x.id === projectId);
     if (!p) return null;
+    const conflicts = expected ? staleConflicts(expected, p, changes) : [];
+    if (conflicts.length) return conflictError('project', p, conflicts);
+    if (changes.verified && !p.verified) emit('project.approved', { entityType: 'project', entityId: p.id, summary: `approved project ${p.location}` });
     Object.assign(p, changes);
+    if ('commissionPercent' in changes && !('commissionRule' in changes)) {
+      p.commissionRule = { source: 'manual', rate: p.commissionPercent, ruleIds: [], steps: ['Rate edited manually'], by: getSession()?.id ?? null, evaluatedAt: now() };
+    }
     if (p.stages && p.stages.every(s => s.done)) p.status = 'completed';
     write(KEYS.projects, projects);
+    syncCommission(p);
     return p;
   }
 
-  function toggleStage(projectId, stageKey) {
+  // Callers outside the module can't move the budget directly; that goes through change orders.
+  // The currency is fixed while a change order is pending, since its delta is priced in it.
+  function updateProjectExtern(projectId, changes = {}, options = {}) {
+    const locked = ['budget', 'originalBudget', 'changeOrders'].filter(f => f in changes);
+    if (locked.length) return { error: 'Budget changes go through a change order', code: 'change-order-required' };
+    if ('version' in changes) return { error: 'Versions are kept by the store' };
+    const invalid = validateProjectFields(changes);
+    if (invalid) return { error: invalid };
+    const p = read(KEYS.projects, []).find(x => x.id === projectId);
+    if (p && 'currency' in changes && changes.currency !== p.currency && (p.changeOrders || []).some(co => co.status === 'pending')) {
+      return { error: 'Approve or reject the pending change order before changing the currency', code: 'change-order-pending' };
+    }
+    return updateProject(projectId, changes, options);
+  }
+
+  // With `expected`, the toggle means "flip from what I saw": a stage someone else already flipped is left as is
+  function toggleStage(projectId, stageKey, { expected } = {}) {
     const projects = read(KEYS.projects, []);
     const p = projects.find(x => x.id === projectId);
     if (!p) return null;
     const s = p.stages.find(st => st.key === stageKey);
-    if (s) s.done = !s.done;
+    if (expected) {
+      const seen = (expected.stages || []).find(st => st.key === stageKey);
+      if (!s || !seen) return { error: 'This stage was removed elsewhere', code: 'conflict', conflicts: [], current: p };
+      if (seen.done !== s.done) return p;
+    }
+    if (s) {
+      s.done = !s.done;
+      recordActualDates(p, s);
+    }
     if (p.stages.every(st => st.done)) p.status = 'completed';
     write(KEYS.projects, projects);
+    if (s) emit('stage.toggled', { entityType: 'project', entityId: p.id, stageKey: s.key, done: s.done, summary: `${s.done ? 'completed' : 'reopened'} ${s.label} on ${p.location}` });
+    if (s && s.done) notify('stage.completed', { customerId: p.customerId, entityType: 'project', entityId: p.id, message: `${s.label} is complete on your project at ${p.location}` });
+    syncCommission(p);
     return p;
   }
 
-  function convertLeadToProject(leadId, customerName, budget) {
+  function convertLeadToProject(leadId, customerName, budget, { stageTemplate, currency, expected } = {}) {
+    const leads = read(KEYS.leads, []);
+    const lead = leads.find(l => l.id === leadId);
+    if (!lead) return { error: 'Lead not found' };
+    if (TERMINAL_STAGES.includes(lead.status)) return { error: `Lead is already ${lead.status}` };
+    // checked before anything is written, so a bad budget can't leave the lead converted without a project
+    const invalid = validateProjectFields({ budget, currency: currency || defaultCurrency() });
+    if (invalid) return { error: invalid };
+    const conflicts = expected ? staleConflicts(expected, lead, { status: 'converted' }) : [];
+    if (conflicts.length) return conflictError('lead', lead, conflicts);
+    if (read(KEYS.disputes, []).some(d => d.email === lead.email && d.status === 'open')) return { error: 'This lead has an open attribution dispute. Resolve it under Disputes first.', code: 'disputed' };
+    // credit goes to the attributed claim, not necessarily the row that was clicked
+    const attribution = resolveAttribution(lead.email);
+    const winner = attribution.winner ? leads.find(l => l.id === attribution.winner.id) : lead;
+    // one batch for every write below: the customer, the leads and the project are stored together or not at all
+    return inBatch(() => {
+      // ensure customer user
+      const cust = registerOrGetUserByEmail(lead.email, customerName, 'customer');
+      // mark converted first so this conversion counts towards the referrer's volume bonus
+      (winner.history = winner.history || []).push(transition(winner.status, 'converted'));
+      winner.status = 'converted';
+      winner.convertedAt = now();
+      const losingReason = attribution.winner ? `Not attributed: ${attribution.reason}` : 'Not attributed: no claim within the attribution window';
+      leads.filter(l => l.email === lead.email && l !== winner && isOpenLead(l)).forEach(l => {
+        l.history.push(transition(l.status, 'lost', losingReason));
+        l.status = 'lost';
+        l.lostReason = losingReason;
+      });
+      write(KEYS.leads, leads);
+      const referrerId = attribution.winner ? winner.referrerId : null;
+      const project = addProject(cust.id, { location: '(from lead)', budget, currency, materials: 'TBD', timeline: 12, referrerId, stageTemplate });
+      const record = { leadId: winner.id, referrerId, model: attribution.model, windowDays: attribution.windowDays, reason: attribution.winner ? attribution.reason : losingReason, disputeId: attribution.disputeId };
+      updateProject(project.id, { attribution: record });
+      winner.convertedProjectId = project.id;
+      write(KEYS.leads, leads);
+      emit('lead.converted', { entityType: 'lead', entityId: winner.id, projectId: project.id, summary: `converted lead ${winner.email} into a project` });
+      if (referrerId) notify('lead.converted', { referrerId, entityType: 'project', entityId: project.id, message: `Your lead ${winner.email} was converted into a project` });
+      return { ok: true, project: { ...project, attribution: record }, attributedLeadId: winner.id };
+    });
+  }
+
+  // Notifications
+  // Events fan out to a persisted inbox per user. Each kind names the role that hears about it and,
+  // for per-record events, the field holding the recipient; without one every user of that role is
+  // notified. Users can mute kinds under Settings, and nobody is notified of their own action.
+  const NOTIFICATION_KINDS = {
+    'lead.created': { label: 'A new lead is submitted', role: 'admin' },
+    'project.created': { label: 'A new project is created', role: 'admin' },
+    'lead.converted': { label: 'My lead is converted', role: 'referrer', recipient: 'referrerId' },
+    'commission.released': { label: 'A commission tranche is released', role: 'referrer', recipient: 'referrerId' },
+    'stage.completed': { label: 'A stage of my project completes', role: 'customer', recipient: 'customerId' }
+  };
+  const INBOX_LIMIT = 200;
+
+  function userName(id) { return (read(KEYS.users, []).find(u => u.id === id) || {}).name || 'Someone'; }
+
+  function formatMinor(minor, currency) { return `${fromMinor(minor, currency).toFixed(CURRENCIES[currency] ?? 2)} ${currency}`; }
+
+  function notify(kind, event) {
+    const rule = NOTIFICATION_KINDS[kind];
+    const actorId = getSession()?.id ?? null;
+    const recipients = read(KEYS.users, []).filter(u => u.role === rule.role && u.id !== actorId
+      && (!rule.recipient || u.id === event[rule.recipient])
+      && (u.notificationPrefs || {})[kind] !== false);
+    if (!recipients.length) return;
+    const inbox = read(KEYS.notifications, []);
+    const at = now();
+    recipients.forEach(u => {
+      const n = { id: uid('n_'), userId: u.id, kind, message: event.message, entityType: event.entityType || null, entityId: event.entityId || null, actorId, createdAt: at, readAt: null };
+      inbox.unshift(n);
+      emit('notification.created', { entityType: 'notification', entityId: n.id, userId: u.id });
+    });
+    // keep the newest INBOX_LIMIT per user
+    const seen = {};
+    write(KEYS.notifications, inbox.filter(n => (seen[n.userId] = (seen[n.userId] || 0) + 1) <= INBOX_LIMIT));
+  }
+
+  function notificationsFor(userId) { return read(KEYS.notifications, []).filter(n => n.userId === userId); }
+
+  function unreadCount(userId) { return notificationsFor(userId).filter(n => !n.readAt).length; }
+
+  // Kinds a user of this role can receive, with their current preference
+  function notificationPrefs(userId) {
+    const u = read(KEYS.users, []).find(x => x.id === userId);
+    if (!u) return [];
+    return Object.entries(NOTIFICATION_KINDS).filter(([, rule]) => rule.role === u.role)
+      .map(([kind, rule]) => ({ kind, label: rule.label, enabled: (u.notificationPrefs || {})[kind] !== false }));
+  }
+
+  // ids omitted marks the whole inbox read
+  function markNotificationsRead(userId, ids) {
+    const inbox = read(KEYS.notifications, []);
+    const at = now();
+    let changed = 0;
+    inbox.forEach(n => {
+      if (n.userId !== userId || n.readAt || (ids && !ids.includes(n.id))) return;
+      n.readAt = at;
+      changed++;
+    });
+    if (changed) {
+      write(KEYS.notifications, inbox);
+      emit('notification.read', { entityType: 'notification', entityId: userId, userId });
+    }
+    return { ok: true, changed };
+  }
+
+  function setNotificationPrefs(userId, prefs) {
+    const users = read(KEYS.users, []);
+    const u = users.find(x => x.id === userId);
+    if (!u) return { error: 'User not found' };
+    const unknown = Object.keys(prefs).filter(k => !NOTIFICATION_KINDS[k]);
+    if (unknown.length) return { error: `Unknown notification kind ${unknown[0]}` };
+    u.notificationPrefs = { ...(u.notificationPrefs || {}), ...Object.fromEntries(Object.entries(prefs).map(([k, v]) => [k, !!v])) };
+    write(KEYS.users, users);
+    return { ok: true };
+  }
+
+  // Referral codes
+  // One active code per referrer; shareable as index.html?ref=CODE. Clicks are counted on the code,
+  // sign-ups and conversions are derived from the leads that carry the code.
+  const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+  function newCode(existing) {
+    let code;
+    do { code = Array.from(crypto.getRandomValues(new Uint8Array(6)), b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join(''); }
+    while (existing.some(c => c.code === code));
+    return code;
+  }
+
+  function findActiveCode(code) {
+    return read(KEYS.referralCodes, []).find(c => c.code === String(code || '').trim().toUpperCase() && c.active) || null;
+  }
+
+  function ensureReferralCode(referrerId) {
+    const codes = read(KEYS.referralCodes, []);
+    const current = codes.find(c => c.referrerId === referrerId && c.active);
+    if (current) return current;
+    const referrer = read(KEYS.users, []).find(u => u.id === referrerId);
+    if (!referrer || referrer.role !== 'referrer') return { error: 'Only referrers have referral codes' };
+    const c = { id: uid('rc_'), code: newCode(codes), referrerId, active: true, clicks: 0, createdAt: now(), deactivatedAt: null, replacedBy: null };
+    codes.unshift(c);
+    write(KEYS.referralCodes, codes);
+    return c;
+  }
+
+  function setReferralCodeActive(codeId, active) {
+    const codes = read(KEYS.referralCodes, []);
+    const c = codes.find(x => x.id === codeId);
+    if (!c) return { error: 'Referral code not found' };
+    if (active && codes.some(x => x.referrerId === c.referrerId && x.active && x.id !== c.id)) return { error: 'This referrer already has an active code' };
+    c.active = !!active;
+    c.deactivatedAt = active ? null : now();
+    write(KEYS.referralCodes, codes);
+    return { ok: true, code: c };
+  }
+
+  // Retires the referrer's active code and issues a fresh one; old links stop attributing
+  function regenerateReferralCode(codeId) {
+    const codes = read(KEYS.referralCodes, []);
+    const old = codes.find(x => x.id === codeId);
+    if (!old) return { error: 'Referral code not found' };
+    const fresh = { id: uid('rc_'), code: newCode(codes), referrerId: old.referrerId, active: true, clicks: 0, createdAt: now(), deactivatedAt: null, replacedBy: null };
+    codes.filter(x => x.referrerId === old.referrerId && x.active).forEach(x => { x.active = false; x.deactivatedAt = now(); x.replacedBy = fresh.id; });
+    codes.unshift(fresh);
+    write(KEYS.referralCodes, codes);
+    return { ok: true, code: fresh };
+  }
+
+  // codes this browser session has already counted a click for
+  const REF_CLICKS_KEY = 'crc_ref_clicks_v3';
+
+  // Landing on index.html?ref=CODE; returns the referrer's display name for the banner.
+  // Each code counts at most one click per browser session, so reloading the link can't inflate it.
+  function recordReferralClick(code) {
+    const codes = read(KEYS.referralCodes, []);
+    const c = codes.find(x => x.code === String(code || '').trim().toUpperCase() && x.active);
+    if (!c) return { error: 'This referral link is no longer active' };
+    const counted = JSON.parse(sessionStorage.getItem(REF_CLICKS_KEY) || '[]');
+    if (!counted.includes(c.code)) {
+      c.clicks += 1;
+      write(KEYS.referralCodes, codes);
+      sessionStorage.setItem(REF_CLICKS_KEY, JSON.stringify([...counted, c.code]));
+    }
+    const referrer = read(KEYS.users, []).find(u => u.id === c.referrerId);
+    return { ok: true, code: c.code, referrerName: referrer ? referrer.name : null };
+  }
+
+  function referralStats(referrerId) {
+    const leads = read(KEYS.leads, []);
+    return read(KEYS.referralCodes, []).filter(c => !referrerId || c.referrerId === referrerId).map(c => {
+      const coded = leads.filter(l => l.referralCode === c.code);
+      return { ...c, signups: coded.length, conversions: coded.filter(l => l.status === 'converted').length };
+    });
+  }
+
+  // Referral attribution
+  // Competing claims on one email are settled first-touch or last-touch among claims inside the
+  // attribution window. A second referrer's claim, or a claim on an existing customer, opens a dispute
+  // that an admin resolves with a recorded decision; that decision overrides the rules.
+  const DEFAULT_ATTRIBUTION = { model: 'first-touch', windowDays: 90 };
+
+  function attributionSettings() { return { ...DEFAULT_ATTRIBUTION, ...(readObj(KEYS.defaults, {}).attribution || {}) }; }
+
+  function saveAttributionSettings({ model, windowDays }) {
+    if (model !== 'first-touch' && model !== 'last-touch') return { error: 'Model must be first-touch or last-touch' };
+    const days = Number(windowDays);
+    if (!Number.isInteger(days) || days < 1) return { error: 'Attribution window must be a whole number of days' };
+    write(KEYS.defaults, { ...readObj(KEYS.defaults, {}), attribution: { model, windowDays: days } });
+    return { ok: true };
+  }
+
+  // Returns { winner, claims, eligible, model, windowDays, reason, disputeId }
+  function resolveAttribution(email, at = new Date()) {
+    const { model, windowDays } = attributionSettings();
+    const claims = read(KEYS.leads, []).filter(l => l.email === email && l.status !== 'lost').sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    const decided = read(KEYS.disputes, []).filter(d => d.email === email && d.status === 'resolved' && d.decision.winnerLeadId).pop();
+    const decidedWinner = decided && claims.find(l => l.id === decided.decision.winnerLeadId);
+    if (decidedWinner) return { winner: decidedWinner, claims, eligible: claims, model, windowDays, reason: 'dispute decision', disputeId: decided.id };
+    const cutoff = at.getTime() - windowDays * 86400000;
+    const eligible = claims.filter(l => new Date(l.createdAt).getTime() >= cutoff);
+    const winner = model === 'first-touch' ? eligible[0] : eligible[eligible.length - 1];
+    return { winner: winner || null, claims, eligible, model, windowDays, reason: `${model} within ${windowDays} days`, disputeId: null };
+  }
+
+  // Opens (or extends) a dispute when a new lead competes with another referrer or an existing customer
+  function detectDuplicates(lead) {
+    const rivals = read(KEYS.leads, []).filter(l => l.email === lead.email && l.id !== lead.id && l.referrerId !== lead.referrerId && l.status !== 'lost');
+    // a customer who signed up through this very referral code is the lead, not a rival claim
+    const customer = read(KEYS.users, []).find(u => u.email === lead.email && u.role === 'customer' && !(lead.referralCode && u.referredBy?.code === lead.referralCode));
+    if (!rivals.length && !customer) return null;
+    const disputes = read(KEYS.disputes, []);
+    let d = disputes.find(x => x.email === lead.email && x.status === 'open');
+    if (!d) {
+      d = { id: uid('d_'), email: lead.email, status: 'open', kinds: [], leadIds: rivals.map(l => l.id), customerId: null, createdAt: now(), decision: null };
+      disputes.unshift(d);
+    }
+    if (!d.leadIds.includes(lead.id)) d.leadIds.push(lead.id);
+    if (rivals.length && !d.kinds.includes('competing-referrers')) d.kinds.push('competing-referrers');
+    if (customer) { d.customerId = customer.id; if (!d.kinds.includes('existing-customer')) d.kinds.push('existing-customer'); }
+    write(KEYS.disputes, disputes);
+    return d;
+  }
+
+  // winnerLeadId null rejects every claim (e.g. the customer was already ours)
+  function resolveDispute(disputeId, winnerLeadId, note) {
+    const disputes = read(KEYS.disputes, []);
+    const d = disputes.find(x => x.id === disputeId);
+    if (!d) return { error: 'Dispute not found' };
+    if (d.status !== 'open') return { error: 'Dispute is already resolved' };
+    if (winnerLeadId && !d.leadIds.includes(winnerLeadId)) return { error: 'The winner must be one of the competing claims' };
+    if (!(note || '').trim()) return { error: 'Record a note explaining the decision' };
+    const session = getSession();
+    d.status = 'resolved';
+    d.decision = { winnerLeadId: winnerLeadId || null, note: note.trim(), decidedBy: session?.id ?? null, decidedByName: session?.name ?? 'system', decidedAt: now() };
+    write(KEYS.disputes, disputes);
+    emit('dispute.resolved', { entityType: 'dispute', entityId: d.id, winnerLeadId: d.decision.winnerLeadId, summary: `resolved the attribution dispute over ${d.email}` });
+    const leads = read(KEYS.leads, []);
+    const reason = `Dispute ${d.id}: ${d.decision.note}`;
+    leads.filter(l => d.leadIds.includes(l.id) && l.id !== winnerLeadId && isOpenLead(l)).forEach(l => {
+      l.history.push(transition(l.status, 'lost', reason));
+      l.status = 'lost';
+      l.lostReason = reason;
+    });
+    write(KEYS.leads, leads);
+    return { ok: true, dispute: d };
+  }
+
+  // Contractors
+  // Registry of contractors; projects reference one by assignedContractorId. A contractor's load is the
+  // number of assigned projects that are not completed.
+  const CONTRACTOR_TRADES = ['General', 'Civil', 'Electrical', 'Plumbing', 'Carpentry', 'Roofing', 'Interiors'];
+
+  function validateContractor(c) {
+    if (!(c.name || '').trim()) return 'Contractor name is required';
+    if (!CONTRACTOR_TRADES.includes(c.trade)) return 'Pick a trade';
+    if (!(Number.isInteger(Number(c.maxConcurrent)) && Number(c.maxConcurrent) >= 1)) return 'Max concurrent projects must be at least 1';
+    return null;
+  }
+
+  function saveContractor(fields) {
+    const invalid = validateContractor(fields);
+    if (invalid) return { error: invalid };
+    const contractors = read(KEYS.contractors, []);
+    const name = fields.name.trim();
+    if (contractors.some(c => c.name.toLowerCase() === name.toLowerCase() && c.id !== fields.id)) return { error: 'A contractor with that name already exists' };
+    const clean = { name, trade: fields.trade, phone: (fields.phone || '').trim(), email: (fields.email || '').trim().toLowerCase(), maxConcurrent: Number(fields.maxConcurrent), available: fields.available !== false };
+    let c = fields.id && contractors.find(x => x.id === fields.id);
+    if (fields.id && !c) return { error: 'Contractor not found' };
+    if (c) Object.assign(c, clean);
+    else { c = { id: uid('k_'), ...clean, createdAt: now() }; contractors.push(c); }
+    write(KEYS.contractors, contractors);
+    return { ok: true, contractor: c };
+  }
+
+  function contractorLoad(contractorId, projects = read(KEYS.projects, [])) {
+    return projects.filter(p => p.assignedContractorId === contractorId && p.status !== 'completed');
+  }
+
+  // Refuses an unavailable or full contractor unless force is set, so the UI can ask first
+  function assignContractor(projectId, contractorId, { force = false } = {}) {
+    const c = read(KEYS.contractors, []).find(x => x.id === contractorId);
+    if (!c) return { error: 'Contractor not found' };
+    const projects = read(KEYS.projects, []);
+    const p = projects.find(x => x.id === projectId);
+    if (!p) return { error: 'Project not found' };
+    const active = contractorLoad(contractorId, projects).filter(x => x.id !== projectId).length;
+    if (p.assignedContractorId === contractorId) force = true;
+    if (!force && !c.available) return { error: `${c.name} is marked unavailable`, code: 'unavailable', warning: true };
+    if (!force && active >= c.maxConcurrent) return { error: `${c.name} already has ${active} of ${c.maxConcurrent} active projects`, code: 'over-capacity', warning: true };
+    emit('contractor.assigned', { entityType: 'project', entityId: p.id, contractorId: c.id, summary: `assigned ${c.name} to ${p.location}` });
+    return { ok: true, project: updateProject(projectId, { assignedContractorId: contractorId, status: p.status === 'completed' ? p.status : 'in-progress' }) };
+  }
+
+  // Lead pipeline
+  // Open stages are configurable (defaults.leadPipeline); 'converted' and 'lost' are fixed terminal stages.
+  // Every move appends { from, to, at, actorId, actorName, reason } to lead.history.
+  const DEFAULT_PIPELINE = [
+    { key: 'new', label: 'New' },
+    { key: 'contacted', label: 'Contacted' },
+    { key: 'site-visit', label: 'Site visit' },
+    { key: 'quoted', label: 'Quoted' }
+  ];
+  const TERMINAL_STAGES = ['converted', 'lost'];
+
+  function transition(from, to, reason = null) {
+    const session = getSession();
+    return { from, to, at: now(), actorId: session?.id ?? null, actorName: session?.name ?? 'system', reason };
+  }
+
+  // Full ordered pipeline including the terminal stages
+  function leadPipeline() {
+    const open = readObj(KEYS.defaults, {}).leadPipeline || DEFAULT_PIPELINE;
+    return [...open.map(st => ({ ...st, terminal: false })), { key: 'converted', label: 'Converted', terminal: true }, { key: 'lost', label: 'Lost', terminal: true }];
+  }
+
+  function slugify(text) { return String(text || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''); }
+
+  function saveLeadPipeline(stages) {
+    const cleaned = (stages || []).map(st => ({ key: slugify(st.key || st.label), label: (st.label || '').trim() }));
+    if (!cleaned.length) return { error: 'The pipeline needs at least one open stage' };
+    if (cleaned.some(st => !st.key || !st.label)) return { error: 'Every stage needs a name' };
+    if (new Set(cleaned.map(st => st.key)).size !== cleaned.length) return { error: 'Stage names must be unique' };
+    if (cleaned.some(st => TERMINAL_STAGES.includes(st.key))) return { error: 'Converted and Lost are built in' };
+    const keys = cleaned.map(st => st.key);
+    const stranded = read(KEYS.leads, []).filter(l => !TERMINAL_STAGES.includes(l.status) && !keys.includes(l.status));
+    if (stranded.length) return { error: `${stranded.length} lead(s) are still in a removed stage; move them first` };
+    write(KEYS.defaults, { ...readObj(KEYS.defaults, {}), leadPipeline: cleaned });
+    return { ok: true };
+  }
+
+  // Moves a lead between open stages or to 'lost' (reason required); conversion goes through convertLeadToProject
+  function moveLead(leadId, toStage, { reason } = {}) {
     const leads = read(KEYS.leads, []);
     const lead = leads.find(l => l.id === leadId);
     if (!lead) return { error: 'Lead not found' };
-    // ensure customer user
-    const cust = registerOrGetUserByEmail(lead.email, customerName, 'customer');
-    const project = addProject(cust.id, { location: '(from lead)', budget, materials: 'TBD', timeline: 12, referrerId: lead.referrerId });
-    lead.status = 'converted';
-    lead.convertedProjectId = project.id;
+    if (!leadPipeline().some(st => st.key === toStage)) return { error: `Unknown stage "${toStage}"` };
+    if (toStage === 'converted') return { error: 'Convert the lead to a project instead' };
+    if (lead.status === 'converted') return { error: 'Converted leads cannot be moved' };
+    if (toStage === 'lost' && !(reason || '').trim()) return { error: 'A reason is required to mark a lead lost' };
+    if (lead.status === toStage) return { ok: true, lead };
+    (lead.history = lead.history || []).push(transition(lead.status, toStage, toStage === 'lost' ? reason.trim() : null));
+    lead.lostReason = toStage === 'lost' ? reason.trim() : null;
+    const from = lead.status;
+    lead.status = toStage;
     write(KEYS.leads, leads);
-    return { ok: true, project };
+    emit('lead.moved', { entityType: 'lead', entityId: lead.id, from, to: toStage, summary: toStage === 'lost' ? `marked lead ${lead.email} lost` : `moved lead ${lead.email} to ${(leadPipeline().find(st => st.key === toStage) || {}).label || toStage}` });
+    return { ok: true, lead };
   }
 
-  function writeDefaults(obj) { write(KEYS.defaults, obj); }
-  function setSessionExtern(u) { setSession(u); }
+  function isOpenLead(l) { return !TERMINAL_STAGES.includes(l.status); }
+
+  // Commission rules engine
+  // Base rate precedence: referrer override > material tier > budget band > defaultCommission.
+  // A volume bonus (percentage points) is then added, and min/max amount limits clamp the result.
+  const RULE_TYPES = {
+    band: { label: 'Budget band', fields: ['minBudget', 'maxBudget', 'rate'] },
+    referrer: { label: 'Referrer override', fields: ['referrerId', 'rate'] },
+    material: { label: 'Material tier', fields: ['materials', 'rate'] },
+    volume: { label: 'Volume bonus', fields: ['threshold', 'bonus'] },
+    limit: { label: 'Cap / minimum', fields: ['minAmount', 'maxAmount'] }
+  };
+
+  // Money thresholds on rules are minor units of the rule's own currency
+  const RULE_MONEY_FIELDS = ['minBudget', 'maxBudget', 'minAmount', 'maxAmount'];
+
+  function readRules() { return read(KEYS.rules, []); }
+
+  function saveRules(rules) {
+    for (const r of rules) {
+      if (!RULE_TYPES[r.type]) return { error: `Unknown rule type "${r.type}"` };
+      if ('rate' in r && !(r.rate >= 0 && r.rate <= 100)) return { error: `${r.label || r.type}: rate must be 0-100` };
+      if (r.type === 'band' && r.maxBudget != null && r.maxBudget < (r.minBudget || 0)) return { error: `${r.label || 'Band'}: max budget below min budget` };
+      if (r.type === 'volume' && !(r.threshold > 0)) return { error: `${r.label || 'Volume bonus'}: threshold must be at least 1` };
+      if (r.type === 'limit' && r.minAmount != null && r.maxAmount != null && r.maxAmount < r.minAmount) return { error: `${r.label || 'Limit'}: cap below minimum` };
+    }
+    write(KEYS.rules, rules.map(r => ({ ...r, id: r.id || uid('r_'), enabled: r.enabled !== false, currency: r.currency || defaultCurrency() })));
+    return { ok: true };
+  }
+
+  function quarterStart(d = new Date()) { return new Date(d.getFullYear(), Math.floor(d.getMonth() / 3) * 3, 1); }
+
+  function quarterConversions(referrerId, at = new Date()) {
+    const from = quarterStart(at).getTime();
+    return read(KEYS.leads, []).filter(l => l.referrerId === referrerId && l.status === 'converted' && new Date(l.convertedAt || l.createdAt).getTime() >= from).length;
+  }
+
+  // Returns { rate, ruleIds, steps } for a project-like { budget, materials, referrerId }
+  function evaluateCommission(p) {
+    const rules = readRules().filter(r => r.enabled !== false);
+    const defaults = readObj(KEYS.defaults, { defaultCommission: 6 });
+    const currency = p.currency || defaultCurrency();
+    // a rule without a rate for the project's currency can't be compared, so it doesn't match
+    const budgetIn = (r) => convertMinor(Number(p.budget) || 0, currency, r.currency || currency);
+    const ruleIds = [];
+    const steps = [];
+    let rate = Number(defaults.defaultCommission);
+    let base = null;
+
+    const override = p.referrerId && rules.find(r => r.type === 'referrer' && r.referrerId === p.referrerId);
+    const material = rules.find(r => r.type === 'material' && (r.materials || '').toLowerCase() === (p.materials || '').toLowerCase());
+    const band = rules.find(r => {
+      if (r.type !== 'band') return false;
+      const budget = budgetIn(r);
+      return budget !== null && budget >= (r.minBudget || 0) && (r.maxBudget == null || budget <= r.maxBudget);
+    });
+    base = override || material || band;
+    if (base) { rate = Number(base.rate); ruleIds.push(base.id); steps.push(`${RULE_TYPES[base.type].label} "${base.label || base.id}": ${rate}%`); }
+    else steps.push(`Default commission: ${rate}%`);
+
+    if (p.referrerId) {
+      const count = quarterConversions(p.referrerId);
+      const bonus = rules.filter(r => r.type === 'volume' && count >= r.threshold).sort((a, b) => b.threshold - a.threshold)[0];
+      if (bonus) { rate += Number(bonus.bonus); ruleIds.push(bonus.id); steps.push(`Volume bonus "${bonus.label || bonus.id}": +${bonus.bonus} pts (${count} conversions this quarter)`); }
+    }
+
+    rules.filter(r => r.type === 'limit').forEach(r => {
+      const budget = budgetIn(r);
+      if (!budget) return;
+      const amount = budget * rate / 100;
+      const money = (v) => `${fromMinor(v, r.currency || currency)} ${r.currency || currency}`;
+      if (r.maxAmount != null && amount > r.maxAmount) { rate = r.maxAmount / budget * 100; ruleIds.push(r.id); steps.push(`Capped at ${money(r.maxAmount)} by "${r.label || r.id}"`); }
+      else if (r.minAmount != null && amount < r.minAmount) { rate = r.minAmount / budget * 100; ruleIds.push(r.id); steps.push(`Raised to minimum ${money(r.minAmount)} by "${r.label || r.id}"`); }
+    });
+
+    return { rate: Math.round(Math.min(100, Math.max(0, rate)) * 100) / 100, ruleIds, steps };
+  }
+
+  // Re-run the rules for an existing project (e.g. after rules or budget changed)
+  function reapplyCommissionRules(projectId) {
+    const p = read(KEYS.projects, []).find(x => x.id === projectId);
+    if (!p) return { error: 'Project not found' };
+    const ev = evaluateCommission(p);
+    return { ok: true, project: updateProject(projectId, { commissionPercent: ev.rate, commissionRule: { source: 'rules', ...ev, evaluatedAt: now() } }) };
+  }
+
+  // Change orders
+  // Budget and scope changes are requested as change orders on the project, raised by an admin or the
+  // customer and decided by the other party. The budget is the contract value: originalBudget plus the
+  // deltas of approved orders, so commission follows only what both sides agreed.
+  function contractValue(p) {
+    return (p.originalBudget ?? p.budget ?? 0) + (p.changeOrders || []).filter(co => co.status === 'approved').reduce((a, co) => a + co.delta, 0);
+  }
+
+  function raiseChangeOrder(projectId, { reason, delta, scope } = {}) {
+    const projects = read(KEYS.projects, []);
+    const p = projects.find(x => x.id === projectId);
+    if (!p) return { error: 'Project not found' };
+    if (p.status === 'completed') return { error: 'The project is completed' };
+    const amount = Math.round(Number(delta) || 0);
+    if (!(reason || '').trim()) return { error: 'A reason is required' };
+    if (!amount && !(scope || '').trim()) return { error: 'Give a budget change or scope notes' };
+    if (contractValue(p) + amount < 0) return { error: 'The change would take the budget below zero' };
+    const session = getSession();
+    const co = { id: uid('co_'), reason: reason.trim(), delta: amount, scope: (scope || '').trim(), status: 'pending', raisedBy: session?.id ?? null, raisedByName: session?.name ?? 'system', raisedByRole: session?.role ?? null, raisedAt: now(), decidedBy: null, decidedByName: null, decidedAt: null, decisionNote: null };
+    (p.changeOrders = p.changeOrders || []).push(co);
+    write(KEYS.projects, projects);
+    emit('changeorder.raised', { entityType: 'project', entityId: p.id, changeOrderId: co.id, summary: `raised a change order on ${p.location}` });
+    return { ok: true, changeOrder: co, project: p };
+  }
+
+  // Approve or reject; whoever raised the order (by role) can't decide it
+  function decideChangeOrder(projectId, changeOrderId, approve, note = '') {
+    const projects = read(KEYS.projects, []);
+    const p = projects.find(x => x.id === projectId);
+    if (!p) return { error: 'Project not found' };
+    const co = (p.changeOrders || []).find(x => x.id === changeOrderId);
+    if (!co) return { error: 'Change order not found' };
+    if (co.status !== 'pending') return { error: `Change order is already ${co.status}` };
+    const session = getSession();
+    if (session && session.role === co.raisedByRole) return { error: `Raised by the ${co.raisedByRole}; the other party decides it`, code: 'same-party' };
+    if (!approve && !(note || '').trim()) return { error: 'Give a reason for rejecting' };
+    if (approve && contractValue(p) + co.delta < 0) return { error: 'Approving would take the budget below zero' };
+    Object.assign(co, { status: approve ? 'approved' : 'rejected', decidedBy: session?.id ?? null, decidedByName: session?.name ?? 'system', decidedAt: now(), decisionNote: (note || '').trim() || null });
+    write(KEYS.projects, projects);
+    emit('changeorder.decided', { entityType: 'project', entityId: p.id, changeOrderId: co.id, approved: !!approve, summary: `${approve ? 'approved' : 'rejected'} a change order on ${p.location}` });
+    if (!approve || !co.delta) return { ok: true, changeOrder: co, project: p };
+    const changes = { budget: contractValue(p) };
+    // rule-derived rates follow the new budget (bands); a manually set rate stays
+    if (!p.commissionRule || p.commissionRule.source === 'rules') {
+      const ev = evaluateCommission({ ...p, ...changes });
+      Object.assign(changes, { commissionPercent: ev.rate, commissionRule: { source: 'rules', ...ev, evaluatedAt: now() } });
+    }
+    return { ok: true, changeOrder: co, project: updateProject(projectId, changes) };
+  }
+
+  function withdrawChangeOrder(projectId, changeOrderId) {
+    const projects = read(KEYS.projects, []);
+    const p = projects.find(x => x.id === projectId);
+    const co = p && (p.changeOrders || []).find(x => x.id === changeOrderId);
+    if (!co) return { error: 'Change order not found' };
+    if (co.status !== 'pending') return { error: `Change order is already ${co.status}` };
+    if (co.raisedBy !== getSession()?.id) return { error: 'Only whoever raised it can withdraw it' };
+    Object.assign(co, { status: 'withdrawn', decidedBy: co.raisedBy, decidedByName: co.raisedByName, decidedAt: now() });
+    write(KEYS.projects, projects);
+    emit('changeorder.withdrawn', { entityType: 'project', entityId: p.id, changeOrderId: co.id, summary: `withdrew a change order on ${p.location}` });
+    return { ok: true, changeOrder: co, project: p };
+  }
+
+  // Stage templates
+  // Named, ordered stage lists per project type, kept in defaults.stageTemplates. A project copies its
+  // template's stages at creation and is edited independently afterwards. share is the stage's
+  // commission split in percent (null on every stage splits evenly), durationDays the planning default,
+  // tasks optional sub-task labels.
+  const DEFAULT_STAGE_TEMPLATES = [
+    { key: 'new-build', label: 'New build', stages: [
+      { key: 'foundation', label: 'Foundation', share: 20, durationDays: 30, tasks: ['Excavation', 'Footings', 'Slab'] },
+      { key: 'framing', label: 'Framing', share: 30, durationDays: 45, tasks: [] },
+      { key: 'roof', label: 'Roof', share: 30, durationDays: 20, tasks: [] },
+      { key: 'finishing', label: 'Finishing', share: 20, durationDays: 40, tasks: ['Plaster', 'Paint', 'Fixtures'] }
+    ] },
+    { key: 'renovation', label: 'Renovation', stages: [
+      { key: 'survey', label: 'Survey & strip-out', share: 15, durationDays: 10, tasks: [] },
+      { key: 'structural', label: 'Structural repairs', share: 35, durationDays: 25, tasks: [] },
+      { key: 'services', label: 'Electrical & plumbing', share: 25, durationDays: 20, tasks: ['Rewire', 'Replumb'] },
+      { key: 'finishing', label: 'Finishing', share: 25, durationDays: 20, tasks: [] }
+    ] },
+    { key: 'interiors', label: 'Interiors', stages: [
+      { key: 'design', label: 'Design sign-off', share: 20, durationDays: 14, tasks: ['Layout', 'Materials board'] },
+      { key: 'joinery', label: 'Joinery', share: 40, durationDays: 21, tasks: [] },
+      { key: 'fit-out', label: 'Fit-out', share: 30, durationDays: 14, tasks: [] },
+      { key: 'handover', label: 'Handover', share: 10, durationDays: 3, tasks: ['Snag list'] }
+    ] },
+    { key: 'commercial', label: 'Commercial', stages: [
+      { key: 'site-prep', label: 'Site preparation', share: 10, durationDays: 20, tasks: [] },
+      { key: 'foundation', label: 'Foundation', share: 20, durationDays: 40, tasks: [] },
+      { key: 'superstructure', label: 'Superstructure', share: 25, durationDays: 90, tasks: [] },
+      { key: 'envelope', label: 'Envelope', share: 15, durationDays: 45, tasks: [] },
+      { key: 'mep', label: 'MEP services', share: 15, durationDays: 60, tasks: [] },
+      { key: 'fit-out', label: 'Fit-out', share: 15, durationDays: 45, tasks: [] }
+    ] }
+  ];
+
+  function stageTemplates() { return readObj(KEYS.defaults, {}).stageTemplates || DEFAULT_STAGE_TEMPLATES; }
+
+  // Normalises an edited stage list; keys are kept when given and derived from the label otherwise
+  function cleanStages(stages) {
+    const used = new Set();
+    const cleaned = [];
+    for (const st of stages || []) {
+      const label = (st.label || '').trim();
+      if (!label) return { error: 'Every stage needs a name' };
+      let key = slugify(st.key || label) || 'stage';
+      for (let n = 2; used.has(key); n++) key = `${slugify(st.key || label) || 'stage'}-${n}`;
+      used.add(key);
+      const share = st.share === '' || st.share == null ? null : Number(st.share);
+      if (share !== null && !(share >= 0 && share <= 100)) return { error: `Share for "${label}" must be between 0 and 100` };
+      const durationDays = Number(st.durationDays);
+      if (!(Number.isInteger(durationDays) && durationDays >= 1)) return { error: `Duration for "${label}" must be a whole number of days` };
+      const tasks = (st.tasks || []).map(t => (typeof t === 'string' ? t : t.label || '').trim()).filter(Boolean);
+      cleaned.push({ key, label, share, durationDays, tasks });
+    }
+    if (!cleaned.length) return { error: 'At least one stage is required' };
+    const shares = cleaned.map(st => st.share);
+    if (shares.some(x => x !== null) && shares.some(x => x === null)) return { error: 'Give every stage a share, or none to split commission evenly' };
+    if (shares.every(x => x !== null) && Math.abs(shares.reduce((a, b) => a + b, 0) - 100) > 0.01) return { error: 'Stage shares must add up to 100%' };
+    return { stages: cleaned };
+  }
+
+  function saveStageTemplates(templates) {
+    if (!(templates || []).length) return { error: 'Keep at least one template' };
+    const out = [];
+    for (const t of templates) {
+      const label = (t.label || '').trim();
+      if (!label) return { error: 'Every template needs a name' };
+      const key = slugify(t.key || label);
+      if (out.some(x => x.key === key)) return { error: `Template names must be unique ("${label}")` };
+      const res = cleanStages(t.stages);
+      if (res.error) return { error: `${label}: ${res.error}` };
+      out.push({ key, label, stages: res.stages });
+    }
+    write(KEYS.defaults, { ...readObj(KEYS.defaults, {}), stageTemplates: out });
+    return { ok: true, templates: out };
+  }
+
+  // Replaces a project's stage list (add, remove, reorder, rename). Existing stages are matched by key
+  // and keep their completion; completed stages can't be removed because their tranche may be settled.
+  function updateProjectStages(projectId, stages) {
+    const projects = read(KEYS.projects, []);
+    const p = projects.find(x => x.id === projectId);
+    if (!p) return { error: 'Project not found' };
+    const removedDone = p.stages.filter(st => st.done && !(stages || []).some(x => x.key === st.key));
+    if (removedDone.length) return { error: `Reopen ${removedDone.map(st => st.label).join(', ')} before removing it` };
+    const res = cleanStages(stages);
+    if (res.error) return res;
+    p.stages = res.stages.map(st => {
+      const prev = p.stages.find(x => x.key === st.key);
+      const prevTasks = (prev && prev.tasks) || [];
+      const dates = prev ? { plannedStart: prev.plannedStart || null, plannedEnd: prev.plannedEnd || null, actualStart: prev.actualStart || null, actualEnd: prev.actualEnd || null } : NO_DATES;
+      return { ...st, ...dates, done: !!(prev && prev.done), tasks: st.tasks.map(label => ({ label, done: prevTasks.some(t => t.label === label && t.done) })) };
+    });
+    if (p.stages.every(st => st.done)) p.status = 'completed';
+    else if (p.status === 'completed') p.status = 'in-progress';
+    write(KEYS.projects, projects);
+    syncCommission(p);
+    return { ok: true, project: p };
+  }
+
+  function toggleStageTask(projectId, stageKey, index) {
+    const projects = read(KEYS.projects, []);
+    const p = projects.find(x => x.id === projectId);
+    if (!p) return { error: 'Project not found' };
+    const task = ((p.stages.find(st => st.key === stageKey) || {}).tasks || [])[index];
+    if (!task) return { error: 'Task not found' };
+    task.done = !task.done;
+    write(KEYS.projects, projects);
+    return { ok: true, project: p };
+  }
+
+  // Project schedule
+  // Planned stage dates default to the project's timeline (months from createdAt), split across the
+  // stages in proportion to durationDays. A plannedStart/plannedEnd stored on a stage overrides the
+  // derived date. Actual dates are stamped as stages are completed and can be corrected by admins.
+  // All dates are 'YYYY-MM-DD'.
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const NO_DATES = { plannedStart: null, plannedEnd: null, actualStart: null, actualEnd: null };
+  const DATE_FIELDS = Object.keys(NO_DATES);
+
+  function isoDate(d) { return new Date(d).toISOString().slice(0, 10); }
+  function daysBetween(from, to) { return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS); }
+
+  function projectSchedule(p, today = isoDate(Date.now())) {
+    const start = new Date(isoDate(p.createdAt || Date.now()));
+    const end = new Date(start);
+    end.setUTCMonth(end.getUTCMonth() + (Number(p.timeline) || 12));
+    const span = end - start;
+    const weights = (p.stages || []).map(st => Number(st.durationDays) || 1);
+    const total = weights.reduce((a, b) => a + b, 0) || 1;
+    let elapsed = 0;
+    const stages = (p.stages || []).map((st, i) => {
+      const from = start.getTime() + span * elapsed / total;
+      elapsed += weights[i];
+      const plannedStart = st.plannedStart || isoDate(from);
+      const plannedEnd = st.plannedEnd || isoDate(start.getTime() + span * elapsed / total);
+      const overdue = !st.done && plannedEnd < today;
+      const slipDays = st.done ? (st.actualEnd ? Math.max(0, daysBetween(plannedEnd, st.actualEnd)) : 0) : (overdue ? daysBetween(plannedEnd, today) : 0);
+      return { key: st.key, label: st.label, done: !!st.done, plannedStart, plannedEnd, actualStart: st.actualStart || null, actualEnd: st.actualEnd || null, derived: !st.plannedStart && !st.plannedEnd, overdue, slipDays };
+    });
+    const overdueStages = stages.filter(st => st.overdue);
+    return {
+      plannedStart: stages.length ? stages.map(st => st.plannedStart).sort()[0] : isoDate(start),
+      plannedEnd: stages.length ? stages.map(st => st.plannedEnd).sort().pop() : isoDate(end),
+      stages,
+      overdueStages,
+      late: p.status !== 'completed' && overdueStages.length > 0,
+      slipDays: Math.max(0, ...overdueStages.map(st => st.slipDays))
+    };
+  }
+
+  // Completing a stage stamps its actual end (and start, if never recorded) and starts the next one
+  function recordActualDates(p, stage) {
+    const today = isoDate(Date.now());
+    const i = p.stages.indexOf(stage);
+    if (!stage.done) { stage.actualEnd = null; return; }
+    const planned = projectSchedule(p).stages[i];
+    const prevEnd = i > 0 ? p.stages[i - 1].actualEnd : null;
+    stage.actualStart = stage.actualStart || prevEnd || (planned.plannedStart < today ? planned.plannedStart : today);
+    stage.actualEnd = today;
+    const next = p.stages[i + 1];
+    if (next && !next.done && !next.actualStart) next.actualStart = today;
+  }
+
+  // Sets or clears (null / '') a stage's dates; a cleared planned date falls back to the derived one
+  function setStageDates(projectId, stageKey, dates = {}) {
+    const projects = read(KEYS.projects, []);
+    const p = projects.find(x => x.id === projectId);
+    if (!p) return { error: 'Project not found' };
+    const stage = p.stages.find(st => st.key === stageKey);
+    if (!stage) return { error: 'Stage not found' };
+    const next = Object.fromEntries(DATE_FIELDS.map(f => [f, stage[f] || null]));
+    for (const f of DATE_FIELDS.filter(f => f in dates)) {
+      const v = dates[f] || null;
+      if (v !== null && !/^\d{4}-\d{2}-\d{2}$/.test(v)) return { error: `Invalid date for ${f}` };
+      next[f] = v;
+    }
+    if (next.actualEnd && !stage.done) return { error: 'Actual end is recorded when the stage is completed' };
+    // compare against the effective dates, since either side may be derived
+    const planned = projectSchedule({ ...p, stages: p.stages.map(st => st === stage ? { ...st, ...next } : st) }).stages[p.stages.indexOf(stage)];
+    if (planned.plannedEnd < planned.plannedStart) return { error: 'Planned end is before planned start' };
+    if (next.actualStart && next.actualEnd && next.actualEnd < next.actualStart) return { error: 'Actual end is before actual start' };
+    Object.assign(stage, next);
+    write(KEYS.projects, projects);
+    return { ok: true, project: p, schedule: projectSchedule(p) };
+  }
+
+  // Currencies and exchange rates
+  // Amounts are stored as integer minor units of the currency they belong to: budgets and change
+  // orders in project.currency, ledger entries and payouts in entry.currency. A rate row
+  // { base, quote, rate, effectiveFrom } means 1 base = rate quote from that date on; conversion uses
+  // the latest row in effect (or the inverse pair), going through the default currency if needed.
+  const CURRENCIES = { USD: 2, EUR: 2, GBP: 2, INR: 2, AED: 2, AUD: 2, CAD: 2, SGD: 2, JPY: 0 };
+
+  function toMinor(major, currency) { return Math.round((Number(major) || 0) * 10 ** (CURRENCIES[currency] ?? 2)); }
+  function fromMinor(minor, currency) { return (Number(minor) || 0) / 10 ** (CURRENCIES[currency] ?? 2); }
+  function defaultCurrency() { return readObj(KEYS.defaults, {}).currency || 'USD'; }
+
+  function exchangeRate(from, to, date = now()) {
+    if (from === to) return 1;
+    const day = date.slice(0, 10);
+    const rows = read(KEYS.fxRates, []).filter(r => r.effectiveFrom <= day);
+    const pair = (a, b) => rows
+      .filter(r => (r.base === a && r.quote === b) || (r.base === b && r.quote === a))
+      .sort((x, y) => y.effectiveFrom.localeCompare(x.effectiveFrom) || y.createdAt.localeCompare(x.createdAt))
+      .map(r => r.base === a ? r.rate : 1 / r.rate)[0] ?? null;
+    const direct = pair(from, to);
+    if (direct !== null) return direct;
+    const via = defaultCurrency();
+    if (via === from || via === to) return null;
+    const a = pair(from, via);
+    const b = pair(via, to);
+    return a !== null && b !== null ? a * b : null;
+  }
+
+  // Returns null when no rate is in effect
+  function convertMinor(amount, from, to, date) {
+    const rate = exchangeRate(from, to, date);
+    return rate === null ? null : toMinor(fromMinor(amount, from) * rate, to);
+  }
+
+  function saveFxRate({ base, quote, rate, effectiveFrom } = {}) {
+    if (!(base in CURRENCIES) || !(quote in CURRENCIES)) return { error: 'Pick two supported currencies' };
+    if (base === quote) return { error: 'Base and quote currency must differ' };
+    if (!(Number(rate) > 0)) return { error: 'Rate must be greater than zero' };
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(effectiveFrom || '')) return { error: 'Pick an effective date' };
+    const rates = read(KEYS.fxRates, []);
+    const row = { id: uid('fx_'), base, quote, rate: Number(rate), effectiveFrom, createdAt: now(), createdBy: getSession()?.id ?? null };
+    rates.push(row);
+    write(KEYS.fxRates, rates);
+    return { ok: true, rate: row };
+  }
+
+  function deleteFxRate(id) {
+    const rates = read(KEYS.fxRates, []);
+    if (!rates.some(r => r.id === id)) return { error: 'Rate not found' };
+    write(KEYS.fxRates, rates.filter(r => r.id !== id));
+    return { ok: true };
+  }
+
+  function setPayoutCurrency(userId, currency) {
+    if (!(currency in CURRENCIES)) return { error: `Unsupported currency ${currency}` };
+    const users = read(KEYS.users, []);
+    const u = users.find(x => x.id === userId);
+    if (!u) return { error: 'User not found' };
+    u.payoutCurrency = currency;
+    write(KEYS.users, users);
+    return { ok: true };
+  }
+
+  // Commission ledger
+  // One entry per stage tranche. Lifecycle: accrued (project approved) -> payable (stage completed)
+  // -> approved (admin) -> paid (payout recorded). Reopening a stage pulls an unpaid tranche back
+  // to accrued; a paid tranche is offset by a negative reversal entry and re-accrued.
+  const PAYOUT_METHODS = ['bank-transfer', 'cheque', 'cash', 'upi'];
+  // The fixed stages every project had before stage templates; migration 1 backfills their shares
+  const DEFAULT_STAGES = [
+    { key: 'foundation', label: 'Foundation', share: 20 },
+    { key: 'framing', label: 'Framing', share: 30 },
+    { key: 'roof', label: 'Roof', share: 30 },
+    { key: 'finishing', label: 'Finishing', share: 20 }
+  ];
+
+  function commissionAmount(p) { return Math.round((p.budget || 0) * (p.commissionPercent || 0) / 100); }
+
+  // Stage shares in percent; projects without explicit shares split evenly
+  function stageShares(p) {
+    const stages = p.stages || [];
+    if (stages.length && stages.every(st => typeof st.share === 'number')) return stages.map(st => st.share);
+    return stages.map(() => 100 / (stages.length || 1));
+  }
+
+  // Tranche amount per stage key; the last tranche absorbs rounding so tranches sum to the total
+  function trancheAmounts(p) {
+    const total = commissionAmount(p);
+    const shares = stageShares(p);
+    const sum = shares.reduce((a, b) => a + b, 0) || 1;
+    const out = {};
+    let allocated = 0;
+    (p.stages || []).forEach((st, i) => {
+      const amt = i === p.stages.length - 1 ? total - allocated : Math.round(total * shares[i] / sum);
+      out[st.key] = amt;
+      allocated += amt;
+    });
+    return out;
+  }
+
+  function newEntry(p, st, amount) {
+    return { id: uid('c_'), projectId: p.id, referrerId: p.referrerId, stageKey: st.key, stageLabel: st.label, kind: 'tranche', amount, currency: p.currency || defaultCurrency(), status: 'accrued', createdAt: now(), payableAt: null, approvedAt: null, approvedBy: null, payout: null, reversedBy: null };
+  }
+
+  function syncCommission(p) {
+    if (!p || !p.referrerId || !p.verified) return null;
+    const entries = read(KEYS.commissions, []);
+    const before = JSON.stringify(entries);
+    // Project-level entries predate tranches: settled ones stand, unsettled ones are re-issued per stage
+    const legacy = entries.filter(e => e.projectId === p.id && !e.stageKey);
+    if (legacy.some(e => e.status === 'approved' || e.status === 'paid')) return legacy;
+    legacy.forEach(e => entries.splice(entries.indexOf(e), 1));
+
+    const amounts = trancheAmounts(p);
+    p.stages.forEach(st => {
+      let e = entries.find(x => x.projectId === p.id && x.stageKey === st.key && x.kind === 'tranche' && !x.reversedBy);
+      if (!e) { e = newEntry(p, st, amounts[st.key]); entries.unshift(e); }
+      // amounts stay live until an admin has approved the tranche
+      if (e.status === 'accrued' || e.status === 'payable') e.amount = amounts[st.key];
+      if (st.done && e.status === 'accrued') {
+        e.status = 'payable';
+        e.payableAt = now();
+        notify('commission.released', { referrerId: p.referrerId, entityType: 'project', entityId: p.id, message: `${formatMinor(e.amount, e.currency)} commission released for ${st.label} at ${p.location}` });
+      }
+      else if (!st.done && (e.status === 'payable' || e.status === 'approved')) {
+        Object.assign(e, { status: 'accrued', payableAt: null, approvedAt: null, approvedBy: null });
+      } else if (!st.done && e.status === 'paid') {
+        const rev = Object.assign(newEntry(p, st, -e.payout.amount), { kind: 'reversal', status: 'payable', payableAt: now(), reverses: e.id });
+        e.reversedBy = rev.id;
+        entries.unshift(rev, newEntry(p, st, amounts[st.key]));
+      }
+    });
+    // tranches of stages removed from the project; completed stages can't be removed, so these are unsettled
+    const keys = p.stages.map(st => st.key);
+    entries.filter(e => e.projectId === p.id && e.kind === 'tranche' && e.status === 'accrued' && !keys.includes(e.stageKey))
+      .forEach(e => entries.splice(entries.indexOf(e), 1));
+    if (JSON.stringify(entries) !== before) write(KEYS.commissions, entries);
+    return entries.filter(e => e.projectId === p.id);
+  }
+
+  // Released vs pending commission per stage, for the project detail view
+  function stageCommission(p) {
+    const amounts = trancheAmounts(p);
+    const shares = stageShares(p);
+    return p.stages.map((st, i) => ({ key: st.key, label: st.label, share: shares[i], amount: amounts[st.key], released: !!st.done }));
+  }
+
+  function approveCommission(entryId) {
+    const entries = read(KEYS.commissions, []);
+    const e = entries.find(x => x.id === entryId);
+    if (!e) return { error: 'Commission entry not found' };
+    if (e.status !== 'payable') return { error: `Only payable entries can be approved (entry is ${e.status})` };
+    e.status = 'approved';
+    e.approvedAt = now();
+    e.approvedBy = getSession()?.id ?? null;
+    write(KEYS.commissions, entries);
+    emit('commission.approved', { entityType: 'commission', entityId: e.id, projectId: e.projectId, summary: `approved ${formatMinor(e.amount, e.currency)} commission for ${userName(e.referrerId)}` });
+    return { ok: true, entry: e };
+  }
+
+  function markCommissionPaid(entryId, { date, amount, method, reference } = {}) {
+    const entries = read(KEYS.commissions, []);
+    const e = entries.find(x => x.id === entryId);
+    if (!e) return { error: 'Commission entry not found' };
+    if (e.status !== 'approved') return { error: 'Approve the entry before recording a payout' };
+    const amt = Math.round(Number(amount ?? e.amount));
+    // reversals carry negative amounts and are settled by recovering from the referrer
+    if (!amt || Math.sign(amt) !== Math.sign(e.amount)) return { error: e.amount < 0 ? 'Recovered amount must be negative' : 'Payout amount must be greater than zero' };
+    // a payout settles the whole approved amount; anything else would leave the entry half paid
+    if (amt !== e.amount) return { error: `Payout must equal the approved amount of ${fromMinor(e.amount, e.currency)} ${e.currency}` };
+    if (!PAYOUT_METHODS.includes(method)) return { error: 'Unknown payout method' };
+    e.status = 'paid';
+    e.payout = { date: date || now().slice(0, 10), amount: amt, currency: e.currency, method, reference: reference || '', recordedBy: getSession()?.id ?? null, recordedAt: now() };
+    write(KEYS.commissions, entries);
+    emit('commission.paid', { entityType: 'commission', entityId: e.id, projectId: e.projectId, summary: `recorded a ${formatMinor(amt, e.currency)} payout to ${userName(e.referrerId)}` });
+    return { ok: true, entry: e };
+  }
+
+  // Ledger lines for one referrer (or everyone, with referrerId null) converted into one currency at
+  // the rate in effect on each line's date: the payout date once paid, the accrual date before that.
+  // Lines without a rate are listed with converted: null and left out of the totals.
+  function commissionStatement(referrerId, { currency, from, to } = {}) {
+    const user = referrerId && read(KEYS.users, []).find(u => u.id === referrerId);
+    const cur = currency || (user && user.payoutCurrency) || defaultCurrency();
+    const totals = { accrued: 0, payable: 0, approved: 0, paid: 0 };
+    const lines = read(KEYS.commissions, [])
+      .filter(e => !referrerId || e.referrerId === referrerId)
+      .map(e => {
+        const paid = e.status === 'paid';
+        const amount = paid ? e.payout.amount : e.amount;
+        const entryCurrency = (paid && e.payout.currency) || e.currency || defaultCurrency();
+        const date = paid ? e.payout.date : e.createdAt.slice(0, 10);
+        const rate = exchangeRate(entryCurrency, cur, date);
+        return { entryId: e.id, projectId: e.projectId, referrerId: e.referrerId, stageLabel: e.stageLabel, kind: e.kind, status: e.status, date, amount, currency: entryCurrency, rate, converted: rate === null ? null : convertMinor(amount, entryCurrency, cur, date) };
+      })
+      .filter(l => (!from || l.date >= from) && (!to || l.date <= to));
+    lines.forEach(l => { if (l.converted !== null) totals[l.status] += l.converted; });
+    totals.outstanding = totals.payable + totals.approved;
+    return { referrerId: referrerId || null, currency: cur, from: from || null, to: to || null, lines, totals, missingRates: lines.filter(l => l.converted === null).length };
+  }
+
+  // Balance in the referrer's payout currency
+  function commissionBalance(referrerId) {
+    const st = commissionStatement(referrerId);
+    return { ...st.totals, currency: st.currency, missingRates: st.missingRates };
+  }
+
+  // Search
+  // A query is a list of space-separated terms: field:value (contains for text, equals for the rest),
+  // field:>value with > >= < <= for numbers and dates, bare words and "quoted phrases" matched against
+  // all text of a record, and a leading - to negate a term. A field that doesn't apply to a record type
+  // rules that type out, so budget:>20000 only finds projects. Money compares in major units of the
+  // record's own currency. Notes are the free text on leads, change orders and dispute decisions.
+  const SEARCH_TYPES = ['project', 'lead', 'user', 'note'];
+  const SEARCH_FIELDS = {
+    type: { label: 'Record type', kind: 'enum', get: { project: () => 'project', lead: () => 'lead', user: () => 'user', note: () => 'note' } },
+    id: { label: 'Record id', kind: 'text', get: { project: r => r.id, lead: r => r.id, user: r => r.id, note: r => r.parentId } },
+    status: { label: 'Project, lead or change order status', kind: 'enum', get: { project: r => r.status, lead: r => r.status, note: r => r.status } },
+    budget: { label: 'Project budget (major units)', kind: 'number', get: { project: r => fromMinor(r.budget, r.currency) } },
+    commission: { label: 'Commission %', kind: 'number', get: { project: r => r.commissionPercent } },
+    materials: { label: 'Material tier', kind: 'text', get: { project: r => r.materials } },
+    location: { label: 'Project location', kind: 'text', get: { project: r => r.location } },
+    currency: { label: 'Project currency', kind: 'enum', get: { project: r => r.currency } },
+    verified: { label: 'Project approved (yes/no)', kind: 'bool', get: { project: r => !!r.verified } },
+    referrer: { label: 'Referrer name or email', kind: 'text', get: { project: (r, ctx) => ctx.person(r.referrerId), lead: (r, ctx) => ctx.person(r.referrerId) } },
+    customer: { label: 'Customer name or email', kind: 'text', get: { project: (r, ctx) => ctx.person(r.customerId) } },
+    contractor: { label: 'Assigned contractor', kind: 'text', get: { project: (r, ctx) => (ctx.contractors.find(c => c.id === r.assignedContractorId) || {}).name || '' } },
+    email: { label: 'Lead or user email', kind: 'text', get: { lead: r => r.email, user: r => r.email } },
+    name: { label: 'User name', kind: 'text', get: { user: r => r.name } },
+    role: { label: 'User role', kind: 'enum', get: { user: r => r.role } },
+    created: { label: 'Created on (YYYY-MM-DD)', kind: 'date', get: { project: r => r.createdAt, lead: r => r.createdAt, user: r => r.createdAt, note: r => r.at } }
+  };
+  const TERM_PATTERN = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+  function parseQuery(query) {
+    const terms = [];
+    const errors = [];
+    for (const [, neg, field, quoted, bare] of String(query || '').matchAll(TERM_PATTERN)) {
+      const raw = quoted ?? bare ?? '';
+      if (!field) {
+        if (raw) terms.push({ field: null, op: ':', value: raw.toLowerCase(), negate: !!neg });
+        continue;
+      }
+      const def = SEARCH_FIELDS[field.toLowerCase()];
+      if (!def) { errors.push(`Unknown field "${field}"`); continue; }
+      const [, op = ':', value] = raw.match(/^(>=|<=|>|<)?(.*)$/);
+      if (!value) { errors.push(`Give a value for ${field}:`); continue; }
+      if (op !== ':' && !['number', 'date'].includes(def.kind)) { errors.push(`${field} can't be compared with ${op}`); continue; }
+      if (def.kind === 'number' && isNaN(Number(value))) { errors.push(`${field} needs a number`); continue; }
+      if (def.kind === 'date' && isNaN(Date.parse(value))) { errors.push(`${field} needs a date like 2026-01-31`); continue; }
+      if (def.kind === 'bool' && !['yes', 'no', 'true', 'false'].includes(value.toLowerCase())) { errors.push(`${field} is yes or no`); continue; }
+      terms.push({ field: field.toLowerCase(), op, value: value.toLowerCase(), negate: !!neg });
+    }
+    return { terms, errors };
+  }
+
+  function searchContext() {
+    const users = read(KEYS.users, []).map(publicUser);
+    const person = (id) => { const u = users.find(x => x.id === id); return u ? `${u.name} ${u.email}` : ''; };
+    return { users, person, contractors: read(KEYS.contractors, []) };
+  }
+
+  function haystack(type, r, ctx) {
+    const parts = {
+      project: () => [r.id, r.location, r.materials, r.status, ctx.person(r.customerId), ctx.person(r.referrerId), SEARCH_FIELDS.contractor.get.project(r, ctx)],
+      lead: () => [r.id, r.email, r.notes, r.status, ctx.person(r.referrerId)],
+      user: () => [r.id, r.name, r.email, r.role],
+      note: () => [r.text, r.parentLabel]
+    }[type]();
+    return parts.filter(Boolean).join(' ').toLowerCase();
+  }
+
+  // true/false, or null when the term's field doesn't apply to this record type
+  function matchTerm(type, r, term, ctx) {
+    if (!term.field) return haystack(type, r, ctx).includes(term.value) !== term.negate;
+    const def = SEARCH_FIELDS[term.field];
+    const get = def.get[type];
+    if (!get) return null;
+    const v = get(r, ctx);
+    let hit;
+    if (def.kind === 'text') hit = String(v ?? '').toLowerCase().includes(term.value);
+    else if (def.kind === 'enum') hit = String(v ?? '').toLowerCase() === term.value;
+    else if (def.kind === 'bool') hit = !!v === ['yes', 'true'].includes(term.value);
+    else {
+      const a = def.kind === 'date' ? String(v || '').slice(0, 10) : Number(v);
+      const b = def.kind === 'date' ? term.value.slice(0, 10) : Number(term.value);
+      hit = { ':': a === b, '>': a > b, '>=': a >= b, '<': a < b, '<=': a <= b }[term.op];
+    }
+    return hit !== term.negate;
+  }
+
+  function matchesAll(type, r, terms, ctx) { return terms.every(t => matchTerm(type, r, t, ctx) === true); }
+
+  // Filters records of one type by a query; an unparseable term is ignored rather than hiding everything
+  function queryRecords(type, records, query) {
+    const { terms } = parseQuery(query);
+    if (!terms.length) return records;
+    const ctx = searchContext();
+    return records.filter(r => matchesAll(type, r, terms, ctx));
+  }
+
+  // Records of each type the signed-in user may see
+  function searchable(session) {
+    const admin = session.role === 'admin';
+    const mine = (p) => admin || p.customerId === session.id || p.referrerId === session.id;
+    const projects = read(KEYS.projects, []).filter(mine);
+    const leads = read(KEYS.leads, []).filter(l => admin || l.referrerId === session.id);
+    const notes = [
+      ...leads.filter(l => l.notes).map(l => ({ id: `${l.id}:notes`, text: l.notes, status: l.status, at: l.createdAt, parentType: 'lead', parentId: l.id, parentLabel: l.email })),
+      ...projects.flatMap(p => (p.changeOrders || []).map(co => ({ id: co.id, text: [co.reason, co.scope, co.decisionNote].filter(Boolean).join(' — '), status: co.status, at: co.raisedAt, parentType: 'project', parentId: p.id, parentLabel: p.location }))),
+      ...(admin ? read(KEYS.disputes, []).filter(d => d.decision).map(d => ({ id: d.id, text: d.decision.note, status: d.status, at: d.decision.decidedAt, parentType: 'dispute', parentId: d.id, parentLabel: d.email })) : [])
+    ];
+    return {
+      project: projects,
+      lead: leads,
+      user: read(KEYS.users, []).map(publicUser).filter(u => admin || u.id === session.id),
+      note: notes
+    };
+  }
+
+  function searchAll(query) {
+    const session = getSession();
+    const { terms, errors } = parseQuery(query);
+    const groups = Object.fromEntries(SEARCH_TYPES.map(t => [t, []]));
+    if (!session || !terms.length) return { query, terms, errors, groups, total: 0 };
+    const ctx = searchContext();
+    const pool = searchable(session);
+    SEARCH_TYPES.forEach(type => { groups[type] = pool[type].filter(r => matchesAll(type, r, terms, ctx)); });
+    return { query, terms, errors, groups, total: SEARCH_TYPES.reduce((n, t) => n + groups[t].length, 0) };
+  }
+
+  // Completions for the term being typed: field names, then values seen in the data for that field
+  function searchSuggestions(token) {
+    const session = getSession();
+    const [, neg = '', field, partial] = String(token || '').match(/^(-)?(?:([a-z]+):)?(.*)$/i);
+    if (!field) {
+      return Object.entries(SEARCH_FIELDS).filter(([name]) => name.startsWith(partial.toLowerCase()))
+        .map(([name, def]) => ({ value: `${neg}${name}:`, label: def.label }));
+    }
+    const def = SEARCH_FIELDS[field.toLowerCase()];
+    if (!def || !session || ['number', 'date'].includes(def.kind)) return [];
+    const values = def.kind === 'bool' ? ['yes', 'no'] : (() => {
+      const ctx = searchContext();
+      const pool = searchable(session);
+      const seen = new Set();
+      Object.entries(def.get).forEach(([type, get]) => pool[type].forEach(r => {
+        const v = get(r, ctx);
+        // person fields hold "name email"; suggest the name
+        if (v) seen.add(field === 'referrer' || field === 'customer' ? v.split(' ').slice(0, -1).join(' ') : String(v));
+      }));
+      return [...seen];
+    })();
+    const needle = partial.replace(/^"/, '').toLowerCase();
+    return values.filter(v => v.toLowerCase().includes(needle)).slice(0, 8)
+      .map(v => ({ value: `${neg}${field}:${/\s/.test(v) ? `"${v}"` : v}`, label: v }));
+  }
+
+  function searchFields() { return Object.entries(SEARCH_FIELDS).map(([name, def]) => ({ name, label: def.label, kind: def.kind, types: Object.keys(def.get) })); }
+
+  // Saved searches live on the user record
+  function savedSearches(userId) { return (read(KEYS.users, []).find(u => u.id === userId) || {}).savedSearches || []; }
+
+  function saveSearch(userId, name, query) {
+    const users = read(KEYS.users, []);
+    const u = users.find(x => x.id === userId);
+    if (!u) return { error: 'User not found' };
+    if (!(name || '').trim()) return { error: 'Name the search' };
+    const parsed = parseQuery(query);
+    if (parsed.errors.length) return { error: parsed.errors[0] };
+    if (!parsed.terms.length) return { error: 'The query is empty' };
+    const list = u.savedSearches || [];
+    const existing = list.find(x => x.name.toLowerCase() === name.trim().toLowerCase());
+    if (!existing && list.length >= 20) return { error: 'Up to 20 saved searches; delete one first' };
+    const saved = existing || { id: uid('q_'), name: name.trim(), createdAt: now() };
+    saved.query = query.trim();
+    u.savedSearches = existing ? list : [...list, saved];
+    write(KEYS.users, users);
+    return { ok: true, search: saved };
+  }
+
+  function deleteSavedSearch(userId, searchId) {
+    const users = read(KEYS.users, []);
+    const u = users.find(x => x.id === userId);
+    if (!u || !(u.savedSearches || []).some(x => x.id === searchId)) return { error: 'Saved search not found' };
+    u.savedSearches = u.savedSearches.filter(x => x.id !== searchId);
+    write(KEYS.users, users);
+    return { ok: true };
+  }
+
+  // Bulk actions
+  // A bulk action runs the single-record mutation for each selected id in one operation and one batch,
+  // so the whole selection commits together, is announced with one sync message and undoes as a single
+  // step. It is all or nothing: if any item fails, nothing is stored and every item's outcome is reported.
+  // A preview runs exactly the same batch and throws it away, so it reports the same failures.
+  const BULK_ACTIONS = {
+    approve: { entity: 'project', action: 'project.update', past: 'approved',
+      run: (id) => {
+        const p = read(KEYS.projects, []).find(x => x.id === id);
+        if (p && p.verified) return { error: 'Already approved' };
+        return updateProject(id, { verified: true, status: 'approved' });
+      } },
+    assign: { entity: 'project', action: 'project.update', past: 'assigned a contractor to',
+      check: ({ contractorId }) => read(KEYS.contractors, []).some(c => c.id === contractorId) ? null : 'Pick a contractor',
+      run: (id, { contractorId, force }) => {
+        const p = read(KEYS.projects, []).find(x => x.id === id);
+        if (p && p.assignedContractorId === contractorId) return { error: 'Already assigned' };
+        return assignContractor(id, contractorId, { force: !!force });
+      } },
+    commission: { entity: 'project', action: 'project.update', past: 'changed the commission on',
+      check: ({ percent }) => validateProjectFields({ commissionPercent: percent }),
+      run: (id, { percent }) => {
+        const p = read(KEYS.projects, []).find(x => x.id === id);
+        if (p && p.commissionPercent === percent) return { error: `Already at ${percent}%` };
+        return updateProject(id, { commissionPercent: percent });
+      } },
+    convert: { entity: 'lead', action: 'lead.convert', past: 'converted',
+      check: ({ budget, currency }) => validateProjectFields({ budget, ...(currency && { currency }) }),
+      // customers get the local part of their email as a name until they sign up
+      run: (id, { budget, currency, stageTemplate }) => {
+        const lead = read(KEYS.leads, []).find(l => l.id === id);
+        return convertLeadToProject(id, lead ? lead.email.split('@')[0] : '', budget, { currency, stageTemplate });
+      } },
+    lost: { entity: 'lead', action: 'lead.move', past: 'marked lost',
+      check: ({ reason }) => (reason || '').trim() ? null : 'A reason is required to mark a lead lost',
+      run: (id, { reason }) => moveLead(id, 'lost', { reason }) }
+  };
+
+  function checkBulk(action, ids, params) {
+    const def = BULK_ACTIONS[action];
+    if (!def) return { error: `Unknown bulk action "${action}"` };
+    const denied = authorize(def.action);
+    if (denied) return denied;
+    if (!Array.isArray(ids) || !ids.length) return { error: 'Select at least one record' };
+    const invalid = def.check && def.check(params);
+    return invalid ? { error: invalid } : null;
+  }
+
+  // Per-item outcomes; must run inside a batch and an operation
+  function runBulk(def, ids, params) {
+    return [...new Set(ids)].map(id => {
+      const before = new Map(batch);
+      const events = op.events.length;
+      const res = def.run(id, params) || { error: 'Not found' };
+      if (res.error) {
+        batch = before;
+        op.events.length = events;
+      } else {
+        // the bulk event narrates the action; per-item events still reach subscribers, silently
+        op.events.slice(events).forEach(e => { e.summary = null; });
+      }
+      return { id, label: recordLabel(def.entity, id), ok: !res.error, error: res.error || null };
+    });
+  }
+
+  function bulkResult(action, items) {
+    const applied = items.filter(i => i.ok).length;
+    return { ok: true, action, items, applied, failed: items.length - applied };
+  }
+
+  // What applyBulk would do, without writing anything
+  function previewBulk(action, ids, params = {}) {
+    const invalid = checkBulk(action, ids, params);
+    if (invalid) return invalid;
+    const items = inOperation(() => inBatch(() => runBulk(BULK_ACTIONS[action], ids, params), { discard: true }), { quiet: true });
+    return bulkResult(action, items);
+  }
+
+  function applyBulk(action, ids, params = {}) {
+    const invalid = checkBulk(action, ids, params);
+    if (invalid) return invalid;
+    const def = BULK_ACTIONS[action];
+    let failed = null;
+    return inOperation(() => {
+      try {
+        return inBatch(() => {
+          const result = bulkResult(action, runBulk(def, ids, params));
+          if (result.failed) throw (failed = { ...result, ok: false, applied: 0, error: `Nothing was changed: ${result.failed} of ${result.items.length} selected ${def.entity}s failed` });
+          emit('bulk.applied', { entityType: 'bulk', entityId: uid('b_'), action, applied: result.applied, failed: 0, summary: `${def.past} ${result.applied} ${def.entity}${result.applied === 1 ? '' : 's'}` });
+          return result;
+        });
+      } catch (e) {
+        if (e === failed) return failed;
+        return { error: `Nothing was changed: ${e.message}` };
+      }
+    }, { journal: def.action });
+  }
+
+  // Reports
+  // Each dataset is { columns: [{ key, label }], rows: [...] } so the view can chart it and export it
+  // as CSV. from/to ('YYYY-MM-DD', inclusive) filter on the date each dataset is about; money is
+  // converted into the report currency at the rate on that date, and amounts without a rate are
+  // counted in `unconverted` instead of the totals.
+  function buildReports({ from, to, currency } = {}) {
+    const cur = currency || defaultCurrency();
+    const inRange = (iso) => !!iso && (!from || iso.slice(0, 10) >= from) && (!to || iso.slice(0, 10) <= to);
+    let unconverted = 0;
+    const money = (amount, fromCurrency, date) => {
+      const v = convertMinor(amount, fromCurrency || defaultCurrency(), cur, date);
+      if (v === null) unconverted++;
+      return v;
+    };
+    const users = read(KEYS.users, []);
+    const leads = read(KEYS.leads, []);
+    const projects = read(KEYS.projects, []);
+    const entries = read(KEYS.commissions, []);
+    const nameOf = (id) => (users.find(u => u.id === id) || { name: '—' }).name;
+
+    const referrerIds = [...new Set(leads.filter(l => inRange(l.createdAt)).map(l => l.referrerId))];
+    const conversion = referrerIds.map(id => {
+      const own = leads.filter(l => l.referrerId === id && inRange(l.createdAt));
+      const converted = own.filter(l => l.status === 'converted').length;
+      return { referrer: nameOf(id), leads: own.length, converted, lost: own.filter(l => l.status === 'lost').length, rate: own.length ? Math.round(converted / own.length * 1000) / 10 : 0 };
+    }).sort((a, b) => b.rate - a.rate);
+
+    // earned = tranches (net of reversals) becoming payable in the month; paid = payouts in the month
+    const months = {};
+    const month = (key) => months[key] = months[key] || { month: key, earned: 0, paid: 0 };
+    entries.forEach(e => {
+      if (e.payableAt && inRange(e.payableAt)) month(e.payableAt.slice(0, 7)).earned += money(e.amount, e.currency, e.payableAt) || 0;
+      if (e.payout && inRange(e.payout.date)) month(e.payout.date.slice(0, 7)).paid += money(e.payout.amount, e.payout.currency || e.currency, e.payout.date) || 0;
+    });
+    const commission = Object.values(months).sort((a, b) => a.month.localeCompare(b.month));
+
+    const scoped = projects.filter(p => inRange(p.createdAt));
+    const pipeline = ['pending', 'approved', 'in-progress', 'completed'].concat([...new Set(scoped.map(p => p.status))])
+      .filter((st, i, all) => all.indexOf(st) === i)
+      .map(status => {
+        const list = scoped.filter(p => p.status === status);
+        return { status, projects: list.length, value: list.reduce((a, p) => a + (money(p.budget, p.currency, p.createdAt) || 0), 0) };
+      });
+
+    const stageStats = {};
+    projects.forEach(p => projectSchedule(p).stages.forEach(st => {
+      if (!st.actualStart || !st.actualEnd || !inRange(st.actualEnd)) return;
+      const row = stageStats[st.label] = stageStats[st.label] || { stage: st.label, completed: 0, actualDays: 0, plannedDays: 0 };
+      row.completed++;
+      row.actualDays += daysBetween(st.actualStart, st.actualEnd);
+      row.plannedDays += daysBetween(st.plannedStart, st.plannedEnd);
+    }));
+    const stages = Object.values(stageStats).map(r => ({ stage: r.stage, completed: r.completed, avgActualDays: Math.round(r.actualDays / r.completed * 10) / 10, avgPlannedDays: Math.round(r.plannedDays / r.completed * 10) / 10 }));
+
+    const tiers = [...new Set(scoped.map(p => p.materials || 'Standard'))].sort().map(materials => {
+      const list = scoped.filter(p => (p.materials || 'Standard') === materials);
+      const budgets = list.map(p => money(p.budget, p.currency, p.createdAt)).filter(v => v !== null).sort((a, b) => a - b);
+      if (!budgets.length) return { materials, projects: list.length, min: null, median: null, max: null, total: 0 };
+      return { materials, projects: list.length, min: budgets[0], median: budgets[Math.floor((budgets.length - 1) / 2)], max: budgets[budgets.length - 1], total: budgets.reduce((a, b) => a + b, 0) };
+    });
+
+    return {
+      currency: cur,
+      from: from || null,
+      to: to || null,
+      unconverted,
+      conversion: { columns: [{ key: 'referrer', label: 'Referrer' }, { key: 'leads', label: 'Leads' }, { key: 'converted', label: 'Converted' }, { key: 'lost', label: 'Lost' }, { key: 'rate', label: 'Conversion %' }], rows: conversion },
+      commission: { columns: [{ key: 'month', label: 'Month' }, { key: 'earned', label: 'Earned', money: true }, { key: 'paid', label: 'Paid', money: true }], rows: commission },
+      pipeline: { columns: [{ key: 'status', label: 'Status' }, { key: 'projects', label: 'Projects' }, { key: 'value', label: 'Value', money: true }], rows: pipeline },
+      stages: { columns: [{ key: 'stage', label: 'Stage' }, { key: 'completed', label: 'Completed' }, { key: 'avgActualDays', label: 'Avg actual days' }, { key: 'avgPlannedDays', label: 'Avg planned days' }], rows: stages },
+      materials: { columns: [{ key: 'materials', label: 'Material tier' }, { key: 'projects', label: 'Projects' }, { key: 'min', label: 'Min', money: true }, { key: 'median', label: 'Median', money: true }, { key: 'max', label: 'Max', money: true }, { key: 'total', label: 'Total', money: true }], rows: tiers }
+    };
+  }
+
+  function writeDefaults(obj) { write(KEYS.defaults, obj); return { ok: true }; }
   function getSessionExtern() { return getSession(); }
-  function clearAll() { localStorage.removeItem(KEYS.users); localStorage.removeItem(KEYS.projects); localStorage.removeItem(KEYS.leads); localStorage.removeItem(KEYS.defaults); sessionStorage.removeItem(KEYS.session); BC.postMessage({ type: 'cleared' }); }
+  function clearAll() { storedKeys().forEach(k => store.removeItem(k)); sessionStorage.removeItem(KEYS.session); BC.postMessage({ type: 'cleared' }); }
 
   // Demo seed
+  const DEMO_PASSWORD = 'demo1234';
   function seedDemo() {
     if (read(KEYS.users, []).length) return;
-    const u1 = { id: uid('u_'), email: 'alice@ref.com', name: 'Alice Referrer', role: 'referrer', createdAt: now() };
-    const u2 = { id: uid('u_'), email: 'bob@admin.com', name: 'Bob Admin', role: 'admin', createdAt: now() };
-    const u3 = { id: uid('u_'), email: 'carl@cust.com', name: 'Carl Customer', role: 'customer', createdAt: now() };
+    // every demo account signs in with DEMO_PASSWORD; the hash is precomputed so seeding stays synchronous
+    const credentials = { algo: 'PBKDF2-SHA256', iterations: PBKDF2_ITERATIONS, salt: 'c7f2a9e14b6d3085f1e2a7c4d9b60e13', hash: '5f84a55a8f318356b8c525b9565722668aa3d19c82fc8099811e4fd58d1c3dcb' };
+    const auth = { failedAttempts: 0, lockedUntil: null, reset: null };
+    const u1 = { id: uid('u_'), email: 'alice@ref.com', name: 'Alice Referrer', role: 'referrer', createdAt: now(), credentials, auth };
+    const u2 = { id: uid('u_'), email: 'bob@admin.com', name: 'Bob Admin', role: 'admin', createdAt: now(), credentials, auth };
+    const u3 = { id: uid('u_'), email: 'carl@cust.com', name: 'Carl Customer', role: 'customer', createdAt: now(), credentials, auth };
     write(KEYS.users, [u1, u2, u3]);
-    write(KEYS.leads, [{ id: uid('l_'), referrerId: u1.id, email: 'lead1@example.com', notes: 'Interested in 3BHK', status: 'new', createdAt: now(), convertedProjectId: null }]);
+    write(KEYS.fxRates, ['EUR:0.92', 'GBP:0.79', 'INR:83.2', 'AED:3.6725'].map(pair => {
+      const [quote, rate] = pair.split(':');
+      return { id: uid('fx_'), base: 'USD', quote, rate: Number(rate), effectiveFrom: '2026-01-01', createdAt: now(), createdBy: null };
+    }));
+    write(KEYS.contractors, [
+      { id: uid('k_'), name: 'Ridge Builders', trade: 'General', phone: '555-0101', email: 'ops@ridge.example', maxConcurrent: 3, available: true, createdAt: now() },
+      { id: uid('k_'), name: 'Volt Electric', trade: 'Electrical', phone: '555-0144', email: 'jobs@volt.example', maxConcurrent: 2, available: true, createdAt: now() }
+    ]);
+    write(KEYS.leads, [{ id: uid('l_'), referrerId: u1.id, email: 'lead1@example.com', notes: 'Interested in 3BHK', status: 'new', createdAt: now(), convertedProjectId: null, lostReason: null, history: [{ from: null, to: 'new', at: now(), actorId: u1.id, actorName: u1.name, reason: null }] }]);
     write(KEYS.projects, [{
       id: uid('p_'),
       customerId: u3.id,
       createdAt: now(),
       location: 'Greenhill Estate',
       plot: 120,
-      budget: 42000,
+      currency: 'USD',
+      budget: 4200000,
+      originalBudget: 4200000,
+      changeOrders: [],
       materials: 'Premium',
       timeline: 16,
       status: 'pending',
       verified: false,
-      assignedContractor: null,
+      assignedContractorId: null,
       referrerId: u1.id,
       commissionPercent: 7,
-      stages: [{ key:'foundation',label:'Foundation',done:true }, { key:'framing',label:'Framing',done:false }, { key:'roof',label:'Roof',done:false }, { key:'finishing',label:'Finishing',done:false }]
+      commissionRule: { source: 'manual', rate: 7, ruleIds: [], steps: ['Demo seed rate'], evaluatedAt: now() },
+      stageTemplate: 'new-build',
+      stages: DEFAULT_STAGE_TEMPLATES[0].stages.map((st, i) => ({ ...st, ...NO_DATES, done: i === 0, tasks: st.tasks.map(label => ({ label, done: i === 0 })) }))
     }]);
   }
 
+  // Schema versioning
+  // Storage keys keep their historical _v3 suffix; record shapes are versioned by SCHEMA_KEY instead.
+  // Migrations run in order on load, each one after a backup of the data stores (the audit log is left out:
+  // migrations don't touch it); a failure restores the backup, stops the run, leaves CRCData read-only
+  // and is reported through schemaStatus(). Only the newest backup is kept.
+  const SCHEMA_KEY = 'crc_schema_version';
+  const BACKUP_PREFIX = 'crc_backup_';
+  const MAX_BACKUPS = 1;
+  const MIGRATIONS = [
+    {
+      version: 1,
+      description: 'Backfill stage commission shares and commission rate source on projects',
+      up() {
+        const projects = readStrict(KEYS.projects);
+        projects.forEach(p => {
+          const shares = stageShares(p);
+          (p.stages || []).forEach((st, i) => { if (typeof st.share !== 'number') st.share = DEFAULT_STAGES.find(d => d.key === st.key && p.stages.length === DEFAULT_STAGES.length)?.share ?? shares[i]; });
+          if (p.commissionRule === undefined) p.commissionRule = { source: 'legacy', rate: p.commissionPercent, ruleIds: [], steps: ['Rate set before commission rules existed'], evaluatedAt: p.createdAt };
+        });
+        write(KEYS.projects, projects);
+      }
+    },
+    {
+      version: 2,
+      description: 'Record conversion date on converted leads',
+      up() {
+        const leads = readStrict(KEYS.leads);
+        leads.forEach(l => { if (l.status === 'converted' && !l.convertedAt) l.convertedAt = l.createdAt; });
+        write(KEYS.leads, leads);
+      }
+    },
+    {
+      version: 3,
+      description: 'Start a stage history on every lead for the lead pipeline',
+      up() {
+        const leads = readStrict(KEYS.leads);
+        leads.forEach(l => {
+          if (Array.isArray(l.history)) return;
+          l.history = [{ from: null, to: 'new', at: l.createdAt, actorId: l.referrerId, actorName: 'migration', reason: null }];
+          if (l.status === 'converted') l.history.push({ from: 'new', to: 'converted', at: l.convertedAt || l.createdAt, actorId: null, actorName: 'migration', reason: null });
+          if (l.lostReason === undefined) l.lostReason = null;
+        });
+        write(KEYS.leads, leads);
+      }
+    },
+    {
+      version: 4,
+      description: 'Move free-text contractor names on projects into the contractor registry',
+      up() {
+        const projects = readStrict(KEYS.projects);
+        const contractors = readStrict(KEYS.contractors);
+        projects.forEach(p => {
+          const name = (p.assignedContractor || '').trim();
+          if (!('assignedContractorId' in p)) p.assignedContractorId = null;
+          if (name) {
+            let c = contractors.find(x => x.name.toLowerCase() === name.toLowerCase());
+            if (!c) { c = { id: uid('k_'), name, trade: 'General', phone: '', email: '', maxConcurrent: 3, available: true, createdAt: now() }; contractors.push(c); }
+            p.assignedContractorId = c.id;
+          }
+          delete p.assignedContractor;
+        });
+        write(KEYS.contractors, contractors);
+        write(KEYS.projects, projects);
+      }
+    },
+    {
+      version: 5,
+      description: 'Record the stage template on projects and give every stage a duration and task list',
+      up() {
+        const projects = readStrict(KEYS.projects);
+        const builtIn = DEFAULT_STAGE_TEMPLATES[0];
+        projects.forEach(p => {
+          const stages = p.stages || [];
+          if (!('stageTemplate' in p)) p.stageTemplate = stages.map(st => st.key).join() === builtIn.stages.map(st => st.key).join() ? builtIn.key : null;
+          stages.forEach(st => {
+            if (!('durationDays' in st)) st.durationDays = (builtIn.stages.find(x => x.key === st.key) || { durationDays: 30 }).durationDays;
+            if (!Array.isArray(st.tasks)) st.tasks = [];
+          });
+        });
+        write(KEYS.projects, projects);
+      }
+    },
+    {
+      version: 6,
+      description: 'Add planned and actual date fields to project stages',
+      up() {
+        const projects = readStrict(KEYS.projects);
+        projects.forEach(p => (p.stages || []).forEach(st => DATE_FIELDS.forEach(f => { if (!(f in st)) st[f] = null; })));
+        write(KEYS.projects, projects);
+      }
+    },
+    {
+      version: 7,
+      description: 'Record the original budget and an empty change order list on projects',
+      up() {
+        const projects = readStrict(KEYS.projects);
+        projects.forEach(p => {
+          if (!('originalBudget' in p)) p.originalBudget = p.budget || 0;
+          if (!Array.isArray(p.changeOrders)) p.changeOrders = [];
+        });
+        write(KEYS.projects, projects);
+      }
+    },
+    {
+      version: 8,
+      description: 'Store money as integer minor units and record the currency of projects, ledger entries and rules (existing data is USD)',
+      up() {
+        const cents = (v) => v == null ? v : Math.round(Number(v) * 100);
+        const defaults = readStrict(KEYS.defaults, {});
+        const projects = readStrict(KEYS.projects);
+        const entries = readStrict(KEYS.commissions);
+        const rules = readStrict(KEYS.rules);
+        projects.forEach(p => {
+          p.currency = p.currency || 'USD';
+          p.budget = cents(p.budget || 0);
+          p.originalBudget = cents(p.originalBudget ?? 0);
+          (p.changeOrders || []).forEach(co => { co.delta = cents(co.delta || 0); });
+        });
+        entries.forEach(e => {
+          e.currency = e.currency || 'USD';
+          e.amount = cents(e.amount || 0);
+          if (e.payout) Object.assign(e.payout, { amount: cents(e.payout.amount || 0), currency: e.payout.currency || e.currency });
+        });
+        rules.forEach(r => {
+          RULE_MONEY_FIELDS.forEach(f => { if (r[f] != null) r[f] = cents(r[f]); });
+          r.currency = r.currency || 'USD';
+        });
+        write(KEYS.defaults, { ...defaults, currency: defaults.currency || 'USD' });
+        write(KEYS.projects, projects);
+        write(KEYS.commissions, entries);
+        write(KEYS.rules, rules);
+      }
+    },
+    {
+      version: 9,
+      description: 'Give projects and leads a version number for optimistic concurrency',
+      up() {
+        [KEYS.projects, KEYS.leads].forEach(k => {
+          const records = readStrict(k);
+          records.forEach(x => { if (x.version == null) x.version = 1; });
+          write(k, records);
+        });
+      }
+    }
+  ];
+  const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+  const schema = { version: 0, latest: SCHEMA_VERSION, applied: [], error: null, backupKey: null };
+
+  function storedKeys() { return Object.values(KEYS).filter(k => k !== KEYS.session); }
+  function backedUpKeys() { return storedKeys().filter(k => k !== KEYS.audit); }
+
+  function backupStores(label) {
+    const key = `${BACKUP_PREFIX}${label}_${Date.now()}`;
+    const data = {};
+    backedUpKeys().forEach(k => { const raw = store.getItem(k); if (raw !== null) data[k] = raw; });
+    // make room first so there are never more than MAX_BACKUPS copies in storage
+    listBackups().slice(MAX_BACKUPS - 1).forEach(b => store.removeItem(b.key));
+    store.setItem(key, JSON.stringify({ createdAt: now(), label, schemaVersion: schema.version, data }));
+    return key;
+  }
+
+  // Newest first
+  function listBackups() {
+    const out = [];
+    for (const key of store.keys()) {
+      if (!key.startsWith(BACKUP_PREFIX)) continue;
+      const b = read(key, null);
+      if (b) out.push({ key, createdAt: b.createdAt, label: b.label, schemaVersion: b.schemaVersion });
+    }
+    return out.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  function restoreBackup(key) {
+    const b = read(key, null);
+    if (!b || !b.data) return { error: 'Backup not found' };
+    backedUpKeys().forEach(k => { if (b.data[k] === undefined) store.removeItem(k); else store.setItem(k, b.data[k]); });
+    store.setItem(SCHEMA_KEY, String(b.schemaVersion));
+    schema.version = b.schemaVersion;
+    BC.postMessage({ type: 'sync', key: '*', ts: now() });
+    return { ok: true };
+  }
+
+  function runMigrations() {
+    const stored = store.getItem(SCHEMA_KEY);
+    const hasData = [KEYS.users, KEYS.projects, KEYS.leads].some(k => store.getItem(k) !== null);
+    // fresh installs start at the latest shape
+    schema.version = stored === null && !hasData ? SCHEMA_VERSION : Number(stored || 0);
+    for (const m of MIGRATIONS.filter(m => m.version > schema.version)) {
+      let backupKey = null;
+      migrating = true;
+      try {
+        backupKey = backupStores(`v${schema.version}`);
+        inOperation(m.up, { quiet: true });
+      } catch (e) {
+        if (backupKey) restoreBackup(backupKey);
+        schema.error = { version: m.version, description: m.description, message: e.message };
+        schema.backupKey = backupKey;
+        readOnly = `Stored data still needs the schema v${m.version} upgrade, which failed; changes are disabled until it is resolved (Settings › Storage schema)`;
+        console.error(`CRCData: migration to schema v${m.version} failed${backupKey ? '; data restored from ' + backupKey : ' before a backup could be taken'}`, e);
+        break;
+      } finally {
+        migrating = false;
+      }
+      schema.version = m.version;
+      schema.applied.push({ version: m.version, description: m.description, backupKey });
+      store.setItem(SCHEMA_KEY, String(m.version));
+    }
+    if (!schema.error) store.setItem(SCHEMA_KEY, String(schema.version));
+  }
+
+  function schemaStatus() { return { ...schema, readOnly, migrations: MIGRATIONS.map(({ version, description }) => ({ version, description })), storageErrors: storageErrors.slice() }; }
+
+  // Export / import
+  // A bundle holds every store (by KEYS name) with its record count and a SHA-256 checksum of the
+  // serialized data. Import validates and previews first; it then replaces everything or merges by id
+  // (incoming records win), after taking a backup. Users are exported without credentials or auth
+  // state; on import each user keeps the secrets stored here for the same id or email.
+  const BUNDLE_FORMAT = 'crc-backup';
+  const BUNDLE_VERSION = 1;
+
+  function sha256(text) { return crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)).then(toHex); }
+
+  function bundleStores() { return Object.keys(KEYS).filter(name => name !== 'session'); }
+
+  function exportBundle() {
+    const stores = {};
+    return Promise.all(bundleStores().map(name => {
+      const raw = store.getItem(KEYS[name]);
+      if (raw === null) return null;
+      const data = name === 'users' ? JSON.parse(raw).map(publicUser) : JSON.parse(raw);
+      return sha256(JSON.stringify(data)).then(checksum => {
+        stores[name] = { key: KEYS[name], count: Array.isArray(data) ? data.length : 1, checksum, data };
+      });
+    })).then(() => ({ format: BUNDLE_FORMAT, formatVersion: BUNDLE_VERSION, schemaVersion: schema.version, exportedAt: now(), stores }));
+  }
+
+  // Resolves to { ok, errors, schemaVersion, stores: { name: { incoming, existing, added, conflicts } } }
+  function validateBundle(bundle) {
+    const errors = [];
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) return Promise.resolve({ ok: false, errors: ['Not a CRC backup file'] });
+    if (bundle.formatVersion > BUNDLE_VERSION) errors.push(`Backup format v${bundle.formatVersion} is newer than this app supports`);
+    if (!(bundle.schemaVersion <= SCHEMA_VERSION)) errors.push(`Backup schema v${bundle.schemaVersion} is newer than this app (v${SCHEMA_VERSION})`);
+    const stores = {};
+    const names = Object.keys(bundle.stores || {});
+    const unknown = names.filter(n => !bundleStores().includes(n));
+    if (unknown.length) errors.push(`Unknown stores: ${unknown.join(', ')}`);
+    return Promise.all(names.filter(n => !unknown.includes(n)).map(name => {
+      const entry = bundle.stores[name];
+      const isList = name !== 'defaults';
+      if (isList !== Array.isArray(entry.data)) { errors.push(`${name}: expected ${isList ? 'a list' : 'an object'}`); return null; }
+      return sha256(JSON.stringify(entry.data)).then(sum => {
+        if (sum !== entry.checksum) errors.push(`${name}: checksum mismatch — the file was altered or truncated`);
+        const stored = read(KEYS[name], isList ? [] : {});
+        const current = name === 'users' ? stored.map(publicUser) : stored;
+        if (!isList) { stores[name] = { incoming: 1, existing: Object.keys(current).length ? 1 : 0, added: 0, conflicts: [] }; return; }
+        const byId = new Map(current.map(x => [x.id, x]));
+        const conflicts = entry.data.filter(x => byId.has(x.id) && JSON.stringify(byId.get(x.id)) !== JSON.stringify(x)).map(x => x.id);
+        stores[name] = { incoming: entry.data.length, existing: current.length, added: entry.data.filter(x => !byId.has(x.id)).length, conflicts };
+      });
+    })).then(() => ({ ok: !errors.length, errors, schemaVersion: bundle.schemaVersion, exportedAt: bundle.exportedAt, stores }));
+  }
+
+  // Incoming users take the credentials and auth state of the matching stored user, if any
+  function withStoredSecrets(users) {
+    const stored = read(KEYS.users, []);
+    return users.map(u => {
+      const match = stored.find(x => x.id === u.id) || findUserByEmail(stored, u.email);
+      return match ? { ...u, credentials: match.credentials, auth: match.auth } : u;
+    });
+  }
+
+  function importBundle(bundle, mode = 'merge') {
+    if (mode !== 'replace' && mode !== 'merge') return Promise.resolve({ error: 'Mode must be replace or merge' });
+    return validateBundle(bundle).then(report => {
+      if (!report.ok) return { error: report.errors.join('; '), report };
+      if (mode === 'merge' && bundle.schemaVersion !== schema.version) return { error: `Merging needs a backup from schema v${schema.version} (this one is v${bundle.schemaVersion}); use replace instead`, report };
+      const backupKey = backupStores('pre-import');
+      const incoming = { ...bundle.stores };
+      if (incoming.users) incoming.users = { ...incoming.users, data: withStoredSecrets(incoming.users.data) };
+      if (mode === 'replace') {
+        bundleStores().forEach(name => { if (incoming[name]) store.setItem(KEYS[name], JSON.stringify(incoming[name].data)); else store.removeItem(KEYS[name]); });
+      } else {
+        Object.keys(incoming).forEach(name => {
+          const current = read(KEYS[name], name === 'defaults' ? {} : []);
+          let merged;
+          if (name === 'defaults') merged = { ...current, ...incoming[name].data };
+          else {
+            const byId = new Map(current.map(x => [x.id, x]));
+            incoming[name].data.forEach(x => byId.set(x.id, x));
+            merged = Array.from(byId.values());
+          }
+          store.setItem(KEYS[name], JSON.stringify(merged));
+        });
+      }
+      // one summary entry instead of a diff per imported record
+      const session = getSession();
+      const log = read(KEYS.audit, []);
+      log.push({ id: uid('a_'), at: now(), actorId: session?.id ?? null, actorName: session?.name ?? 'system', entity: 'store', entityId: 'import', action: mode === 'replace' ? 'replace' : 'merge',
+        changes: Object.entries(report.stores).map(([name, st]) => ({ field: name, before: st.existing, after: mode === 'replace' ? st.incoming : st.existing + st.added })) });
+      store.setItem(KEYS.audit, JSON.stringify(log));
+      if (mode === 'replace') { store.setItem(SCHEMA_KEY, String(bundle.schemaVersion)); runMigrations(); }
+      BC.postMessage({ type: 'sync', key: '*', ts: now() });
+      return { ok: true, mode, backupKey, report, schema: schemaStatus() };
+    });
+  }
+
+  // Keep cached adapters coherent with writes made in other tabs
+  BC.addEventListener('message', (ev) => {
+    const d = ev.data || {};
+    if (!store.cached) return;
+    if (d.type === 'sync' && d.key === '*') store.load();
+    else if (d.type === 'sync' && 'raw' in d) { store.refresh(d.key, d.raw); if (d.auditAdded && d.auditAdded.length) store.refresh(KEYS.audit, JSON.stringify(appendToLog(d.auditAdded))); }
+    else if (d.type === 'sync' && d.raws) { Object.entries(d.raws).forEach(([k, raw]) => store.refresh(k, raw)); if (d.auditAdded && d.auditAdded.length) store.refresh(KEYS.audit, JSON.stringify(appendToLog(d.auditAdded))); }
+    else if (d.type === 'cleared') storedKeys().forEach(k => store.refresh(k, null));
+  });
+
+  // Events from other tabs; listeners registered after the cache listener above, so data is fresh
+  BC.addEventListener('message', (ev) => {
+    const d = ev.data || {};
+    if (d.type === 'event' && d.event) dispatch(d.event);
+  });
+
+  function storageInfo() { return { type: store.name, config: storageConfig, types: StorageAdapters.types }; }
+
+  // Copies every store into the target adapter, then saves it as the configured adapter (takes effect on reload)
+  function switchStorage(config, { copy = true } = {}) {
+    let target;
+    try { target = StorageAdapters.create(config, onStorageError); } catch(e) { return Promise.resolve({ error: e.message }); }
+    return target.load().then(() => {
+      if (copy) storedKeys().forEach(k => { const raw = store.getItem(k); if (raw === null) target.removeItem(k); else target.setItem(k, raw); });
+      return target.flush ? target.flush() : null;
+    }).then(() => {
+      StorageAdapters.saveConfig(config);
+      return { ok: true };
+    }).catch(e => ({ error: `Could not reach ${config.type} storage: ${e.message}` }));
+  }
+
+  // Resolves once the adapter has loaded, defaults exist and migrations have run
+  const ready = store.load().catch(e => {
+    onStorageError({ adapter: store.name, op: 'load', error: e.message });
+  }).then(() => {
+    if (!store.getItem(KEYS.defaults)) write(KEYS.defaults, { defaultCommission: 6, currency: 'USD' });
+    runMigrations();
+  });
+
+  // Permission policy
+  // Declarative role x action table: 'any' = every record, 'own' = records the user owns, 'none' = denied.
+  // Public actions need no session. Every exported mutation is checked against the stored user's role
+  // (not the role cached in the session); internal calls between CRCData functions are not re-checked.
+  const POLICY = {
+    'user.register': { description: 'Register an account', public: true },
+    'user.create': { description: 'Create users for others', admin: 'any', referrer: 'none', customer: 'none' },
+    'user.reset': { description: 'Issue password reset codes', admin: 'any', referrer: 'none', customer: 'none' },
+    'lead.create': { description: 'Submit a lead', admin: 'any', referrer: 'own', customer: 'none' },
+    'lead.convert': { description: 'Convert a lead to a project', admin: 'any', referrer: 'none', customer: 'none' },
+    'lead.move': { description: 'Move a lead through the pipeline', admin: 'any', referrer: 'none', customer: 'none' },
+    'pipeline.edit': { description: 'Configure the lead pipeline', admin: 'any', referrer: 'none', customer: 'none' },
+    'dispute.resolve': { description: 'Settle an attribution dispute', admin: 'any', referrer: 'none', customer: 'none' },
+    'referral.code': { description: 'Issue a referral code', admin: 'any', referrer: 'own', customer: 'none' },
+    'referral.manage': { description: 'Deactivate or regenerate referral codes', admin: 'any', referrer: 'none', customer: 'none' },
+    'referral.click': { description: 'Follow a referral link', public: true },
+    'contractor.manage': { description: 'Manage the contractor registry', admin: 'any', referrer: 'none', customer: 'none' },
+    'project.create': { description: 'Create a project', admin: 'any', referrer: 'none', customer: 'own' },
+    'project.update': { description: 'Edit, approve or assign a project', admin: 'any', referrer: 'none', customer: 'none' },
+    'stage.toggle': { description: 'Complete or reopen a stage', admin: 'any', referrer: 'none', customer: 'none' },
+    'changeorder.raise': { description: 'Raise a change order', admin: 'any', referrer: 'none', customer: 'own' },
+    'changeorder.decide': { description: 'Approve or reject a change order', admin: 'any', referrer: 'none', customer: 'own' },
+    'rates.edit': { description: 'Maintain exchange rates', admin: 'any', referrer: 'none', customer: 'none' },
+    'user.update': { description: 'Change profile settings', admin: 'any', referrer: 'own', customer: 'own' },
+    'notification.read': { description: 'Mark notifications as read', admin: 'own', referrer: 'own', customer: 'own' },
+    'history.undo': { description: 'Undo or redo your own recent changes', admin: 'any', referrer: 'any', customer: 'any' },
+    'stage.edit': { description: "Add, remove or reorder a project's stages", admin: 'any', referrer: 'none', customer: 'none' },
+    'templates.edit': { description: 'Manage stage templates', admin: 'any', referrer: 'none', customer: 'none' },
+    'commission.approve': { description: 'Approve a commission entry', admin: 'any', referrer: 'none', customer: 'none' },
+    'commission.pay': { description: 'Record a commission payout', admin: 'any', referrer: 'none', customer: 'none' },
+    'rules.edit': { description: 'Edit commission rules and defaults', admin: 'any', referrer: 'none', customer: 'none' },
+    'store.write': { description: 'Write a raw data store', admin: 'any', referrer: 'none', customer: 'none' },
+    'storage.manage': { description: 'Restore backups or switch storage', admin: 'any', referrer: 'none', customer: 'none' },
+    'data.clear': { description: 'Clear all demo data', admin: 'any', referrer: 'none', customer: 'none' },
+    'data.export': { description: 'Export a full backup', admin: 'any', referrer: 'none', customer: 'none' },
+    'data.import': { description: 'Preview and import a backup', admin: 'any', referrer: 'none', customer: 'none' }
+  };
+  const ROLES = ['admin', 'referrer', 'customer'];
+  // roles anyone can sign up for; admins are never self-registered
+  const SELF_SERVICE_ROLES = ['referrer', 'customer'];
+
+  // Returns null when allowed, otherwise a structured error
+  function authorize(action, ownerIds = []) {
+    const rule = POLICY[action];
+    if (!rule) return { error: `Unknown action "${action}"`, code: 'unknown-action', action };
+    if (rule.public) return null;
+    const session = getSession();
+    const user = session && read(KEYS.users, []).find(u => u.id === session.id);
+    if (!user) return { error: 'Sign in required', code: 'unauthenticated', action };
+    const scope = rule[user.role] || 'none';
+    if (scope === 'any' || (scope === 'own' && ownerIds.includes(user.id))) return null;
+    return { error: `Not permitted: ${user.role} cannot ${rule.description.toLowerCase()}${scope === 'own' ? ' for someone else' : ''}`, code: 'forbidden', action, role: user.role, scope };
+  }
+
+  function guard(action, owners, fn) {
+    return (...args) => {
+      const ownerIds = owners ? owners(...args) : [];
+      return authorize(action, ownerIds) || inOperation(() => fn(...args), { journal: UNDOABLE.has(action) ? action : null, ownerIds });
+    };
+  }
+
+  function projectOwners(projectId) {
+    const p = read(KEYS.projects, []).find(x => x.id === projectId);
+    return p ? [p.customerId, p.referrerId] : [];
+  }
+
+  function can(action, ownerIds) { return !authorize(action, ownerIds); }
+
+  function policyTable() { return { roles: ROLES, actions: Object.entries(POLICY).map(([action, rule]) => ({ action, ...rule })) }; }
+
   // Expose read-only helpers too
   return {
-    read, write, readObj, uid, now, registerUser, loginUser, addLead, addProject, updateProject,
-    toggleStage, convertLeadToProject, writeDefaults, setSession: setSessionExtern, getSession: getSessionExtern,
-    clearSession, clearAll, seedDemo, registerOrGetUserByEmail, KEYS
+    read: (k, fallback) => k === KEYS.users ? read(k, fallback).map(publicUser) : read(k, fallback),
+    readObj, uid, now, loginUser, requestPasswordReset, resetPassword, sessionState, touchSession,
+    getSession: getSessionExtern, clearSession, seedDemo: () => inOperation(seedDemo, { quiet: true }), subscribe, DEMO_PASSWORD, commissionAmount, stageCommission, commissionBalance, PAYOUT_METHODS, readRules,
+    evaluateCommission, RULE_TYPES, readAudit, onWriteError, schemaStatus, listBackups, SCHEMA_VERSION, storageInfo, ready,
+    can, policyTable, leadPipeline, isOpenLead, attributionSettings, resolveAttribution, referralStats, contractorLoad, CONTRACTOR_TRADES, stageTemplates, projectSchedule, contractValue,
+    CURRENCIES, toMinor, fromMinor, defaultCurrency, exchangeRate, convertMinor, commissionStatement, buildReports, KEYS,
+    notificationsFor, unreadCount, notificationPrefs, undoHistory,
+    parseQuery, queryRecords, searchAll, searchSuggestions, searchFields, savedSearches, previewBulk, applyBulk,
+    // guarded mutations
+    write: guard('store.write', null, write),
+    registerUser: guard('user.register', null, registerUser),
+    registerOrGetUserByEmail: guard('user.create', null, registerOrGetUserByEmail),
+    resetRequests: () => authorize('user.reset') ? [] : resetRequests(),
+    issueResetCode: (...args) => { const denied = authorize('user.reset'); return denied ? Promise.resolve(denied) : issueResetCode(...args); },
+    addLead: guard('lead.create', (referrerId) => [referrerId], addLead),
+    convertLeadToProject: guard('lead.convert', null, convertLeadToProject),
+    moveLead: guard('lead.move', null, moveLead),
+    saveLeadPipeline: guard('pipeline.edit', null, saveLeadPipeline),
+    saveAttributionSettings: guard('rules.edit', null, saveAttributionSettings),
+    resolveDispute: guard('dispute.resolve', null, resolveDispute),
+    ensureReferralCode: guard('referral.code', (referrerId) => [referrerId], ensureReferralCode),
+    setReferralCodeActive: guard('referral.manage', null, setReferralCodeActive),
+    regenerateReferralCode: guard('referral.manage', null, regenerateReferralCode),
+    saveContractor: guard('contractor.manage', null, saveContractor),
+    assignContractor: guard('project.update', projectOwners, assignContractor),
+    recordReferralClick: guard('referral.click', null, recordReferralClick),
+    addProject: guard('project.create', (customerId) => [customerId], addProject),
+    updateProject: guard('project.update', projectOwners, updateProjectExtern),
+    saveFxRate: guard('rates.edit', null, saveFxRate),
+    deleteFxRate: guard('rates.edit', null, deleteFxRate),
+    setPayoutCurrency: guard('user.update', (userId) => [userId], setPayoutCurrency),
+    setNotificationPrefs: guard('user.update', (userId) => [userId], setNotificationPrefs),
+    saveSearch: guard('user.update', (userId) => [userId], saveSearch),
+    deleteSavedSearch: guard('user.update', (userId) => [userId], deleteSavedSearch),
+    markNotificationsRead: guard('notification.read', (userId) => [userId], markNotificationsRead),
+    undo: guard('history.undo', null, undo),
+    redo: guard('history.undo', null, redo),
+    raiseChangeOrder: guard('changeorder.raise', projectOwners, raiseChangeOrder),
+    decideChangeOrder: guard('changeorder.decide', projectOwners, decideChangeOrder),
+    withdrawChangeOrder: guard('changeorder.raise', projectOwners, withdrawChangeOrder),
+    reapplyCommissionRules: guard('project.update', projectOwners, reapplyCommissionRules),
+    toggleStage: guard('stage.toggle', projectOwners, toggleStage),
+    toggleStageTask: guard('stage.toggle', projectOwners, toggleStageTask),
+    updateProjectStages: guard('stage.edit', projectOwners, updateProjectStages),
+    setStageDates: guard('stage.edit', projectOwners, setStageDates),
+    saveStageTemplates: guard('templates.edit', null, saveStageTemplates),
+    approveCommission: guard('commission.approve', null, approveCommission),
+    markCommissionPaid: guard('commission.pay', null, markCommissionPaid),
+    saveRules: guard('rules.edit', null, saveRules),
+    writeDefaults: guard('rules.edit', null, writeDefaults),
+    restoreBackup: guard('storage.manage', null, restoreBackup),
+    switchStorage: (...args) => { const denied = authorize('storage.manage'); return denied ? Promise.resolve(denied) : switchStorage(...args); },
+    clearAll: guard('data.clear', null, clearAll),
+    exportBundle: (...args) => { const denied = authorize('data.export'); return denied ? Promise.resolve(denied) : exportBundle(...args); },
+    validateBundle: (...args) => { const denied = authorize('data.import'); return denied ? Promise.resolve(denied) : validateBundle(...args); },
+    importBundle: (...args) => { const denied = authorize('data.import'); return denied ? Promise.resolve(denied) : importBundle(...args); }
   };
 })();
 
 // keep BC messages consumable by app.js
 BC.onmessage = (ev) => {
-  // listeners in app.js will subscribe to BroadcastChannel too
+  // listeners in app.js will subscribe to BroadcastChannel too; CRCData refreshes adapter caches itself
 };
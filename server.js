@@ -0,0 +1,130 @@
+/* server.js
+   Reference backend for the REST storage adapter in data.js
+   - Key/value API: GET /api/kv, GET|PUT|DELETE /api/kv/:key (values are raw JSON strings)
+   - Changes may name the value they replace (If-Match: "<sha256 of it>", or If-None-Match: * for a new
+     key); when that value is out of date the change is refused with 409, which carries the current value
+   - Persists to a JSON file (CRC_DATA_FILE, default ./crc-data.json)
+   - Also serves the static app files, so the dashboard can use it same-origin
+   - There is no authentication: it listens on 127.0.0.1 only (HOST overrides) and sends no CORS
+     headers unless CRC_ALLOWED_ORIGIN names the one origin allowed to call it cross-origin.
+     Never expose it beyond localhost.
+   Usage: node server.js [port]   (default 8787, or PORT)
+   No dependencies beyond Node's standard library.
+*/
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const HOST = process.env.HOST || '127.0.0.1';
+const ALLOWED_ORIGIN = process.env.CRC_ALLOWED_ORIGIN || null;
+const ROOT = __dirname;
+const DATA_FILE = path.resolve(process.env.CRC_DATA_FILE || path.join(ROOT, 'crc-data.json'));
+const MAX_BODY = 10 * 1024 * 1024;
+const STATIC = { '.html': 'text/html', '.js': 'text/javascript', '.css': 'text/css' };
+
+function load() {
+  try { return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')); } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`Could not read ${DATA_FILE}: ${e.message}`);
+    return {};
+  }
+}
+
+// write to a temp file and rename so a crash never leaves a half-written store
+function persist(data) {
+  const tmp = `${DATA_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, DATA_FILE);
+}
+
+const kv = load();
+
+// CORS only for the configured origin; everyone else must be same-origin
+function corsHeaders(req) {
+  if (!ALLOWED_ORIGIN || req.headers.origin !== ALLOWED_ORIGIN) return {};
+  return {
+    'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, If-Match, If-None-Match',
+    'Vary': 'Origin'
+  };
+}
+
+function send(res, status, body, type = 'application/json') {
+  res.writeHead(status, { 'Content-Type': type, ...corsHeaders(res.req) });
+  res.end(body);
+}
+
+const etag = (raw) => `"${crypto.createHash('sha256').update(raw).digest('hex')}"`;
+
+// true when the request names a value other than the stored one (someone else wrote in between)
+function stale(req, key) {
+  const current = key in kv ? etag(kv[key]) : null;
+  if (req.headers['if-match']) return req.headers['if-match'] !== current;
+  if (req.headers['if-none-match'] === '*') return current !== null;
+  return false;
+}
+
+function conflict(res, key) {
+  send(res, 409, JSON.stringify({ error: 'Changed since you read it', value: key in kv ? kv[key] : null }));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (c) => {
+      size += c.length;
+      if (size > MAX_BODY) { reject(new Error('Payload too large')); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function serveStatic(req, res, pathname) {
+  const file = path.join(ROOT, path.normalize(pathname === '/' ? '/index.html' : pathname));
+  const type = STATIC[path.extname(file)];
+  if (!file.startsWith(ROOT + path.sep) || !type) return send(res, 404, JSON.stringify({ error: 'Not found' }));
+  fs.readFile(file, (err, buf) => err ? send(res, 404, JSON.stringify({ error: 'Not found' })) : send(res, 200, buf, type));
+}
+
+async function handle(req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (req.method === 'OPTIONS') return send(res, 204, '');
+  if (!pathname.startsWith('/api/kv')) return serveStatic(req, res, pathname);
+
+  const key = decodeURIComponent(pathname.slice('/api/kv/'.length));
+  if (pathname === '/api/kv' || pathname === '/api/kv/') {
+    if (req.method !== 'GET') return send(res, 405, JSON.stringify({ error: 'Method not allowed' }));
+    return send(res, 200, JSON.stringify(kv));
+  }
+
+  if (req.method === 'GET') {
+    return key in kv ? send(res, 200, kv[key]) : send(res, 404, JSON.stringify({ error: 'Not found' }));
+  }
+  if (req.method === 'PUT') {
+    const body = await readBody(req);
+    try { JSON.parse(body); } catch (e) { return send(res, 400, JSON.stringify({ error: 'Value must be JSON' })); }
+    if (stale(req, key)) return conflict(res, key);
+    kv[key] = body;
+    persist(kv);
+    return send(res, 204, '');
+  }
+  if (req.method === 'DELETE') {
+    if (stale(req, key)) return conflict(res, key);
+    delete kv[key];
+    persist(kv);
+    return send(res, 204, '');
+  }
+  send(res, 405, JSON.stringify({ error: 'Method not allowed' }));
+}
+
+http.createServer((req, res) => {
+  handle(req, res).catch((e) => send(res, e.message === 'Payload too large' ? 413 : 500, JSON.stringify({ error: e.message })));
+}).listen(PORT, HOST, () => {
+  console.log(`CRC storage server on http://${HOST}:${PORT} (data: ${DATA_FILE})`);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('assert');
+const { loadData } = require('./load-data');
+
+const EMAIL = 'erin@example.com';
+const AT = new Date('2025-06-30T00:00:00.000Z');
+
+function lead(id, referrerId, createdAt, status = 'new') {
+  return { id, referrerId, email: EMAIL, status, createdAt, history: [] };
+}
+
+async function setup({ leads, disputes = [], attribution }) {
+  const { CRCData, internal } = loadData();
+  await CRCData.ready;
+  const write = internal('write');
+  const { KEYS } = CRCData;
+  write(KEYS.leads, leads);
+  write(KEYS.disputes, disputes);
+  if (attribution) write(KEYS.defaults, { ...CRCData.readObj(KEYS.defaults, {}), attribution });
+  return CRCData;
+}
+
+test('first-touch credits the earliest claim inside the window', async () => {
+  const CRCData = await setup({ leads: [
+    lead('l_old', 'u_a', '2025-01-10T00:00:00.000Z'),
+    lead('l_first', 'u_b', '2025-05-01T00:00:00.000Z'),
+    lead('l_last', 'u_c', '2025-06-01T00:00:00.000Z')
+  ] });
+  const res = CRCData.resolveAttribution(EMAIL, AT);
+  assert.strictEqual(res.winner.id, 'l_first');
+  assert.strictEqual(res.model, 'first-touch');
+  assert.strictEqual(res.windowDays, 90);
+  assert.strictEqual(res.claims.length, 3);
+  assert.strictEqual(res.eligible.map(l => l.id).join(), 'l_first,l_last');
+  assert.strictEqual(res.reason, 'first-touch within 90 days');
+});
+
+test('last-touch credits the latest claim inside the window', async () => {
+  const CRCData = await setup({ attribution: { model: 'last-touch', windowDays: 90 }, leads: [
+    lead('l_first', 'u_b', '2025-05-01T00:00:00.000Z'),
+    lead('l_last', 'u_c', '2025-06-01T00:00:00.000Z')
+  ] });
+  assert.strictEqual(CRCData.resolveAttribution(EMAIL, AT).winner.id, 'l_last');
+});
+
+test('lost leads are not claims and nobody wins outside the window', async () => {
+  const CRCData = await setup({ attribution: { model: 'first-touch', windowDays: 30 }, leads: [
+    lead('l_lost', 'u_b', '2025-06-20T00:00:00.000Z', 'lost'),
+    lead('l_old', 'u_c', '2025-04-01T00:00:00.000Z')
+  ] });
+  const res = CRCData.resolveAttribution(EMAIL, AT);
+  assert.strictEqual(res.winner, null);
+  assert.strictEqual(res.claims.length, 1);
+  assert.strictEqual(res.eligible.length, 0);
+});
+
+test('a resolved dispute overrides the attribution rules', async () => {
+  const CRCData = await setup({
+    leads: [lead('l_first', 'u_b', '2025-05-01T00:00:00.000Z'), lead('l_last', 'u_c', '2025-06-01T00:00:00.000Z')],
+    disputes: [{ id: 'd_1', email: EMAIL, status: 'resolved', leadIds: ['l_first', 'l_last'], decision: { winnerLeadId: 'l_last', note: 'Customer confirmed' } }]
+  });
+  const res = CRCData.resolveAttribution(EMAIL, AT);
+  assert.strictEqual(res.winner.id, 'l_last');
+  assert.strictEqual(res.reason, 'dispute decision');
+  assert.strictEqual(res.disputeId, 'd_1');
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('assert');
+const { loadData, plain } = require('./load-data');
+
+const { CRCData, internal } = loadData();
+const diffFields = internal('diffFields');
+
+test('diffFields is empty for equal values', () => {
+  assert.deepStrictEqual(plain(diffFields({ a: 1, b: [1, 2] }, { a: 1, b: [1, 2] })), []);
+});
+
+test('diffFields flattens nested objects into dotted paths', () => {
+  assert.deepStrictEqual(plain(diffFields({ name: 'A', address: { city: 'Pune', zip: '1' } }, { name: 'A', address: { city: 'Goa', zip: '1' } })), [
+    { field: 'address.city', before: 'Pune', after: 'Goa' }
+  ]);
+});
+
+test('diffFields matches array items by key or id', () => {
+  const before = [{ key: 'roof', done: false }, { key: 'finishing', done: false }];
+  const after = [{ key: 'finishing', done: false }, { key: 'roof', done: true }];
+  assert.deepStrictEqual(plain(diffFields({ stages: before }, { stages: after })), [
+    { field: 'stages.roof.done', before: false, after: true }
+  ]);
+});
+
+test('diffFields records added and removed fields as null on the other side', () => {
+  assert.deepStrictEqual(plain(diffFields({ a: 1 }, { b: 2 })), [
+    { field: 'a', before: 1, after: null },
+    { field: 'b', before: null, after: 2 }
+  ]);
+});
+
+test('diffFields compares arrays of plain values as a whole', () => {
+  assert.deepStrictEqual(plain(diffFields({ tags: ['x'] }, { tags: ['x', 'y'] })), [
+    { field: 'tags', before: ['x'], after: ['x', 'y'] }
+  ]);
+});
+
+test('writes to an audited store are recorded per record, newest first', async () => {
+  await CRCData.ready;
+  const write = internal('write');
+  write(CRCData.KEYS.projects, [{ id: 'p_1', location: 'Pune', stages: [{ key: 'roof', done: false }] }]);
+  write(CRCData.KEYS.projects, [{ id: 'p_1', location: 'Pune', stages: [{ key: 'roof', done: true }] }]);
+  const [update, create] = CRCData.readAudit({ entity: 'project', entityId: 'p_1' });
+  assert.strictEqual(create.action, 'create');
+  assert.strictEqual(update.action, 'update');
+  assert.strictEqual(update.actorName, 'system');
+  assert.deepStrictEqual(plain(update.changes), [{ field: 'stages.roof.done', before: false, after: true }]);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('assert');
+const { loadData, plain } = require('./load-data');
+
+const { CRCData } = loadData();
+
+test('stageCommission splits the commission by stage share', () => {
+  const p = { budget: 100000, commissionPercent: 6, stages: [
+    { key: 'foundation', label: 'Foundation', share: 40, done: true },
+    { key: 'roof', label: 'Roof', share: 30, done: false },
+    { key: 'finishing', label: 'Finishing', share: 30, done: false }
+  ] };
+  assert.deepStrictEqual(plain(CRCData.stageCommission(p)), [
+    { key: 'foundation', label: 'Foundation', share: 40, amount: 2400, released: true },
+    { key: 'roof', label: 'Roof', share: 30, amount: 1800, released: false },
+    { key: 'finishing', label: 'Finishing', share: 30, amount: 1800, released: false }
+  ]);
+});
+
+test('stages without shares split evenly and the last tranche absorbs rounding', () => {
+  const p = { budget: 1000, commissionPercent: 1, stages: [{ key: 'a', label: 'A' }, { key: 'b', label: 'B' }, { key: 'c', label: 'C' }] };
+  const tranches = CRCData.stageCommission(p);
+  assert.deepStrictEqual(tranches.map(t => t.amount), [3, 3, 4]);
+  assert.strictEqual(tranches.reduce((sum, t) => sum + t.amount, 0), CRCData.commissionAmount(p));
+});
+
+test('shares are relative when they do not add up to 100', () => {
+  const p = { budget: 2000, commissionPercent: 10, stages: [{ key: 'a', label: 'A', share: 1 }, { key: 'b', label: 'B', share: 3 }] };
+  assert.deepStrictEqual(CRCData.stageCommission(p).map(t => t.amount), [50, 150]);
+});
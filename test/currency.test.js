@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('assert');
+const { loadData } = require('./load-data');
+
+const { CRCData, internal } = loadData();
+const { toMinor, fromMinor, convertMinor } = CRCData;
+
+function rate(base, quote, value, effectiveFrom) {
+  return { id: `fx_${base}${quote}${effectiveFrom}`, base, quote, rate: value, effectiveFrom, createdAt: `${effectiveFrom}T00:00:00.000Z` };
+}
+
+test('toMinor and fromMinor use the currency\'s decimal places', () => {
+  assert.strictEqual(toMinor(12.34, 'USD'), 1234);
+  assert.strictEqual(toMinor('0.1', 'EUR'), 10);
+  assert.strictEqual(toMinor(1500, 'JPY'), 1500);
+  assert.strictEqual(fromMinor(1234, 'USD'), 12.34);
+  assert.strictEqual(fromMinor(1500, 'JPY'), 1500);
+});
+
+test('toMinor rounds to whole minor units and treats junk as zero', () => {
+  assert.strictEqual(toMinor(0.125, 'GBP'), 13);
+  assert.strictEqual(toMinor(99.6, 'JPY'), 100);
+  assert.strictEqual(toMinor('abc', 'USD'), 0);
+  assert.strictEqual(fromMinor(undefined, 'USD'), 0);
+});
+
+test('convertMinor uses the latest rate in effect, either way round', async () => {
+  await CRCData.ready;
+  internal('write')(CRCData.KEYS.fxRates, [rate('USD', 'EUR', 0.9, '2025-01-01'), rate('USD', 'EUR', 0.8, '2025-06-01')]);
+  assert.strictEqual(convertMinor(10000, 'USD', 'USD', '2025-03-01'), 10000);
+  assert.strictEqual(convertMinor(10000, 'USD', 'EUR', '2025-03-01'), 9000);
+  assert.strictEqual(convertMinor(10000, 'USD', 'EUR', '2025-07-01'), 8000);
+  assert.strictEqual(convertMinor(9000, 'EUR', 'USD', '2025-03-01'), 10000);
+  assert.strictEqual(convertMinor(10000, 'USD', 'EUR', '2024-12-31'), null);
+});
+
+test('convertMinor goes through the default currency when there is no direct rate', async () => {
+  await CRCData.ready;
+  internal('write')(CRCData.KEYS.fxRates, [rate('USD', 'EUR', 0.5, '2025-01-01'), rate('USD', 'JPY', 150, '2025-01-01')]);
+  assert.strictEqual(convertMinor(1000, 'EUR', 'JPY', '2025-03-01'), 3000);
+  assert.strictEqual(convertMinor(1000, 'EUR', 'GBP', '2025-03-01'), null);
+});
@@ -0,0 +1,58 @@
+/* test/load-data.js
+   Loads data.js the way a page does, in a fresh VM context with in-memory browser storage,
+   so each test gets its own CRCData.
+   - storage: initial localStorage contents (key -> raw string)
+   - console: replaces the console data.js logs to
+   internal(name) reads a module-private function or constant from inside the CRCData closure.
+*/
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = path.join(__dirname, '..', 'data.js');
+
+function memoryStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return {
+    getItem: (k) => items.has(k) ? items.get(k) : null,
+    setItem: (k, v) => { items.set(k, String(v)); },
+    removeItem: (k) => { items.delete(k); },
+    clear: () => items.clear(),
+    key: (i) => Array.from(items.keys())[i] ?? null,
+    get length() { return items.size; }
+  };
+}
+
+// Messages stay in this context; tests can inspect what would have gone to other tabs
+class BroadcastChannel {
+  constructor(name) { this.name = name; this.messages = []; this.onmessage = null; }
+  postMessage(message) { this.messages.push(message); }
+  addEventListener() {}
+  close() {}
+}
+
+function loadData({ storage = {}, console: log = console } = {}) {
+  let source = fs.readFileSync(SOURCE, 'utf8');
+  // the last top-level return in the file is the one that builds CRCData's public surface
+  const at = source.lastIndexOf('\n  return {');
+  source = source.slice(0, at) + '\n  globalThis.__internal = (name) => eval(name);' + source.slice(at);
+  const context = vm.createContext({
+    console: log,
+    localStorage: memoryStorage(storage),
+    sessionStorage: memoryStorage(),
+    BroadcastChannel,
+    crypto: globalThis.crypto,
+    TextEncoder,
+    URL,
+    setTimeout,
+    clearTimeout
+  });
+  context.window = context;
+  vm.runInContext(source, context, { filename: SOURCE });
+  return { CRCData: vm.runInContext('CRCData', context), internal: context.__internal, localStorage: context.localStorage };
+}
+
+// Values built inside the VM have that context's prototypes; this copies them into plain ones for assert
+function plain(value) { return JSON.parse(JSON.stringify(value)); }
+
+module.exports = { loadData, plain };
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('assert');
+const { loadData, plain } = require('./load-data');
+
+const { KEYS, SCHEMA_VERSION } = loadData().CRCData;
+const SCHEMA_KEY = 'crc_schema_version';
+
+// Stores as they were before schema versioning: no stage shares, rate source or conversion dates
+function legacyStorage(overrides = {}) {
+  return {
+    [KEYS.users]: JSON.stringify([]),
+    [KEYS.projects]: JSON.stringify([{ id: 'p_1', customerId: 'u_1', budget: 50000, commissionPercent: 5, createdAt: '2024-01-02T00:00:00.000Z', stages: [
+      { key: 'a', label: 'A', done: true },
+      { key: 'b', label: 'B', done: false }
+    ] }]),
+    [KEYS.leads]: JSON.stringify([{ id: 'l_1', referrerId: 'u_2', email: 'dana@example.com', status: 'converted', createdAt: '2024-01-01T00:00:00.000Z' }]),
+    ...overrides
+  };
+}
+
+test('a fresh install starts at the latest schema without migrating', async () => {
+  const { CRCData, localStorage } = loadData();
+  await CRCData.ready;
+  const status = CRCData.schemaStatus();
+  assert.strictEqual(status.version, SCHEMA_VERSION);
+  assert.deepStrictEqual(plain(status.applied), []);
+  assert.strictEqual(localStorage.getItem(SCHEMA_KEY), String(SCHEMA_VERSION));
+});
+
+test('stored data is migrated in order up to the latest schema', async () => {
+  const { CRCData, localStorage } = loadData({ storage: legacyStorage() });
+  await CRCData.ready;
+  const status = CRCData.schemaStatus();
+  assert.strictEqual(status.error, null);
+  assert.strictEqual(status.version, SCHEMA_VERSION);
+  assert.deepStrictEqual(plain(status.applied.map(m => m.version)), plain(status.migrations.map(m => m.version)));
+  assert.strictEqual(localStorage.getItem(SCHEMA_KEY), String(SCHEMA_VERSION));
+
+  const [p] = CRCData.read(KEYS.projects);
+  assert.deepStrictEqual(plain(p.stages.map(st => st.share)), [50, 50]);
+  assert.strictEqual(p.commissionRule.source, 'legacy');
+  assert.strictEqual(p.commissionRule.rate, 5);
+  const [lead] = CRCData.read(KEYS.leads);
+  assert.strictEqual(lead.convertedAt, lead.createdAt);
+});
+
+test('migrations keep only the newest backup and leave no audit entries', async () => {
+  const { CRCData } = loadData({ storage: legacyStorage() });
+  await CRCData.ready;
+  assert.strictEqual(CRCData.listBackups().length, 1);
+  assert.deepStrictEqual(plain(CRCData.readAudit({ entity: 'project' })), []);
+  assert.deepStrictEqual(plain(CRCData.readAudit({ entity: 'lead' })), []);
+});
+
+test('a failed migration restores the backup and makes the store read-only', async () => {
+  const errors = [];
+  const broken = '{"not": json';
+  const { CRCData, internal, localStorage } = loadData({ storage: legacyStorage({ [KEYS.leads]: broken }), console: { ...console, error: (...args) => errors.push(args) } });
+  await CRCData.ready;
+  const status = CRCData.schemaStatus();
+  assert.strictEqual(status.error.version, 2);
+  assert.strictEqual(status.version, 1);
+  assert.ok(status.readOnly);
+  assert.strictEqual(localStorage.getItem(KEYS.leads), broken);
+  assert.strictEqual(localStorage.getItem(SCHEMA_KEY), '1');
+  assert.ok(errors.length);
+
+  const before = localStorage.getItem(KEYS.projects);
+  assert.strictEqual(internal('write')(KEYS.projects, []), false);
+  assert.strictEqual(localStorage.getItem(KEYS.projects), before);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('assert');
+const { loadData, plain } = require('./load-data');
+
+const { parseQuery } = loadData().CRCData;
+
+test('bare words and quoted phrases match all text, lowercased', () => {
+  assert.deepStrictEqual(plain(parseQuery('Roof "North Wing"')), { errors: [], terms: [
+    { field: null, op: ':', value: 'roof', negate: false },
+    { field: null, op: ':', value: 'north wing', negate: false }
+  ] });
+});
+
+test('field terms carry their comparison and a leading - negates', () => {
+  assert.deepStrictEqual(plain(parseQuery('budget:>=20000 -status:lost Created:<2026-01-31')).terms, [
+    { field: 'budget', op: '>=', value: '20000', negate: false },
+    { field: 'status', op: ':', value: 'lost', negate: true },
+    { field: 'created', op: '<', value: '2026-01-31', negate: false }
+  ]);
+});
+
+test('a quoted value can follow a field', () => {
+  assert.deepStrictEqual(plain(parseQuery('location:"new town"')).terms, [{ field: 'location', op: ':', value: 'new town', negate: false }]);
+});
+
+test('terms that cannot be used are reported and left out', () => {
+  const { terms, errors } = parseQuery('colour:red email:"" location:>b budget:lots created:soon verified:maybe roof');
+  assert.deepStrictEqual(plain(terms), [{ field: null, op: ':', value: 'roof', negate: false }]);
+  assert.deepStrictEqual(plain(errors), [
+    'Unknown field "colour"',
+    'Give a value for email:',
+    "location can't be compared with >",
+    'budget needs a number',
+    'created needs a date like 2026-01-31',
+    'verified is yes or no'
+  ]);
+});
+
+test('an empty query has no terms', () => {
+  assert.deepStrictEqual(plain(parseQuery('')), { terms: [], errors: [] });
+  assert.deepStrictEqual(plain(parseQuery(null)), { terms: [], errors: [] });
+});